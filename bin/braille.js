@@ -0,0 +1,303 @@
+#!/usr/bin/env node
+// Braille CLI - Converts text and markdown files to Braille offline, without the server or a database
+// Reads files, whole directories or stdin; writes Unicode Braille, BRF or back-translated print
+
+const fs = require('fs/promises');
+const path = require('path');
+const { parseArgs } = require('util');
+const BrailleRegistry = require('../utils/brailleRegistry');
+const BrailleFormatter = require('../utils/brailleFormatter');
+const BrfConverter = require('../utils/brfConverter');
+const BrailleOptions = require('../utils/brailleOptions');
+
+const USAGE = `Usage: braille [options] [file or directory ...]
+
+Converts text or markdown to Braille, or Braille back to print. With no files, or "-", reads stdin.
+Directories are searched for .md, .markdown and .txt files (.brl and .brf files with --to print).
+
+Options:
+  -t, --to <format>          unicode (default), brf or print (back-translate Braille)
+  -g, --grade <grade>        Grade1 or Grade2 (default)
+      --code <code>          literary (default) or computer (8-dot computer Braille throughout)
+  -l, --language <language>  Language table by name or code (default: detected from the text)
+      --braille-table <name> Braille table by name, e.g. en-ueb-g2 or hi-bharati
+      --cells <n>            Cells per line (default: 40)
+      --lines <n>            Lines per page (default: 25)
+      --paginate             Lay out into pages (the default for BRF)
+      --no-paginate          Do not lay out into pages
+      --math <notation>      ueb (default), nemeth or none
+      --table-format <fmt>   auto (default), columns, stairstep or linear
+      --input <encoding>     Encoding of Braille read from stdin: unicode (default) or brf
+  -o, --out <directory>      Write converted files here, keeping directory structure
+      --check                Only validate; write nothing
+      --strict               Treat validation warnings as errors
+  -h, --help                 Show this help
+
+Exit codes: 0 success, 1 Braille validation errors, 2 usage or file errors`;
+
+// Exit codes
+const EXIT_CODES = { OK: 0, INVALID_BRAILLE: 1, FAILED: 2 };
+
+// Files each direction reads from directories, and the extension of what it writes
+const PRINT_EXTENSIONS = ['.md', '.markdown', '.txt'];
+const BRAILLE_EXTENSIONS = ['.brl', '.brf'];
+const OUTPUT_EXTENSIONS = { unicode: '.brl', brf: '.brf', print: '.txt' };
+
+const brailleRegistry = new BrailleRegistry();
+const brfConverter = new BrfConverter();
+const brailleOptions = new BrailleOptions();
+
+/**
+ * Read the command line
+ * @param {string[]} args - Arguments after the script name
+ * @returns {object} - { options, inputs } with options checked by BrailleOptions
+ * @throws {Error} - For unknown options or invalid values
+ */
+const readCommandLine = (args) => {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      to: { type: 'string', short: 't', default: 'unicode' },
+      grade: { type: 'string', short: 'g' },
+      code: { type: 'string' },
+      language: { type: 'string', short: 'l' },
+      'braille-table': { type: 'string' },
+      cells: { type: 'string' },
+      lines: { type: 'string' },
+      paginate: { type: 'boolean' },
+      'no-paginate': { type: 'boolean' },
+      math: { type: 'string' },
+      'table-format': { type: 'string' },
+      input: { type: 'string' },
+      out: { type: 'string', short: 'o' },
+      check: { type: 'boolean', default: false },
+      strict: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  const to = values.to.toLowerCase();
+  if (!OUTPUT_EXTENSIONS[to]) {
+    throw new Error(`Invalid --to. Must be one of: ${Object.keys(OUTPUT_EXTENSIONS).join(', ')}`);
+  }
+  // Grades may be given as 1 or 2
+  const grade = /^[12]$/.test(values.grade || '') ? `Grade${values.grade}` : values.grade;
+  const options = brailleOptions.read({
+    grade,
+    code: values.code,
+    cells: values.cells,
+    lines: values.lines,
+    math: values.math,
+    tableFormat: values['table-format'],
+    input: values.input,
+    output: to === 'print' ? undefined : to
+  });
+
+  return {
+    options: {
+      ...options,
+      to,
+      brailleCode: options.brailleCode || 'literary',
+      paginate: values['no-paginate'] ? false : Boolean(values.paginate) || to === 'brf',
+      language: values.language,
+      brailleTable: values['braille-table'],
+      out: values.out,
+      check: values.check,
+      strict: values.strict,
+      help: values.help
+    },
+    inputs: positionals
+  };
+};
+
+/**
+ * Find the files to convert: files as given, directories searched recursively
+ * @param {string[]} inputs - Files and directories from the command line
+ * @param {string[]} extensions - Extensions to take from directories
+ * @returns {Promise<Array<object>>} - { file, relative } where relative is the path to keep under --out
+ */
+const findFiles = async (inputs, extensions) => {
+  const files = [];
+  for (const input of inputs) {
+    const stats = await fs.stat(input);
+    if (!stats.isDirectory()) {
+      files.push({ file: input, relative: path.basename(input) });
+      continue;
+    }
+    const entries = await fs.readdir(input, { recursive: true, withFileTypes: true });
+    const found = entries
+      .filter(entry => entry.isFile() && extensions.includes(path.extname(entry.name).toLowerCase()))
+      .map(entry => path.join(entry.parentPath || entry.path, entry.name))
+      .sort();
+    for (const file of found) {
+      files.push({ file, relative: path.relative(input, file) });
+    }
+  }
+  return files;
+};
+
+/**
+ * Braille table for a file: --braille-table, --language, or the language detected from print
+ * @param {object} options - Command line options
+ * @param {string} text - Print text (not used for Braille input)
+ * @returns {object} - { language, code, table, converter }
+ */
+const resolveTable = (options, text = '') => (options.brailleTable
+  ? brailleRegistry.getByTable(options.brailleTable)
+  : brailleRegistry.get(options.language || brailleRegistry.detectLanguage(text)));
+
+/**
+ * Convert one input
+ * @param {string} text - File contents
+ * @param {string} file - File name ('-' for stdin), for the input encoding of Braille
+ * @param {object} options - Command line options
+ * @returns {object} - { output, validation } where validation is of the Braille read or written; output
+ *   is null when the Braille cannot be written as BRF
+ */
+const convert = (text, file, options) => {
+  if (options.to === 'print') {
+    const entry = resolveTable(options);
+    const brf = path.extname(file).toLowerCase() === '.brf' || (file === '-' && options.input === 'brf');
+    // ASCII Braille is read a character at a time so diagnostics point into the file
+    const braille = brf
+      ? Array.from(text, char => (brfConverter.isValidBrf(char) ? brfConverter.toUnicode(char) : char)).join('')
+      : text;
+    const validation = entry.converter.validateBraille(braille, { brailleCode: options.brailleCode });
+
+    if (options.brailleCode === 'computer') {
+      return { output: entry.converter.computerBraille.toText(braille), validation };
+    }
+    if (entry.table !== 'en-ueb-g2') {
+      throw new Error(`Back-translation is not available for ${entry.table} Braille`);
+    }
+    return { output: entry.converter.brailleToText(braille, options.grade !== 'Grade1'), validation };
+  }
+
+  const { converter } = resolveTable(options, text);
+  const blocks = converter.convertAcademicNotesToBlocks(text, {
+    grade: options.grade,
+    brailleCode: options.brailleCode,
+    mathNotation: options.mathNotation || 'ueb',
+    tableFormat: options.tableFormat,
+    cellsPerLine: options.cellsPerLine
+  });
+
+  let braille;
+  if (options.paginate) {
+    const formatter = new BrailleFormatter({ cellsPerLine: options.cellsPerLine, linesPerPage: options.linesPerPage });
+    braille = formatter.toString(formatter.format(blocks));
+  } else {
+    braille = converter.serializeBlocks(blocks).braille;
+  }
+
+  // Page layout is only checked when the Braille was laid out
+  const validation = converter.validateBraille(braille, {
+    brailleCode: options.brailleCode,
+    cellsPerLine: options.paginate ? options.cellsPerLine : undefined,
+    encoding: options.to
+  });
+  if (options.to !== 'brf') {
+    return { output: braille, validation };
+  }
+  // BRF is not written when cells would lose dots 7 and 8; the diagnostics say where they are
+  const eightDot = validation.diagnostics.some(diagnostic => diagnostic.code === 'EIGHT_DOT_CELL');
+  return { output: eightDot ? null : brfConverter.fromUnicode(braille), validation };
+};
+
+/**
+ * Print a file's diagnostics as file:line:column lines on stderr
+ * @param {string} name - File name shown
+ * @param {object} validation - Result of BrailleConverter#validateBraille
+ */
+const reportDiagnostics = (name, validation) => {
+  for (const diagnostic of validation.diagnostics) {
+    console.error(`${name}:${diagnostic.line}:${diagnostic.column}: ${diagnostic.severity} ${diagnostic.code} ${diagnostic.message}`);
+  }
+};
+
+/**
+ * Read stdin to the end
+ * @returns {Promise<string>}
+ */
+const readStdin = async () => {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+const main = async () => {
+  let command;
+  try {
+    command = readCommandLine(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}\n\n${USAGE}`);
+    return EXIT_CODES.FAILED;
+  }
+  const { options, inputs } = command;
+  if (options.help) {
+    console.log(USAGE);
+    return EXIT_CODES.OK;
+  }
+
+  const fromStdin = inputs.length === 0 || (inputs.length === 1 && inputs[0] === '-');
+  let files;
+  try {
+    files = fromStdin
+      ? [{ file: '-', relative: 'stdin' }]
+      : await findFiles(inputs, options.to === 'print' ? BRAILLE_EXTENSIONS : PRINT_EXTENSIONS);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return EXIT_CODES.FAILED;
+  }
+
+  // A single file (or stdin) without --out goes to stdout; otherwise files are written beside their inputs
+  const singleFile = fromStdin || (inputs.length === 1 && files.length === 1 && files[0].file === inputs[0]);
+  const toStdout = !options.out && singleFile;
+  let exitCode = EXIT_CODES.OK;
+  let invalid = 0;
+
+  for (const { file, relative } of files) {
+    const name = file === '-' ? '<stdin>' : file;
+    try {
+      const text = file === '-' ? await readStdin() : await fs.readFile(file, 'utf8');
+      const { output, validation } = convert(text, file, options);
+      reportDiagnostics(name, validation);
+
+      if (validation.errors || (options.strict && validation.warnings)) {
+        invalid++;
+        exitCode = Math.max(exitCode, EXIT_CODES.INVALID_BRAILLE);
+      }
+      if (options.check || output === null) {
+        continue;
+      }
+
+      if (toStdout) {
+        process.stdout.write(output);
+        continue;
+      }
+      const base = relative.slice(0, relative.length - path.extname(relative).length) + OUTPUT_EXTENSIONS[options.to];
+      const target = options.out ? path.join(options.out, base) : path.join(path.dirname(file), path.basename(base));
+      if (path.resolve(target) === path.resolve(file)) {
+        throw new Error('Output would overwrite the input; use --out');
+      }
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, output, options.to === 'brf' ? 'ascii' : 'utf8');
+      console.error(`✅ ${name} → ${target}`);
+    } catch (error) {
+      console.error(`❌ ${name}: ${error.message}`);
+      exitCode = EXIT_CODES.FAILED;
+    }
+  }
+
+  if (files.length > 1 || options.check) {
+    console.error(`📄 ${files.length} file(s) processed, ${invalid} with Braille validation errors`);
+  }
+  return exitCode;
+};
+
+main().then(code => {
+  process.exitCode = code;
+});
@@ -0,0 +1,208 @@
+const BrailleRegistry = require('../utils/brailleRegistry');
+const BrailleFormatter = require('../utils/brailleFormatter');
+const BrfConverter = require('../utils/brfConverter');
+const BrailleOptions = require('../utils/brailleOptions');
+
+// Initialize Braille converters; everything here runs offline, without notes or a database
+const brailleRegistry = new BrailleRegistry();
+const brfConverter = new BrfConverter();
+const brailleOptions = new BrailleOptions();
+
+// Request fields: JSON or form bodies, with options also accepted in the query string.
+// A text/plain body is the content itself
+const readRequest = (req, field) => (typeof req.body === 'string'
+  ? { ...req.query, [field]: req.body }
+  : { ...req.query, ...(req.body || {}) });
+
+// Braille table for a request: brailleTable by name, language by name or code,
+// or the language detected from the text
+const resolveTable = ({ brailleTable, language }, text = '') => (brailleTable
+  ? brailleRegistry.getByTable(brailleTable)
+  : brailleRegistry.get(language || brailleRegistry.detectLanguage(text)));
+
+// Read the options and table of a request; invalid values send a 400 response and give null
+const readOptions = (res, fields, text) => {
+  try {
+    return { ...brailleOptions.read(fields), entry: resolveTable(fields, text) };
+  } catch (error) {
+    res.status(400).json({
+      status: 'error',
+      message: error.message,
+      ...(error.supportedLanguages && { supported_languages: error.supportedLanguages })
+    });
+    return null;
+  }
+};
+
+// Check Braille given as Unicode Braille Patterns or ASCII Braille (input=brf)
+const isValidInput = (braille, input, converter) => (input === 'brf'
+  ? brfConverter.isValidBrf(braille)
+  : converter.isValidBraille(braille));
+
+// Translate text or markdown to Braille
+// (grade=Grade1|Grade2, code=literary|computer, output=unicode|brf, paginate, cells, lines, math, tableFormat,
+// language or brailleTable)
+const translateText = (req, res) => {
+  const fields = readRequest(req, 'text');
+  const { text } = fields;
+
+  if (!text || typeof text !== 'string' || !text.trim()) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'text is required'
+    });
+  }
+
+  const options = readOptions(res, fields, text);
+  if (!options) {
+    return;
+  }
+  const { grade, cellsPerLine, linesPerPage, tableFormat, output, entry } = options;
+  const brailleCode = options.brailleCode || 'literary';
+
+  try {
+    const blocks = entry.converter.convertAcademicNotesToBlocks(text, {
+      grade,
+      brailleCode,
+      mathNotation: options.mathNotation || 'ueb',
+      tableFormat,
+      cellsPerLine
+    });
+
+    // BRF is laid out into embosser pages unless the request says otherwise
+    const paginate = fields.paginate === undefined ? output === 'brf' : String(fields.paginate) === 'true';
+    let braille;
+    let pageCount = null;
+    if (paginate) {
+      const formatter = new BrailleFormatter({ cellsPerLine, linesPerPage });
+      const pages = formatter.format(blocks);
+      braille = formatter.toString(pages);
+      pageCount = pages.length;
+    } else {
+      braille = entry.converter.serializeBlocks(blocks).braille;
+    }
+
+    res.json({
+      status: 'success',
+      language: entry.language,
+      braille_table: entry.table,
+      grade: grade,
+      braille_code: brailleCode,
+      output: output,
+      ...(paginate && { cells_per_line: cellsPerLine, lines_per_page: linesPerPage, page_count: pageCount }),
+      braille: output === 'brf' ? brfConverter.fromUnicode(braille) : braille
+    });
+  } catch (error) {
+    // Code in literary Braille is written in 8-dot computer Braille, which BRF cannot hold
+    if (error.code === 'EIGHT_DOT_BRAILLE') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    console.error('❌ Error translating text to Braille:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to translate text',
+      error: error.message
+    });
+  }
+};
+
+// Back-translate Braille to print (grade=Grade1|Grade2, code=literary|computer, input=unicode|brf)
+const backTranslate = (req, res) => {
+  const fields = readRequest(req, 'braille');
+  const options = readOptions(res, fields);
+  if (!options) {
+    return;
+  }
+  const { grade, input, entry } = options;
+  const brailleCode = options.brailleCode || 'literary';
+
+  // Back-translation reads UEB and computer Braille only
+  if (entry.table !== 'en-ueb-g2' && brailleCode !== 'computer') {
+    return res.status(400).json({
+      status: 'error',
+      message: `Back-translation is not available for ${entry.table} Braille`
+    });
+  }
+
+  const { braille } = fields;
+  if (!braille || typeof braille !== 'string' || !isValidInput(braille, input, entry.converter)) {
+    return res.status(400).json({
+      status: 'error',
+      message: input === 'brf'
+        ? 'braille is required and must contain only ASCII Braille'
+        : 'braille is required and must contain only Unicode Braille Patterns'
+    });
+  }
+
+  try {
+    const unicode = input === 'brf' ? brfConverter.toUnicode(braille) : braille;
+    res.json({
+      status: 'success',
+      braille_table: entry.table,
+      grade: grade,
+      braille_code: brailleCode,
+      braille: unicode,
+      back_translation: brailleCode === 'computer'
+        ? entry.converter.computerBraille.toText(unicode)
+        : entry.converter.brailleToText(unicode, grade !== 'Grade1')
+    });
+  } catch (error) {
+    console.error('❌ Error back-translating Braille:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to back-translate Braille',
+      error: error.message
+    });
+  }
+};
+
+// Check Braille for problems, reporting each with its position and a reason
+// (input=unicode|brf, output=brf to check the Braille can be written as BRF, code=literary|computer,
+// cells to check line lengths, language or brailleTable)
+const validateBraille = (req, res) => {
+  const fields = readRequest(req, 'braille');
+  const { braille } = fields;
+
+  if (typeof braille !== 'string' || !braille) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'braille is required'
+    });
+  }
+
+  const options = readOptions(res, { ...fields, language: fields.language || brailleRegistry.DEFAULT_LANGUAGE });
+  if (!options) {
+    return;
+  }
+  const { input, output, entry } = options;
+
+  // ASCII Braille is checked as the cells it stands for, character by character so positions
+  // still point into the request; characters that are not ASCII Braille are kept to be reported
+  const unicode = input === 'brf'
+    ? Array.from(braille, character => (brfConverter.isValidBrf(character) ? brfConverter.toUnicode(character) : character)).join('')
+    : braille;
+
+  // Line lengths are only checked when the request gives a page width
+  const validation = entry.converter.validateBraille(unicode, {
+    cellsPerLine: fields.cells !== undefined ? options.cellsPerLine : undefined,
+    brailleCode: options.brailleCode || 'literary',
+    encoding: output
+  });
+
+  res.json({
+    status: 'success',
+    input: input,
+    output: output,
+    braille_table: entry.table,
+    ...validation
+  });
+};
+
+module.exports = {
+  translateText,
+  backTranslate,
+  validateBraille
+};
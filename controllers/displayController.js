@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const Note = require('../models/Note');
+const BrailleRegistry = require('../utils/brailleRegistry');
+const BrailleOptions = require('../utils/brailleOptions');
+const BrailleDisplay = require('../utils/brailleDisplay');
+const EventStream = require('../utils/eventStream');
+
+const brailleRegistry = new BrailleRegistry();
+const brailleOptions = new BrailleOptions();
+
+// Open display sessions by id: { noteId, display, stream }
+// Sessions live in this process's memory, next to the event stream they write to, so the display only works
+// when one long-running instance serves both the stream and its commands. On a deployment that spreads
+// requests over several instances (such as Vercel), a command can reach an instance without the session and
+// gets a 404, and the stream ends when the instance's request time runs out
+const sessions = new Map();
+
+// Commands a display session accepts (POST body { command, target?, cells? })
+const DISPLAY_COMMANDS = ['panForward', 'panBack', 'heading', 'listItem', 'resize'];
+
+// Lines of a note for the display, from the structure of the notes when available
+const buildNoteBlocks = (note, options, cells) => {
+  const { notes, braille } = note.getNotes() || {};
+  const blocks = brailleRegistry.getForNote(note).converter.convertAcademicNotesToBlocks(notes || '', {
+    ...options,
+    // Tables are laid out for the display, so columns are used only when a row fits it
+    cellsPerLine: Math.max(cells, brailleOptions.PAGE_LIMITS.cells.min)
+  });
+  return blocks.length
+    ? blocks
+    : (braille || '').split('\n').map(line => ({ type: 'paragraph', braille: line }));
+};
+
+// Display contents as sent to the reader
+const toFrame = (display) => {
+  const frame = display.current();
+  return {
+    braille: frame.braille,
+    cells: frame.cells,
+    line: frame.line,
+    line_count: frame.lineCount,
+    segment: frame.segment,
+    segment_count: frame.segmentCount,
+    block_type: frame.type,
+    heading_level: frame.level,
+    at_start: frame.atStart,
+    at_end: frame.atEnd
+  };
+};
+
+// Stream a note's Braille to a refreshable Braille display as server-sent events
+// (?cells=14|20|40|80; grade, math notation, table layout and code as for export).
+// Sends a 'session' event with the session id and headings, then a 'frame' event whenever the display changes
+const openDisplay = async (req, res) => {
+  let cells;
+  let options;
+  try {
+    cells = brailleOptions.readDisplaySize(req.query.cells);
+    options = brailleOptions.read({
+      grade: req.query.grade,
+      math: req.query.math,
+      tableFormat: req.query.table,
+      code: req.query.code
+    });
+  } catch (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+
+  let display;
+  try {
+    const note = await Note.findById(req.params.id);
+    if (!note) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Note not found'
+      });
+    }
+
+    // Formulas and the Braille code are as the note was generated unless the request asks otherwise
+    display = new BrailleDisplay(buildNoteBlocks(note, {
+      grade: options.grade,
+      mathNotation: options.mathNotation || note.processingMetadata.mathNotation,
+      brailleCode: options.brailleCode || note.processingMetadata.brailleCode,
+      tableFormat: options.tableFormat
+    }, cells), { cells });
+  } catch (error) {
+    console.error('❌ Error opening Braille display:', error.message);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to open Braille display',
+      error: error.message
+    });
+  }
+
+  const sessionId = crypto.randomUUID();
+  const stream = new EventStream(res);
+  stream.start();
+  sessions.set(sessionId, { noteId: req.params.id, display, stream });
+  req.on('close', () => sessions.delete(sessionId));
+
+  stream.send('session', {
+    session_id: sessionId,
+    note_id: req.params.id,
+    commands_url: `${req.baseUrl}/${req.params.id}/display/${sessionId}`,
+    commands: DISPLAY_COMMANDS,
+    headings: display.headings(),
+    list_item_count: display.countListItems()
+  });
+  stream.send('frame', toFrame(display));
+};
+
+// Send a command to an open display session: pan forward or back, jump to a heading or list item
+// (target next, previous, first, last or an index from 0) or resize the display (cells)
+const sendDisplayCommand = (req, res) => {
+  const session = sessions.get(req.params.sessionId);
+  if (!session || session.noteId !== req.params.id) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Display session not found (sessions are kept by the server instance that opened them)'
+    });
+  }
+
+  const { command, target, cells } = req.body || {};
+  const { display } = session;
+  let moved;
+  try {
+    switch (command) {
+      case 'panForward':
+        moved = display.panForward();
+        break;
+      case 'panBack':
+        moved = display.panBack();
+        break;
+      case 'heading':
+      case 'listItem':
+        moved = display.jumpTo(command, target === undefined ? 'next' : target);
+        break;
+      case 'resize':
+        display.resize(brailleOptions.readDisplaySize(cells === undefined ? null : cells));
+        moved = true;
+        break;
+      default:
+        return res.status(400).json({
+          status: 'error',
+          message: `Invalid command. Must be one of: ${DISPLAY_COMMANDS.join(', ')}`
+        });
+    }
+  } catch (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+
+  const frame = toFrame(display);
+  if (moved) {
+    session.stream.send('frame', frame);
+  }
+  res.json({
+    status: 'success',
+    moved,
+    frame
+  });
+};
+
+module.exports = {
+  openDisplay,
+  sendDisplayCommand
+};
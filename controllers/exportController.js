@@ -0,0 +1,261 @@
+const Note = require('../models/Note');
+const BrailleRegistry = require('../utils/brailleRegistry');
+const BrailleFormatter = require('../utils/brailleFormatter');
+const BrfConverter = require('../utils/brfConverter');
+const PefConverter = require('../utils/pefConverter');
+const BrailleOptions = require('../utils/brailleOptions');
+const BrailleSvgRenderer = require('../utils/brailleSvgRenderer');
+
+// Initialize export converters
+const brailleRegistry = new BrailleRegistry();
+const brfConverter = new BrfConverter();
+const pefConverter = new PefConverter();
+const brailleOptions = new BrailleOptions();
+const svgRenderer = new BrailleSvgRenderer();
+
+// Lay out a note into Braille pages, from the structure of the notes when available
+const paginateNote = (note, formatter, options) => {
+  const { notes, braille } = note.getNotes() || {};
+  const blocks = brailleRegistry.getForNote(note).converter.convertAcademicNotesToBlocks(notes || '', {
+    ...options,
+    cellsPerLine: formatter.cellsPerLine
+  });
+  return blocks.length ? formatter.format(blocks) : formatter.formatBraille(braille || '');
+};
+
+// Note title: first line of the notes in their primary language without markdown heading marks
+const getNoteTitle = (note) => ((note.getNotes() || {}).notes || '')
+  .split('\n')
+  .map(line => line.replace(/^#+\s*/, '').trim())
+  .find(Boolean) || '';
+
+// Dublin Core metadata for PEF volumes
+const buildPefMetadata = (note) => {
+  const originalLanguage = note.processingMetadata.originalLanguage || note.detectedLanguage;
+  return {
+    identifier: `note-${note._id}`,
+    title: getNoteTitle(note) || `Note ${note._id}`,
+    subject: note.detectedSubject,
+    // Language of the notes the Braille was transcribed from
+    language: brailleRegistry.getForNote(note).code,
+    date: note.createdAt ? new Date(note.createdAt).toISOString().slice(0, 10) : undefined,
+    description: originalLanguage && originalLanguage !== 'unknown'
+      ? `Braille notes generated from ${originalLanguage} input`
+      : undefined
+  };
+};
+
+// Layout options of an export query; ?table= names the table layout here
+const readLayoutQuery = (query) => ({
+  cells: query.cells,
+  lines: query.lines,
+  math: query.math,
+  tableFormat: query.table,
+  code: query.code
+});
+
+// Supported export formats
+const EXPORT_FORMATS = {
+  brf: {
+    contentType: 'application/x-brf',
+    extension: 'brf',
+    render: (note, formatter, options) => {
+      const braille = formatter.toString(paginateNote(note, formatter, options));
+      return Buffer.from(brfConverter.fromUnicode(braille), 'ascii');
+    }
+  },
+  pef: {
+    contentType: 'application/x-pef+xml',
+    extension: 'pef',
+    render: (note, formatter, options) => {
+      const pages = paginateNote(note, formatter, options);
+      const xml = pefConverter.toPef(pages, buildPefMetadata(note), {
+        cellsPerLine: formatter.cellsPerLine,
+        linesPerPage: formatter.linesPerPage
+      });
+      return Buffer.from(xml, 'utf8');
+    }
+  }
+};
+
+// Build a download filename from the note title (first line of the English notes)
+const buildExportFilename = (note, extension) => {
+  const slug = getNoteTitle(note)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 50)
+    .replace(/-+$/, '');
+
+  return `${slug || `note-${note._id}`}.${extension}`;
+};
+
+// Export a note's Braille as a downloadable file; BRF holds 6-dot cells only, so computer Braille, and
+// literary notes with code in them, are refused with a 400 and can be exported as PEF
+// (?format=brf|pef&cells=40&lines=25&math=ueb|nemeth&table=auto|columns|stairstep|linear&code=literary|computer)
+const exportNote = async (req, res) => {
+  const format = (req.query.format || 'brf').toLowerCase();
+  const exporter = EXPORT_FORMATS[format];
+
+  if (!exporter) {
+    return res.status(400).json({
+      status: 'error',
+      message: `Invalid format. Must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+    });
+  }
+
+  let layout;
+  try {
+    layout = brailleOptions.read(readLayoutQuery(req.query));
+  } catch (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+  const { cellsPerLine, linesPerPage, mathNotation, tableFormat, brailleCode } = layout;
+
+  try {
+    const note = await Note.findById(req.params.id);
+    if (!note) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Note not found'
+      });
+    }
+
+    // Formulas and the Braille code are as the note was generated unless the request asks otherwise
+    const options = {
+      mathNotation: mathNotation || note.processingMetadata.mathNotation,
+      brailleCode: brailleCode || note.processingMetadata.brailleCode,
+      tableFormat
+    };
+    try {
+      brailleOptions.checkEncoding(options.brailleCode, format);
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    // Code in literary notes is written in 8-dot computer Braille, which BRF cannot hold
+    let file;
+    try {
+      file = exporter.render(note, new BrailleFormatter({ cellsPerLine, linesPerPage }), options);
+    } catch (error) {
+      if (error.code !== 'EIGHT_DOT_BRAILLE') {
+        throw error;
+      }
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    const filename = buildExportFilename(note, exporter.extension);
+    res.set('Content-Type', exporter.contentType);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(file);
+  } catch (error) {
+    console.error('❌ Error exporting note:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to export note',
+      error: error.message
+    });
+  }
+};
+
+// Pages of a note for drawing: embosser pages, or with print words under the Braille words
+// (interline print), the notes' lines wrapped at the page width and cut into pages
+const buildSvgPages = (note, formatter, options, withPrint) => {
+  if (!withPrint) {
+    return paginateNote(note, formatter, options).map(page => ({
+      rows: page.lines.map(line => ({ braille: line, words: [] }))
+    }));
+  }
+
+  const { converter } = brailleRegistry.getForNote(note);
+  const print = (note.getNotes() || {}).notes || '';
+  const aligned = converter.alignAcademicNotes(print, options);
+  const words = converter.alignWords(print, aligned.alignment).map(segment => ({
+    braille: segment.braille,
+    print: print.slice(segment.print[0], segment.print[1])
+  }));
+  const rows = svgRenderer.layoutInterline(aligned.braille, words, formatter.cellsPerLine);
+
+  const pages = [];
+  for (let i = 0; i < rows.length; i += formatter.linesPerPage) {
+    pages.push({ rows: rows.slice(i, i + formatter.linesPerPage) });
+  }
+  return pages;
+};
+
+// Draw a note's Braille as dot cells in SVG
+// (?print=true shows print words under the Braille, ?page=N draws one page; page size, math notation,
+// table layout and code as for export)
+const renderNoteSvg = async (req, res) => {
+  let layout;
+  try {
+    layout = brailleOptions.read(readLayoutQuery(req.query));
+  } catch (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+  const { cellsPerLine, linesPerPage, mathNotation, tableFormat, brailleCode } = layout;
+
+  const pageNumber = req.query.page === undefined ? null : Number(req.query.page);
+  if (pageNumber !== null && !(Number.isInteger(pageNumber) && pageNumber > 0)) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'page must be a positive whole number'
+    });
+  }
+
+  try {
+    const note = await Note.findById(req.params.id);
+    if (!note) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Note not found'
+      });
+    }
+
+    const options = {
+      mathNotation: mathNotation || note.processingMetadata.mathNotation,
+      brailleCode: brailleCode || note.processingMetadata.brailleCode,
+      tableFormat
+    };
+    const formatter = new BrailleFormatter({ cellsPerLine, linesPerPage });
+    const pages = buildSvgPages(note, formatter, options, req.query.print === 'true');
+
+    if (pageNumber !== null && pageNumber > pages.length) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Page ${pageNumber} not found; the note has ${pages.length} pages`
+      });
+    }
+
+    const title = getNoteTitle(note) || `Note ${note._id}`;
+    res.set('Content-Type', 'image/svg+xml; charset=utf-8');
+    res.send(svgRenderer.render(pageNumber === null ? pages : [pages[pageNumber - 1]], {
+      title: pageNumber === null ? title : `${title} (page ${pageNumber})`,
+      cellsPerLine
+    }));
+  } catch (error) {
+    console.error('❌ Error rendering note Braille as SVG:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to render note Braille',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  exportNote,
+  renderNoteSvg
+};
@@ -0,0 +1,596 @@
+// Notes generation pipeline shared by POST /generate-notes and generation jobs: detect the input's language
+// and subject, write the notes, translate them to Hindi and transcribe both to Braille
+
+const { generateMultiLanguageNotes, generateSingleLanguageNotes } = require('./noteController');
+const BrailleRegistry = require('../utils/brailleRegistry');
+const LlmRegistry = require('../utils/llmRegistry');
+const TextChunker = require('../utils/textChunker');
+const { SYSTEM_INSTRUCTIONS } = require('../config/systemInstructions');
+
+// Braille tables for the languages notes can be written in
+const brailleRegistry = new BrailleRegistry();
+
+// Language models notes are generated with: the deployment's provider (LLM_PROVIDER: gemini, openai or
+// stub; default gemini), or another configured provider named by the request
+const llmRegistry = new LlmRegistry({ systemInstruction: SYSTEM_INSTRUCTIONS.ENGLISH });
+
+// Splits long text into sections written separately, then merged into one study guide
+const textChunker = new TextChunker();
+
+// Token limit of the merged study guide and its translation (a section's notes keep the usual 2048)
+const MERGED_MAX_OUTPUT_TOKENS = 8192;
+
+// Languages and outputs notes are generated in when a request names none: the deployment's NOTE_TARGETS
+// (e.g. 'en,hi,ta,braille'), or English, Hindi and Braille
+const DEFAULT_TARGETS = process.env.NOTE_TARGETS || 'en,hi,braille';
+
+// Read requested targets: language codes or names ('en,hi,ta,braille', 'Kannada') and 'braille' for Braille
+// versions of every language, as a list or comma-separated. Returns language codes in the order given, then
+// 'braille' when requested; throws INVALID_TARGETS for a language without a Braille table
+const readTargets = (value) => {
+  const requested = (Array.isArray(value) ? value.join(',') : String(value || DEFAULT_TARGETS))
+    .split(',')
+    .map(target => target.trim().toLowerCase())
+    .filter(Boolean);
+
+  const languages = [];
+  for (const target of requested.filter(target => target !== 'braille')) {
+    let code;
+    try {
+      ({ code } = brailleRegistry.get(target));
+    } catch (cause) {
+      const supported = [...brailleRegistry.listCodes(), 'braille'];
+      const error = new Error(`Invalid target "${target}". Must be one of: ${supported.join(', ')}`);
+      error.code = 'INVALID_TARGETS';
+      error.supportedTargets = supported;
+      throw error;
+    }
+    if (!languages.includes(code)) {
+      languages.push(code);
+    }
+  }
+
+  return requested.includes('braille') ? [...languages, 'braille'] : languages;
+};
+
+// Stages of generation for targets in order, as reported to onStage and stored on jobs: the notes in the
+// detected language, a translation for each target language (named by language), Braille, then saving,
+// which is done by the caller
+const generationStages = (targets) => [
+  'detect',
+  'notes',
+  ...targets.filter(target => target !== 'braille').map(code => brailleRegistry.get(code).language.toLowerCase()),
+  ...(targets.includes('braille') ? ['braille'] : []),
+  'save'
+];
+
+// Detect the language of text content with a language model
+const detectLanguage = async (llm, text) => {
+  try {
+    const detectionResult = await llm.generateText({
+      task: 'language',
+      input: text,
+      prompt: `Identify the language of this text. Respond with ONLY the language name in English (e.g., "English", "Spanish", "French", "Hindi", "Kannada", "Tamil", "Telugu", "Bengali", "Gujarati", "Marathi", "Punjabi", "Chinese", "Japanese", "Korean", "Arabic", "German", "Italian", "Portuguese", "Russian", etc.). Do not include any other text or explanation:
+
+"${textChunker.sample(text)}"`,
+      generationConfig: {
+        temperature: 0.1,
+        maxOutputTokens: 20,
+      },
+    });
+    const detectedLang = detectionResult.trim();
+    // Clean up any extra text that might come with the response
+    const cleanLang = detectedLang.split('\n')[0].split('.')[0].trim();
+    console.log("Raw language detection:", detectedLang);
+    console.log("Cleaned language:", cleanLang);
+    return cleanLang;
+  } catch (error) {
+    console.warn("Language detection failed:", error.message);
+    return "unknown";
+  }
+};
+
+// --- Ensemble subject detection (formatting, model, heuristic, decision, post-check)
+function formatForSubjectDetection(raw) {
+  if (!raw || typeof raw !== 'string') return '';
+  const lines = raw.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  if (!lines.length) return '';
+  const title = lines.find(l => l.length < 120) || lines[0];
+  const headings = lines.filter(l => /^#+\s+/.test(l) || (l === l.toUpperCase() && l.split(' ').length < 8));
+  const mathRegex = /\\frac|\\int|sin\(|cos\(|tan\(|lim\b|\d+\s*=|=>|<=|>=/i;
+  const mathLines = lines.filter(l => mathRegex.test(l));
+  const unitRegex = /\b(m|cm|kg|mol|N|J|Hz|K|ppm)\b/i;
+  const unitLines = lines.filter(l => unitRegex.test(l));
+  const signalRegex = /\b(definition|theorem|proof|example|algorithm|reaction|exercise)\b/i;
+  const signalLines = lines.filter(l => signalRegex.test(l));
+  const head = lines.slice(0, 60);
+  const parts = [title, ...headings.slice(0,6), ...mathLines.slice(0,12), ...unitLines.slice(0,8), ...signalLines.slice(0,10), ...head];
+  return parts.filter(Boolean).join('\n').slice(0, 4000);
+}
+
+async function modelDetectSubject(provider, rawText, allowedSubjects) {
+  const excerpt = formatForSubjectDetection(rawText) || (rawText && rawText.substring(0,2000)) || '';
+  const allowedList = allowedSubjects.map(s => `"${s}"`).join(', ');
+  const prompt = `Identify ONE subject from: ${allowedList}. Reply with ONLY that subject (no extra text).\n\nExcerpt:\n"${excerpt}"`;
+
+  const resp = await provider.generateText({
+    task: 'subject',
+    prompt,
+    input: excerpt,
+    subjects: allowedSubjects,
+    generationConfig: { temperature: 0.0, maxOutputTokens: 40 }
+  });
+
+  return (resp || '').split('\n')[0].trim();
+}
+
+function heuristicScores(text, keywordMap) {
+  const t = (text || '').toLowerCase();
+  const scores = {};
+  for (const [subject, kws] of Object.entries(keywordMap)) {
+    let score = 0;
+    for (const kw of kws) if (kw && t.includes(kw.toLowerCase())) score++;
+    scores[subject] = score;
+  }
+  return scores;
+}
+
+function decideSubject(modelLabel, scores, synonyms = {}) {
+  const normalized = modelLabel ? modelLabel.trim() : null;
+  const sorted = Object.entries(scores).sort((a,b) => b[1]-a[1]);
+  const top = sorted[0] || [null,0];
+  const second = sorted[1] || [null,0];
+  if (top[1] >= 3 && (top[1] - (second[1]||0) >= 2)) return top[0];
+  if (normalized) {
+    const lower = normalized.toLowerCase();
+    if (synonyms[lower]) return synonyms[lower];
+    if (Object.keys(scores).some(s => s.toLowerCase() === lower)) {
+      return Object.keys(scores).find(s => s.toLowerCase() === lower);
+    }
+  }
+  if (scores['Sports'] >= 2) return 'Sports';
+  if (top[1] > 0) return top[0];
+  return 'General';
+}
+
+function postDetectOverride(generatedNotes, originalContent, smallKeywordMap, currentSubject) {
+  const combined = ((generatedNotes||'') + '\n' + (typeof originalContent === 'string' ? originalContent : '')).toLowerCase();
+  for (const subj of Object.keys(smallKeywordMap)) {
+    if (combined.includes(subj.toLowerCase())) return subj;
+  }
+  const scores = {};
+  for (const [s, kws] of Object.entries(smallKeywordMap)) {
+    scores[s] = kws.reduce((acc, kw) => acc + (combined.includes(kw) ? 1 : 0), 0);
+  }
+  const sorted = Object.entries(scores).sort((a,b) => b[1]-a[1]);
+  if (sorted[0] && sorted[0][1] >= 2) return sorted[0][0];
+  return currentSubject;
+}
+
+const keywordMap = {
+  Mathematics: [
+    'algebra','calculus','integral','derivative','matrix','theorem','proof','equation','geometry','trigonometry',
+    'probability','statistics','mean','median','variance','limit','vector','tensor','differentiation','integration',
+    'logarithm','exponent','function','linear algebra','quadratic','polynomial','number theory','set theory','topology',
+    'complex numbers','factorization','inequality','series','sequence','arithmetic','geometric progression','graph theory',
+    'combinatorics','permutation','combination','optimization','probability distribution','regression','coordinate geometry',
+    'differential equations','multivariable calculus','z score','standard deviation','p value','chi square','binomial',
+    'normal distribution','integration by parts','laplace transform','fourier transform','hyperbola','ellipse'
+  ],
+
+  Physics: [
+    'force','velocity','acceleration','quantum','electron','photon','momentum','energy','thermodynamics','entropy',
+    'relativity','gravity','newton','magnetism','electricity','voltage','current','resistance','magnetic field','wave',
+    'frequency','amplitude','optics','refraction','diffraction','nuclear','particle','mass','inertia','pressure',
+    'density','work','power','kinematics','dynamics','scalar','vector','torque','angular momentum','black hole',
+    'string theory','cosmology','astrophysics','plasma','superconductivity','circuit','charge','radiation','heat transfer',
+    'vacuum','friction','centripetal force','centrifugal force','harmonic motion','resonance','photoelectric effect','quantum field',
+    'uncertainty principle','higgs boson','fusion','fission'
+  ],
+  
+  Chemistry: [
+    'chemical','molecule','reaction','stoichiometry','acid','base','ion','ph','organic','inorganic',
+    'oxidation','reduction','titration','catalyst','enzyme','bond','covalent','ionic','metallic','hydrocarbon',
+    'polymer','solvent','solute','solution','precipitate','equilibrium','kinetics','thermochemistry','entropy',
+    'enthalpy','alkane','alkene','alkyne','aromatic','isomer','electronegativity','periodic table','atomic mass',
+    'valence','buffer','salt','ester','amine','aldehyde','ketone','carboxylic acid','spectroscopy','chromatography',
+    'nucleophile','electrophile','free radical','halogenation','hydrogen bond','pi bond','sigma bond','radioactivity',
+    'pKa','molarity','avogadro number','lattice energy'
+  ],
+  
+  Biology: [
+    'cell','dna','rna','genome','evolution','photosynthesis','enzyme','protein','organism','species',
+    'ecology','mitosis','meiosis','chromosome','mutation','gene','allele','protein synthesis','transcription','translation',
+    'ribosome','mitochondria','chloroplast','cell membrane','cytoplasm','nucleus','bacteria','virus','fungi',
+    'taxonomy','phylogeny','adaptation','natural selection','ecosystem','biosphere','population','microbiology','immunity',
+    'hormone','respiration','circulation','digestion','nervous system','endocrine system','genetic drift','stem cells',
+    'homeostasis','antibody','antigen','cloning','reproduction','fermentation','amino acid','lipid','carbohydrate','metabolism',
+    'epigenetics','symbiosis','cell division','pathogen'
+  ],      
+
+  ComputerScience: [
+    'algorithm','data structure','binary','byte','cache','compiler','complexity','big o','hash map','tree',
+    'graph','neural network','machine learning','database','sql','operating system','cpu','ram','thread','process',
+    'parallelism','distributed systems','networking','encryption','compression','search algorithm','sorting','stack','queue',
+    'linked list','heap','priority queue','hashing','api','protocol','tcp','udp','rest','virtualization',
+    'cloud','container','docker','kubernetes','recursion','backtracking','dynamic programming','computer vision','nlp',
+    'deep learning','transformer','blockchain','gpu','query optimization','transactions','deadlock','load balancing','caching','filesystem'
+  ],
+
+  Programming: [
+    'function','variable','loop','if statement','for loop','while loop','javascript','python','java','c++',
+    'c#','golang','rust','typescript','react','node','async','await','exception','class',
+    'object','inheritance','polymorphism','encapsulation','interface','pointer','reference','module','package','library',
+    'framework','mongo','firebase','api call','json','xml','debugging','testing','unit test','deployment',
+    'compiler','interpreter','lambda','closure','arrow function','promise','callback','rest parameters','vue','angular',
+    'sql query','regex','event listener','http request','version control','git','repository','branch','merge','websocket'
+  ],
+
+  History: [
+    'empire','war','revolution','kingdom','civilization','battle','treaty','colonial','ancient','medieval',
+    'timeline','dynasty','monarchy','republic','reform','migration','trade route','industrialization','renaissance','crusades',
+    'constitution','independence','aristocracy','dictatorship','conquest','exploration','archeology','artifact','legacy','pharaoh',
+    'ottoman','roman','greek','byzantine','feudalism','slavery','imperialism','cold war','ww1','ww2',
+    'treaty of versailles','revolutionary war','french revolution','american revolution','cultural diffusion','silk road','mesopotamia','indus valley','viking','samurai',
+    'colonization','migration pattern','historical evidence','chronology','manuscript','census'
+  ],
+
+  Geography: [
+    'river','mountain','continent','climate','latitude','longitude','plate tectonics','desert','ocean',
+    'forest','rainfall','weather','temperature','volcano','earthquake','glacier','island','archipelago','peninsula',
+    'valley','plateau','delta','coastline','erosion','soil','ecosystem','habitat','wind patterns','monsoon',
+    'tundra','savanna','tropics','equator','hemisphere','map','cartography','population density','urbanization','rural',
+    'bay','strait','fjord','reef','wetlands','basin','altitude','longitude','meridian','time zone',
+    'hydrology','biome','landform','climate change','global warming'
+  ],
+
+  Literature: [
+    'poem','novel','protagonist','metaphor','narrative','theme','character','literary','plot','dialogue',
+    'setting','tone','symbolism','allegory','irony','satire','genre','short story','stanza','rhyme',
+    'verse','prose','critique','author','drama','tragedy','comedy','mythology','epic','fable',
+    'imagery','motif','climax','resolution','conflict','foreshadowing','alliteration','personification','hyperbole','onomatopoeia',
+    'biography','autobiography','memoir','novella','paradox','aphorism','manuscript','narrator','perspective','literary device',
+    'denouement','excerpt','annotation','figurative language','moral','theme development'
+  ],
+
+  Language: [
+    'grammar','syntax','vocabulary','phonetics','morphology','translation','pronunciation','semantics','linguistics','dialect',
+    'accent','phonology','conjugation','sentence structure','verb','noun','adjective','adverb','preposition','article',
+    'phrase','clause','punctuation','orthography','etymology','dictionary','idiom','slang','colloquialism','lexicon',
+    'literal meaning','figurative meaning','context','native language','second language','bilingual','multilingual','speech','writing','reading',
+    'listening','fluency','tone','register','formal language','informal language','grammar rules','plural','singular','prefix',
+    'suffix','root word','translation accuracy','linguistic analysis','phonetic transcription'
+  ],
+
+  Art: [
+    'painting','sculpture','canvas','gallery','artist','sketch','portrait','landscape','abstract','realism',
+    'watercolor','oil paint','acrylic','charcoal','perspective','shading','composition','contrast','palette','mural',
+    'exhibition','installation','modern art','renaissance','baroque','surrealism','impressionism','expressionism','pop art','digital art',
+    'illustration','graphic design','color theory','contour','line art','texture','form','shape','proportion','symmetry',
+    'aesthetics','calligraphy','visual art','drawing','design principles','art critique','collage','craft','concept art','mixed media'
+  ],
+
+  Music: [
+    'melody','harmony','rhythm','composer','notation','scale','tempo','pitch','chord','song',
+    'instrument','guitar','piano','violin','vocals','drums','orchestra','band','beat','bass',
+    'treble','soprano','alto','tenor','baritone','measure','time signature','key signature','modulation','dynamics',
+    'crescendo','decrescendo','symphony','opera','genre','tuning','interval','octave','solfege','metronome',
+    'recording','mixing','mastering','audio','synthesis','sound wave','frequency','melodic line','riff','improvisation'
+  ],
+
+  Sports: [
+    // General sports terminology
+    'match','tournament','score','goal','player','athlete','stadium','coach','team','league',
+    'referee','umpire','championship','training','workout','exercise','drill','competition','record','medal',
+    'fitness','endurance','strength','strategy','playoff','season','defense','offense','foul','penalty',
+    'tactics','teamwork','sportsmanship','warmup','stretching','injury','recovery','athletics','sprint','marathon',
+    'ball','field','court','arena','victory','defeat','ranking','practice','fans','tournament bracket',
+  
+    // Actual sports (added)
+    'football','soccer','basketball','cricket','tennis','badminton','table tennis','volleyball','baseball','softball',
+    'hockey','ice hockey','rugby','golf','swimming','boxing','mma','wrestling','karate','taekwondo',
+    'judo','archery','shooting','cycling','skating','skateboarding','surfing','rowing','kayaking','canoeing',
+    'gymnastics','track','field events','long jump','high jump','pole vault','javelin','discus','shot put','triathlon','biathlon',
+    'snowboarding','skiing','billiards','chess','esports','motorsport','formula 1','nascar','badminton doubles','boxing heavyweight'
+  ],
+  
+
+  Entertainment: [
+    'movie','film','actor','television','series','celebrity','director','producer','script','scene',
+    'cinema','soundtrack','visual effects','comedy','drama','thriller','sci-fi','action','romance','animation',
+    'documentary','trailer','premiere','box office','streaming','platform','binge watch','episode','cinematography','editing',
+    'stunt','casting','hollywood','bollywood','broadway','theatre','improv','stand-up','music video','award show',
+    'reality show','sitcom','character arc','plot twist','fanbase','fandom','review','rating','screenplay','special effects'
+  ]
+};
+
+
+const synonyms = {
+  'cs': 'Computer Science',
+  'computer science': 'Computer Science',
+  'comp sci': 'Computer Science',
+  'programming': 'Programming'
+};
+
+const smallKeywordMap = Object.fromEntries(Object.entries(keywordMap).map(([k,v]) => [k, v.slice(0,6)]));
+
+const detectSubject = async (llm, text) => {
+  try {
+    const allowed = Object.keys(keywordMap);
+    const modelLabel = await modelDetectSubject(llm, text, allowed);
+    const scores = heuristicScores(text, keywordMap);
+    const decided = decideSubject(modelLabel, scores, synonyms);
+    return decided;
+  } catch (err) {
+    console.warn('Subject detect ensemble failed:', err.message);
+    return 'General';
+  }
+};
+
+// Write notes on long text section by section, then merge them into one study guide (map-reduce)
+// context is { language, subject } as detected; onChunk(chunk, count) is awaited as each section is written
+// and onToken streams the merged guide. A section that fails is recorded and left out of the guide.
+// Returns { notes, chunking } where chunking records the sections' boundaries and progress for the note
+const writeChunkedNotes = async (llm, chunks, context, hooks = {}) => {
+  const { language, subject } = context;
+  const { onChunk = async () => {}, onToken } = hooks;
+  const records = [];
+  const sections = [];
+  let lastError = null;
+
+  for (const chunk of chunks) {
+    console.log(`🔄 Writing notes for section ${chunk.index + 1} of ${chunks.length}...`);
+    const startTime = Date.now();
+    const record = { index: chunk.index, start: chunk.start, end: chunk.end, status: 'completed' };
+    try {
+      const prompt = `You are an expert academic note-taker specializing in ${subject}. The following text is section ${chunk.index + 1} of ${chunks.length} of one long lecture. Write detailed, organized notes on this section only, using headings and lists. Do not write a title, introduction or conclusion; the sections will be merged into one study guide. End with a short list of the terms this section defines.
+
+🚨 CRITICAL LANGUAGE REQUIREMENT 🚨
+The text is written in ${language}.
+You MUST write your ENTIRE response in ${language} ONLY.
+
+Section ${chunk.index + 1} of ${chunks.length} in ${language}: "${chunk.text}"`;
+
+      sections.push(await generateSingleLanguageNotes(llm, prompt, `section ${chunk.index + 1}`, null, {
+        input: chunk.text
+      }));
+    } catch (error) {
+      lastError = error;
+      record.status = 'failed';
+      record.error = error.message;
+    }
+    record.processingTime = Date.now() - startTime;
+    records.push(record);
+    await onChunk(record, chunks.length);
+  }
+
+  if (!sections.length) {
+    throw lastError;
+  }
+
+  console.log(`🔄 Merging notes of ${sections.length} sections into one study guide...`);
+  const mergePrompt = `You are an expert academic note-taker specializing in ${subject}. Below are notes on the ${sections.length} sections of one long lecture, in order. Merge them into ONE study guide with a single structure: one Title, one Introduction, then the headings and lists of the sections in lecture order (combine points that repeat, but do not drop content), and one Key Definitions section at the end gathering the terms defined in every section.
+
+🚨 CRITICAL LANGUAGE REQUIREMENT 🚨
+You MUST write your ENTIRE response in ${language} ONLY.
+
+${sections.map((notes, i) => `--- Section ${i + 1} ---\n${notes}`).join('\n\n')}`;
+
+  const notes = await generateSingleLanguageNotes(llm, mergePrompt, 'merged', null, {
+    task: 'merge',
+    input: sections.join('\n\n'),
+    sections,
+    onToken,
+    maxOutputTokens: MERGED_MAX_OUTPUT_TOKENS
+  });
+
+  return {
+    notes,
+    chunking: {
+      chunked: true,
+      chunkSize: textChunker.CHUNK_SIZE,
+      chunkCount: chunks.length,
+      completedChunks: sections.length,
+      chunks: records
+    }
+  };
+};
+
+// Warnings to give with generated notes: a study guide merged without the sections that failed is partial
+const chunkingWarnings = (completedChunks, chunkCount) => (completedChunks < chunkCount
+  ? [`Partial notes: ${chunkCount - completedChunks} of ${chunkCount} sections of the input could not be written and are left out of the study guide`]
+  : []);
+
+// Generate notes from a request's input without saving them
+// input is { type: 'text' | 'audio', content, mathNotation, brailleCode, targets } where content is text or an
+// uploaded audio file and targets comes from readTargets (default: the deployment's targets).
+// hooks.onStage(stage, status, result) is awaited as each stage is 'running', then 'completed' or 'skipped';
+// completed stages pass their result (detect: { language, subject }; see generateMultiLanguageNotes for the
+// others). hooks.onToken(text), when given, streams the notes as the model writes them.
+// Text longer than one section is written in sections and merged; hooks.onChunk(chunk, count) is awaited as
+// each section is written (see writeChunkedNotes).
+// Returns the note data saveNotes takes, with warnings when the notes are partial; throws
+// UNSUPPORTED_BRAILLE_TABLE when the notes' language has no table
+const runNotesGeneration = async (input, llm, hooks = {}) => {
+  const { onStage = async () => {}, onToken, onChunk } = hooks;
+  const { type, content, mathNotation, brailleCode, targets = readTargets() } = input;
+  let userPrompt = "";
+  let audioFile = null;
+  let detectedLanguage = "unknown";
+  let detectedSubject = "General";
+
+  // Uploaded audio is not detected up front; the model works out its language and subject
+  const detects = typeof content === 'string';
+  await onStage('detect', detects ? 'running' : 'skipped');
+
+  if (type === "text") {
+    console.log("Processing text notes...");
+    
+    // Detect language and subject from text content
+    detectedLanguage = await detectLanguage(llm, content);
+    detectedSubject = await detectSubject(llm, content);
+    console.log("Detected language:", detectedLanguage);
+    console.log("Detected subject:", detectedSubject);
+    
+    // If language detection failed, try to detect again with a different approach
+    if (detectedLanguage === "unknown" || detectedLanguage.includes("English") || detectedLanguage.includes("##")) {
+      console.log("Retrying language detection with different approach...");
+      detectedLanguage = await detectLanguage(llm, content);
+      console.log("Retry detected language:", detectedLanguage);
+    }
+    
+    userPrompt = `You are an expert academic note-taker specializing in ${detectedSubject}. Please elaborate and organize the following professor's notes into comprehensive, well-structured academic notes.
+
+🚨 CRITICAL LANGUAGE REQUIREMENT 🚨
+The input text is written in ${detectedLanguage}. 
+You MUST write your ENTIRE response in ${detectedLanguage} ONLY.
+Do NOT use English or any other language.
+Every single word, sentence, and paragraph must be in ${detectedLanguage}.
+If you write even one word in English, you have FAILED this task.
+
+📚 SUBJECT FOCUS: ${detectedSubject}
+Focus on creating notes that are relevant to ${detectedSubject} and use appropriate terminology and concepts from this field.
+
+Input text in ${detectedLanguage}: "${content}"
+
+Generate detailed, organized academic notes in ${detectedLanguage} language only, focusing on ${detectedSubject}. Remember: ${detectedLanguage} ONLY!`;
+
+  } else if (type === "audio") {
+    console.log("Processing audio file...");
+    if (typeof content === 'object' && content.buffer) {
+      // Audio file was uploaded
+      audioFile = content;
+      userPrompt = `You are an expert academic note-taker. Please transcribe this audio file and then generate comprehensive academic notes from the transcript.
+
+🚨 CRITICAL LANGUAGE REQUIREMENT 🚨
+You MUST detect the language of the audio content and generate your response ENTIRELY in that same language. Do NOT translate anything to English or any other language. Every single word of your response must be in the original language of the audio.
+
+📚 SUBJECT DETECTION
+Also identify the academic subject (Mathematics, Physics, Chemistry, Biology, Programming, Computer Science, History, Geography, Literature, Language, Art, Music, Sports, Entertainment, or General) and focus your notes accordingly.
+
+Audio file: ${content.originalname} (${content.mimetype})
+
+Generate detailed, organized academic notes in the original language of the audio only.`;
+    } else {
+      // Text content provided for audio type
+      detectedLanguage = await detectLanguage(llm, content);
+      detectedSubject = await detectSubject(llm, content);
+      console.log("Detected language from transcript:", detectedLanguage);
+      console.log("Detected subject from transcript:", detectedSubject);
+      
+      userPrompt = `You are an expert academic note-taker specializing in ${detectedSubject}. Generate comprehensive academic notes from the following audio transcript.
+
+🚨 CRITICAL LANGUAGE REQUIREMENT 🚨
+The transcript is written in ${detectedLanguage}. 
+You MUST write your ENTIRE response in ${detectedLanguage} ONLY.
+Do NOT use English or any other language.
+Every single word, sentence, and paragraph must be in ${detectedLanguage}.
+If you write even one word in English, you have FAILED this task.
+
+📚 SUBJECT FOCUS: ${detectedSubject}
+Focus on creating notes that are relevant to ${detectedSubject} and use appropriate terminology and concepts from this field.
+
+Audio transcript in ${detectedLanguage}: "${content}"
+
+Generate detailed, organized academic notes in ${detectedLanguage} language only, focusing on ${detectedSubject}. Remember: ${detectedLanguage} ONLY!`;
+    }
+
+  } else {
+    const error = new Error('Invalid input type. Must be "text" or "audio".');
+    error.code = 'INVALID_INPUT_TYPE';
+    throw error;
+  }
+  if (detects) {
+    await onStage('detect', 'completed', { language: detectedLanguage, subject: detectedSubject });
+  }
+
+  // Notes are written in the detected language, so Braille needs a table for it (UNSUPPORTED_BRAILLE_TABLE
+  // otherwise); without Braille, notes can be written in any language
+  if (targets.includes('braille')) {
+    brailleRegistry.get(detectedLanguage);
+  }
+
+  // Text (or a transcript) too long for one prompt is written in sections, then merged into one study guide
+  const chunks = textChunker.needsChunking(content) ? textChunker.split(content) : [];
+  const chunked = chunks.length > 1;
+  let chunking = { chunked: false };
+  const writeNotes = chunked
+    ? async (onMergeToken) => {
+      console.log(`🔄 Input is ${content.length} characters, writing notes in ${chunks.length} sections...`);
+      const result = await writeChunkedNotes(llm, chunks, {
+        language: detectedLanguage,
+        subject: detectedSubject
+      }, { onChunk, onToken: onMergeToken });
+      chunking = result.chunking;
+      return result.notes;
+    }
+    : undefined;
+
+  // Generate multi-language notes using the new system
+  console.log('🔄 Starting multi-language note generation...');
+  const multiLanguageResults = await generateMultiLanguageNotes(llm, userPrompt, audioFile, detectedLanguage, {
+    mathNotation,
+    brailleCode,
+    targets,
+    sourceText: typeof content === 'string' ? content : '',
+    onStage,
+    onToken,
+    writeNotes,
+    maxOutputTokens: chunked ? MERGED_MAX_OUTPUT_TOKENS : undefined
+  });
+  
+  console.log('✅ Multi-language notes generated successfully');
+  console.log('📊 Processing time:', multiLanguageResults.processingTime, 'ms');
+
+  // Notes in the language they were written in, for checking the subject again
+  const primaryNotes = multiLanguageResults.notes[multiLanguageResults.primaryLanguage].notes;
+
+  // Post-generation re-check: try to improve subject detection using generated notes + original content
+  try {
+    detectedSubject = postDetectOverride(primaryNotes, content, smallKeywordMap, detectedSubject);
+    console.log('Post-detection subject override result:', detectedSubject);
+  } catch (e) {
+    console.warn('Post-detect override failed:', e.message);
+  }
+
+  // Ensure we store the language as detected or default to English
+  const targetLanguage = (detectedLanguage && detectedLanguage !== "unknown") ? detectedLanguage : 'English';
+  detectedLanguage = targetLanguage;
+
+  // Prepare data for saving to database (multi-language)
+  const noteData = {
+    input_type: type,
+    // Notes by language code, with their Braille when Braille was a target
+    generated_notes: Object.fromEntries(Object.entries(multiLanguageResults.notes).map(([code, entry]) => [code, {
+      language: entry.language,
+      notes: entry.notes,
+      braille: entry.braille,
+      braille_table: entry.brailleTable,
+      braille_validation: entry.brailleValidation
+    }])),
+    primary_language: multiLanguageResults.primaryLanguage,
+    targets,
+    detected_language: detectedLanguage,
+    detected_subject: detectedSubject,
+    original_content: typeof content === 'string' ? content : (content.originalname || 'audio_file'),
+    original_language: detectedLanguage,
+    braille_table: multiLanguageResults.brailleTable,
+    math_notation: mathNotation,
+    braille_code: brailleCode,
+    chunking,
+    warnings: chunking.chunked ? chunkingWarnings(chunking.completedChunks, chunking.chunkCount) : [],
+    model_used: llm.model,
+    llm_provider: llm.name,
+    processing_time: multiLanguageResults.processingTime
+  };
+
+  return noteData;
+};
+
+module.exports = {
+  chunkingWarnings,
+  generationStages,
+  llmRegistry,
+  readTargets,
+  runNotesGeneration
+};
@@ -0,0 +1,139 @@
+const Job = require('../models/Job');
+const JobQueue = require('../utils/jobQueue');
+const { saveNotes } = require('./noteController');
+const { chunkingWarnings, generationStages, llmRegistry, readTargets, runNotesGeneration } = require('./generationController');
+
+// Generate and save the notes of a claimed job, reporting each stage
+const runGenerationJob = async (job, reportStage, heartbeat) => {
+  const llm = llmRegistry.get(job.options.provider);
+  const { audio } = job.input;
+  const content = audio && audio.data
+    ? { buffer: audio.data, mimetype: audio.mimetype, originalname: audio.originalname }
+    : job.input.content;
+  const chunks = { count: 0, completed: 0, failed: 0 };
+
+  const noteData = await runNotesGeneration({
+    type: job.input.type,
+    content,
+    mathNotation: job.options.mathNotation,
+    brailleCode: job.options.brailleCode,
+    // Jobs queued before targets were stored use the deployment's
+    targets: job.options.targets.length ? job.options.targets : undefined
+  }, llm, {
+    onStage: reportStage,
+    // Long text is written in sections, each of which can take minutes; each one keeps the claim alive
+    onChunk: (chunk, count) => {
+      chunks.count = count;
+      chunks[chunk.status === 'failed' ? 'failed' : 'completed']++;
+      return heartbeat({ chunks });
+    }
+  });
+
+  // Throws when another worker has taken the job over, so a job's note is saved by one worker only
+  await reportStage('save', 'running');
+  const savedNote = await saveNotes(noteData);
+  await reportStage('save', 'completed');
+
+  // The note keeps the audio's name; the upload itself is no longer needed
+  await Job.updateOne({ _id: job._id }, { $unset: { 'input.audio.data': '' } });
+  return { noteId: savedNote._id };
+};
+
+// Queue worker in this process, started on first use (JOB_WORKER=off leaves jobs to scripts/jobWorker.js)
+let jobQueue = null;
+const startJobWorker = () => {
+  if (!jobQueue) {
+    // A failed job is not run again, so its input (up to 10 MB of audio) is not kept
+    jobQueue = new JobQueue({
+      model: Job,
+      handler: runGenerationJob,
+      discardOnFailure: ['input.audio.data', 'input.content']
+    });
+    jobQueue.start();
+    console.log('✅ Notes generation job worker started');
+  }
+  return jobQueue;
+};
+
+// Queue a notes generation request (the /generate-notes input) and return the job
+// input is { type, content, mathNotation, brailleCode, targets, provider } where content is text or an uploaded
+// audio file and targets comes from readTargets (default: the deployment's targets)
+const enqueueGenerationJob = async (input) => {
+  const targets = input.targets || readTargets();
+  const audio = typeof input.content === 'string'
+    ? undefined
+    : { data: input.content.buffer, mimetype: input.content.mimetype, originalname: input.content.originalname };
+
+  const job = await Job.create({
+    stages: generationStages(targets).map(name => ({ name })),
+    input: {
+      type: input.type,
+      content: typeof input.content === 'string' ? input.content : undefined,
+      audio
+    },
+    options: {
+      mathNotation: input.mathNotation,
+      brailleCode: input.brailleCode,
+      targets,
+      provider: input.provider
+    }
+  });
+  console.log('✅ Notes generation job queued:', job._id);
+
+  if (process.env.JOB_WORKER !== 'off') {
+    startJobWorker().kick();
+  }
+  return job;
+};
+
+// Get a notes generation job: its status, progress per stage and, once completed, the note ID
+const getJob = async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id).select('-input.audio.data -input.content');
+    if (!job) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Job not found'
+      });
+    }
+
+    const finished = job.stages.filter(stage => ['completed', 'skipped'].includes(stage.status)).length;
+    res.json({
+      status: 'success',
+      job_id: job._id,
+      job_status: job.status,
+      stages: job.stages.map(stage => ({
+        name: stage.name,
+        status: stage.status,
+        started_at: stage.startedAt,
+        completed_at: stage.completedAt
+      })),
+      progress: job.stages.length ? Math.round((finished / job.stages.length) * 100) : 0,
+      // Sections of long text written so far, while the notes stage runs
+      chunk_progress: job.chunks && job.chunks.count
+        ? { completed: job.chunks.completed, failed: job.chunks.failed, count: job.chunks.count }
+        : null,
+      // Sections that failed are left out of the notes
+      warnings: job.chunks && job.chunks.count ? chunkingWarnings(job.chunks.completed, job.chunks.count) : [],
+      note_id: job.noteId || null,
+      error: job.error || null,
+      attempts: job.attempts,
+      created_at: job.createdAt,
+      started_at: job.startedAt,
+      completed_at: job.completedAt
+    });
+  } catch (error) {
+    console.error('❌ Error fetching job:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch job',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  enqueueGenerationJob,
+  startJobWorker,
+  getJob
+};
@@ -1,28 +1,53 @@
 const Note = require('../models/Note');
 const BrailleConverter = require('../utils/brailleConverter');
+const BrailleRegistry = require('../utils/brailleRegistry');
+const BrailleOptions = require('../utils/brailleOptions');
 
-// Initialize Braille converter
+// Initialize Braille converters (UEB for English, Bharati tables per Indian language)
 const brailleConverter = new BrailleConverter();
+const brailleRegistry = new BrailleRegistry();
+const brailleOptions = new BrailleOptions();
+
+// Notes and Braille of every language notes can be generated in, as searched by getAllNotes
+const SEARCH_FIELDS = brailleRegistry.listCodes()
+  .flatMap(code => [`generatedNotes.${code}.notes`, `generatedNotes.${code}.braille`]);
+
+// Validation result as stored on a note (the counts are not named errors, which Mongoose reserves)
+const summarizeValidation = ({ valid, errors, warnings, diagnostics }) => ({
+  downgraded: !valid,
+  errorCount: errors,
+  warningCount: warnings,
+  diagnostics
+});
 
 // Save generated notes to database (multi-language support)
 const saveNotes = async (noteData) => {
   try {
     const note = new Note({
       inputType: noteData.input_type,
-      generatedNotes: {
-        english: noteData.generated_notes.english,
-        hindi: noteData.generated_notes.hindi,
-        braille: noteData.generated_notes.braille
-      },
+      generatedNotes: Object.fromEntries(Object.entries(noteData.generated_notes).map(([code, entry]) => [code, {
+        language: entry.language,
+        notes: entry.notes,
+        braille: entry.braille || '',
+        brailleTable: entry.braille_table,
+        brailleValidation: entry.braille_validation
+      }])),
       detectedLanguage: noteData.detected_language || 'unknown',
       detectedSubject: noteData.detected_subject || 'General',
       originalContent: noteData.original_content || '',
       processingMetadata: {
         originalLanguage: noteData.original_language || 'unknown',
+        primaryLanguage: noteData.primary_language || 'en',
+        targets: noteData.targets,
         translationModel: noteData.model_used || 'gemini-2.5-flash-lite',
+        llmProvider: noteData.llm_provider || 'gemini',
         brailleGrade: 'Grade2',
+        brailleTable: noteData.braille_table || 'en-ueb-g2',
+        mathNotation: noteData.math_notation || 'ueb',
+        brailleCode: noteData.braille_code || 'literary',
         processingTime: noteData.processing_time || 0
-      }
+      },
+      chunking: noteData.chunking
     });
 
     const savedNote = await note.save();
@@ -35,43 +60,115 @@ const saveNotes = async (noteData) => {
 };
 
 // Generate notes in multiple languages
-const generateMultiLanguageNotes = async (model, userPrompt, audioFile = null) => {
+// The notes are written in the detected language (the primary language), then translated to each target
+// language, and each version is transcribed to Braille with its language's table when 'braille' is a target.
+// options.targets lists language codes and 'braille' (see readTargets in generationController; default
+// en, hi and braille), options.mathNotation picks how formulas are written in Braille ('ueb', 'nemeth' or
+// 'none'), options.brailleCode 'computer' writes the primary notes wholly in 8-dot computer Braille,
+// options.sourceText is the text the notes are made from, for providers that do not read prompts,
+// options.onStage(stage, status, result) is awaited as the notes, translation (one stage per target
+// language, named by language) and braille stages start and complete; completed stages pass their result
+// ({ language, notes } for notes and translations, the Braille versions by language for braille),
+// options.onToken(text), when given, streams the primary notes as the model writes them,
+// options.writeNotes(onToken), when given, writes the primary notes instead of userPrompt (chunked long input),
+// options.maxOutputTokens raises the token limit of the translations for long notes
+const generateMultiLanguageNotes = async (provider, userPrompt, audioFile = null, language = 'unknown', options = {}) => {
   const startTime = Date.now();
-  const results = {};
+  const {
+    sourceText,
+    targets = ['en', 'hi', 'braille'],
+    onStage = async () => {},
+    onToken,
+    writeNotes,
+    maxOutputTokens,
+    ...conversionOptions
+  } = options;
 
   try {
-    // Generate English notes
-    console.log('🔄 Generating English notes...');
-    const englishResult = await generateSingleLanguageNotes(model, userPrompt, 'english', audioFile);
-    results.english = englishResult;
+    // Generate notes in the primary language
+    console.log('🔄 Generating notes...');
+    await onStage('notes', 'running');
+    const primaryResult = writeNotes
+      ? await writeNotes(onToken)
+      : await generateSingleLanguageNotes(provider, userPrompt, 'primary', audioFile, {
+        input: sourceText,
+        onToken
+      });
 
-    // Generate Hindi notes
-    console.log('🔄 Generating Hindi notes...');
-    const hindiPrompt = `Translate the following English academic notes to Hindi while maintaining the same structure, formatting, and academic quality. Keep all technical terms accurate and use appropriate Hindi academic vocabulary:
+    // Audio uploads are not language-detected up front, so fall back to the script of the notes. Without
+    // Braille, the notes can be in a language that has no Braille table
+    const primaryLanguage = brailleRegistry.normalizeLanguage(language)
+      ? language
+      : brailleRegistry.detectLanguage(primaryResult);
+    const primary = targets.includes('braille')
+      ? brailleRegistry.get(primaryLanguage)
+      : brailleRegistry.describe(primaryLanguage);
+    const notes = { [primary.code]: { language: primary.language, notes: primaryResult } };
+    await onStage('notes', 'completed', { language: primary.code, notes: primaryResult });
 
-${englishResult}
+    // Translate the notes to each target language
+    for (const code of targets.filter(target => target !== 'braille')) {
+      const target = brailleRegistry.get(code);
+      const stage = target.language.toLowerCase();
+      if (target.code === primary.code) {
+        await onStage(stage, 'skipped');
+        continue;
+      }
 
-Generate the complete notes in Hindi with the same structure (Title, Introduction, Headings, Lists, Key Definitions).`;
-    
-    const hindiResult = await generateSingleLanguageNotes(model, hindiPrompt, 'hindi');
-    results.hindi = hindiResult;
-
-    // Generate Braille notes (convert English to Braille)
-    console.log('🔄 Converting English notes to Braille...');
-    const brailleResult = brailleConverter.convertAcademicNotes(englishResult);
-    results.braille = brailleResult;
-
-    // Validate Braille conversion
-    if (!brailleConverter.isValidBraille(brailleResult)) {
-      console.warn('⚠️ Braille conversion may have issues, using fallback...');
-      results.braille = brailleConverter.textToBraille(englishResult, true);
+      console.log(`🔄 Generating ${target.language} notes...`);
+      await onStage(stage, 'running');
+      const translatePrompt = `Translate the following academic notes to ${target.language} while maintaining the same structure, formatting, and academic quality. Keep all technical terms accurate and use appropriate ${target.language} academic vocabulary:
+
+${primaryResult}
+
+Generate the complete notes in ${target.language} with the same structure (Title, Introduction, Headings, Lists, Key Definitions).`;
+
+      const translation = await generateSingleLanguageNotes(provider, translatePrompt, stage, null, {
+        task: 'translate',
+        input: primaryResult,
+        maxOutputTokens
+      });
+      notes[target.code] = { language: target.language, notes: translation };
+      await onStage(stage, 'completed', { language: target.code, notes: translation });
+    }
+
+    if (targets.includes('braille')) {
+      await onStage('braille', 'running');
+      for (const [code, entry] of Object.entries(notes)) {
+        const { table, converter } = brailleRegistry.get(code);
+        // Computer Braille is for the primary notes; translations are literary Braille
+        const notesOptions = code === primary.code
+          ? conversionOptions
+          : { ...conversionOptions, brailleCode: 'literary' };
+
+        // Convert the notes with the table for their language
+        console.log(`🔄 Converting ${entry.language} notes to Braille (${table})...`);
+        entry.brailleTable = table;
+        entry.braille = converter.convertAcademicNotes(entry.notes, notesOptions);
+
+        // Validate Braille conversion; notes with errors fall back to plain text conversion
+        const validation = converter.validateBraille(entry.braille, notesOptions);
+        if (!validation.valid) {
+          console.warn(`⚠️ ${entry.language} Braille conversion has ${validation.errors} errors, using fallback...`);
+          entry.braille = converter.textToBraille(entry.notes, true, notesOptions);
+        }
+        // Diagnostics are those of the conversion that was checked; downgraded means the fallback was kept
+        entry.brailleValidation = summarizeValidation(validation);
+      }
+      await onStage('braille', 'completed', Object.fromEntries(Object.entries(notes).map(([code, entry]) => [code, {
+        braille: entry.braille,
+        brailleTable: entry.brailleTable,
+        brailleValidation: entry.brailleValidation
+      }])));
     }
 
     const processingTime = Date.now() - startTime;
     console.log(`✅ Multi-language generation completed in ${processingTime}ms`);
 
     return {
-      ...results,
+      notes,
+      primaryLanguage: primary.code,
+      brailleTable: primary.table,
       processingTime
     };
 
@@ -81,47 +178,29 @@ Generate the complete notes in Hindi with the same structure (Title, Introductio
   }
 };
 
-// Generate notes in a single language
-const generateSingleLanguageNotes = async (model, prompt, language = 'english', audioFile = null) => {
-  try {
-    let result;
-    
-    if (audioFile) {
-      // Include audio file in the request
-      result = await model.generateContent({
-        contents: [{ 
-          role: "user", 
-          parts: [
-            { text: prompt },
-            {
-              inlineData: {
-                mimeType: audioFile.mimetype,
-                data: audioFile.buffer.toString('base64')
-              }
-            }
-          ]
-        }],
-        generationConfig: {
-          temperature: 0.2,
-          topK: 40,
-          topP: 0.8,
-          maxOutputTokens: 2048,
-        },
-      });
-    } else {
-      // Text-only request
-      result = await model.generateContent({
-        contents: [{ role: "user", parts: [{ text: prompt }] }],
-        generationConfig: {
-          temperature: 0.2,
-          topK: 40,
-          topP: 0.8,
-          maxOutputTokens: 2048,
-        },
-      });
-    }
+// Generate notes in a single language with a language model provider (see LlmProvider)
+// request.task is 'notes' (default), 'translate' or 'merge'; request.input is the text the notes are made from,
+// request.sections the notes merged (merge); request.onToken streams the notes as they are generated;
+// request.maxOutputTokens overrides the 2048 token limit
+const generateSingleLanguageNotes = async (provider, prompt, language = 'english', audioFile = null, request = {}) => {
+  const generation = {
+    task: request.task || 'notes',
+    prompt,
+    input: request.input || '',
+    sections: request.sections,
+    audioFile,
+    generationConfig: {
+      temperature: 0.2,
+      topK: 40,
+      topP: 0.8,
+      maxOutputTokens: request.maxOutputTokens || 2048,
+    },
+  };
 
-    return result.response.text();
+  try {
+    return request.onToken
+      ? await provider.streamText(generation, request.onToken)
+      : await provider.generateText(generation);
   } catch (error) {
     console.error(`❌ Error generating ${language} notes:`, error.message);
     throw error;
@@ -158,9 +237,7 @@ const getAllNotes = async (req, res) => {
     const searchTerm = req.query.search || req.query.q;
     if (searchTerm) {
       query.$or = [
-        { 'generatedNotes.english': { $regex: searchTerm, $options: 'i' } },
-        { 'generatedNotes.hindi': { $regex: searchTerm, $options: 'i' } },
-        { 'generatedNotes.braille': { $regex: searchTerm, $options: 'i' } },
+        ...SEARCH_FIELDS.map(field => ({ [field]: { $regex: searchTerm, $options: 'i' } })),
         { inputType: { $regex: searchTerm, $options: 'i' } },
         { detectedLanguage: { $regex: searchTerm, $options: 'i' } },
         { detectedSubject: { $regex: searchTerm, $options: 'i' } },
@@ -226,7 +303,51 @@ const getAllNotes = async (req, res) => {
   }
 };
 
-// Get a specific note by ID
+// The notes of a note in each language with the table and Braille code their Braille is written in
+// (computer Braille is only used for the notes in the primary language)
+const getBrailleSources = (note) => [...note.generatedNotes.entries()]
+  .map(([code, entry]) => ({
+    code,
+    entry,
+    table: entry.brailleTable || brailleRegistry.describe(code).table,
+    brailleCode: code === note.processingMetadata.primaryLanguage ? note.processingMetadata.brailleCode : 'literary'
+  }))
+  // Notes in a language without a Braille table were generated without Braille
+  .filter(source => source.table);
+
+// Alignment between a note's print and its Braille, by language: for each print word, its offsets in the
+// notes and in the Braille. The Braille is converted again, so it is returned with the segments
+const buildNoteAlignment = (note) => {
+  const alignment = {};
+  for (const { code, entry, table, brailleCode } of getBrailleSources(note)) {
+    if (!entry.notes) {
+      continue;
+    }
+    const { converter } = brailleRegistry.getByTable(table);
+    const aligned = converter.alignAcademicNotes(entry.notes, { mathNotation: note.processingMetadata.mathNotation, brailleCode });
+    alignment[code] = {
+      braille: aligned.braille,
+      matchesStored: aligned.braille === entry.braille,
+      segments: converter.alignWords(entry.notes, aligned.alignment)
+    };
+  }
+  return alignment;
+};
+
+// Validate a note's Braille as it is stored now, by language (it may have been edited since it was generated)
+const buildNoteValidation = (note, cellsPerLine) => {
+  const validation = {};
+  for (const { code, entry, table, brailleCode } of getBrailleSources(note)) {
+    if (entry.braille) {
+      const { converter } = brailleRegistry.getByTable(table);
+      validation[code] = converter.validateBraille(entry.braille, { cellsPerLine, brailleCode });
+    }
+  }
+  return validation;
+};
+
+// Get a specific note by ID (?alignment=true to include print/Braille alignment,
+// ?validate=true to check the stored Braille again, with &cells= to also check line lengths)
 const getNoteById = async (req, res) => {
   try {
     const note = await Note.findById(req.params.id);
@@ -236,10 +357,32 @@ const getNoteById = async (req, res) => {
         message: 'Note not found'
       });
     }
-    res.json({
+
+    const response = {
       status: 'success',
       note: note
-    });
+    };
+
+    // ?alignment=true adds print-to-Braille word positions for synchronized highlighting
+    if (req.query.alignment === 'true') {
+      response.alignment = buildNoteAlignment(note);
+    }
+
+    if (req.query.validate === 'true') {
+      let cellsPerLine;
+      try {
+        ({ cellsPerLine } = brailleOptions.read({ cells: req.query.cells }));
+      } catch (error) {
+        return res.status(400).json({
+          status: 'error',
+          message: error.message
+        });
+      }
+      // Line lengths are only checked when the request gives a page width
+      response.validation = buildNoteValidation(note, req.query.cells !== undefined ? cellsPerLine : undefined);
+    }
+
+    res.json(response);
   } catch (error) {
     console.error('❌ Error fetching note:', error.message);
     res.status(500).json({
@@ -257,10 +400,11 @@ const updateNote = async (req, res) => {
     const { generatedNotes, detectedLanguage, detectedSubject, originalContent } = req.body;
 
     // Validate required fields - now expecting multi-language structure
-    if (!generatedNotes || (!generatedNotes.english && !generatedNotes.hindi && !generatedNotes.braille)) {
+    // generatedNotes is keyed by language code or name: { ta: { notes, braille } }, or { ta: 'notes' }
+    if (!generatedNotes || typeof generatedNotes !== 'object' || !Object.keys(generatedNotes).length) {
       return res.status(400).json({
         status: 'error',
-        message: 'generatedNotes with at least one language (english, hindi, or braille) is required'
+        message: 'generatedNotes with at least one language (e.g. { "en": { "notes": "...", "braille": "..." } }) is required'
       });
     }
 
@@ -269,17 +413,24 @@ const updateNote = async (req, res) => {
       updatedAt: new Date()
     };
 
-    // Update generatedNotes if provided
-    if (generatedNotes) {
-      updateData.generatedNotes = {};
-      if (generatedNotes.english !== undefined) {
-        updateData['generatedNotes.english'] = generatedNotes.english;
+    // Update the notes and Braille of each language given
+    for (const [key, value] of Object.entries(generatedNotes)) {
+      let language;
+      try {
+        language = brailleRegistry.get(key);
+      } catch (error) {
+        return res.status(400).json({
+          status: 'error',
+          message: `Unknown language "${key}" in generatedNotes. Supported languages: ${brailleRegistry.listCodes().join(', ')}`
+        });
       }
-      if (generatedNotes.hindi !== undefined) {
-        updateData['generatedNotes.hindi'] = generatedNotes.hindi;
+      const { notes, braille } = typeof value === 'string' ? { notes: value } : (value || {});
+      updateData[`generatedNotes.${language.code}.language`] = language.language;
+      if (notes !== undefined) {
+        updateData[`generatedNotes.${language.code}.notes`] = notes;
       }
-      if (generatedNotes.braille !== undefined) {
-        updateData['generatedNotes.braille'] = generatedNotes.braille;
+      if (braille !== undefined) {
+        updateData[`generatedNotes.${language.code}.braille`] = braille;
       }
     }
 
@@ -352,6 +503,81 @@ const deleteNote = async (req, res) => {
   }
 };
 
+// Back-translate a note's English Braille to print, alongside the English notes it was transcribed from
+// (back-translation reads UEB and computer Braille, so notes in other languages are not back-translated)
+const backTranslateNote = async (req, res) => {
+  try {
+    const note = await Note.findById(req.params.id);
+    if (!note) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Note not found'
+      });
+    }
+
+    const language = 'en';
+    const entry = note.getNotes(language);
+    if (!entry || !entry.braille) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Back-translation reads English Braille only, and the note has none'
+      });
+    }
+
+    // Computer Braille is only used for the notes in the primary language
+    const brailleCode = note.processingMetadata.primaryLanguage === language
+      ? note.processingMetadata.brailleCode
+      : 'literary';
+    const grade = req.query.grade || note.processingMetadata.brailleGrade;
+    res.json({
+      status: 'success',
+      note_id: note._id,
+      // Language of the Braille and print given, and the language the notes were written in
+      language: language,
+      primary_language: note.processingMetadata.primaryLanguage,
+      grade: grade,
+      braille_code: brailleCode,
+      braille: entry.braille,
+      back_translation: brailleCode === 'computer'
+        ? brailleConverter.computerBraille.toText(entry.braille)
+        : brailleConverter.brailleToText(entry.braille, grade !== 'Grade1'),
+      print: entry.notes
+    });
+  } catch (error) {
+    console.error('❌ Error back-translating note:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to back-translate note',
+      error: error.message
+    });
+  }
+};
+
+// Back-translate arbitrary Braille (e.g. typed by a student) to print
+const backTranslateBraille = (req, res) => {
+  const { braille, grade = 'Grade2' } = req.body || {};
+
+  if (!braille || !brailleConverter.isValidBraille(braille)) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'braille is required and must contain only Unicode Braille Patterns'
+    });
+  }
+  if (!['Grade1', 'Grade2'].includes(grade)) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Invalid grade. Must be one of: Grade1, Grade2'
+    });
+  }
+
+  res.json({
+    status: 'success',
+    grade: grade,
+    braille: braille,
+    back_translation: brailleConverter.brailleToText(braille, grade !== 'Grade1')
+  });
+};
+
 module.exports = {
   saveNotes,
   generateMultiLanguageNotes,
@@ -359,5 +585,7 @@ module.exports = {
   getAllNotes,
   getNoteById,
   updateNote,
-  deleteNote
+  deleteNote,
+  backTranslateNote,
+  backTranslateBraille
 };
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+// Progress of one stage of a job
+const jobStageSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    default: 'pending',
+    enum: ['pending', 'running', 'completed', 'skipped', 'failed']
+  },
+  startedAt: Date,
+  completedAt: Date
+}, { _id: false });
+
+// A notes generation request run by the job queue (utils/jobQueue.js) instead of inside the HTTP request
+const jobSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    default: 'queued',
+    enum: ['queued', 'running', 'completed', 'failed']
+  },
+  // Stages in the order they run, which depend on the targets (controllers/generationController.js)
+  stages: [jobStageSchema],
+  // What was posted to /generate-notes; uploaded audio is kept until the job completes
+  input: {
+    type: {
+      type: String,
+      required: true,
+      enum: ['text', 'audio']
+    },
+    content: String,
+    audio: {
+      data: Buffer,
+      mimetype: String,
+      originalname: String
+    }
+  },
+  options: {
+    mathNotation: {
+      type: String,
+      default: 'ueb',
+      enum: ['ueb', 'nemeth', 'none']
+    },
+    brailleCode: {
+      type: String,
+      default: 'literary',
+      enum: ['literary', 'computer']
+    },
+    // Languages and outputs to generate (see readTargets in controllers/generationController.js)
+    targets: [String],
+    provider: String
+  },
+  // The saved note, once the job completes
+  noteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note'
+  },
+  error: String,
+  // Sections written so far when long text is written in sections (see writeChunkedNotes)
+  chunks: {
+    count: Number,
+    completed: Number,
+    failed: Number
+  },
+  // Runs started, and the worker running the job with when it last reported progress
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  workerId: String,
+  lockedAt: Date,
+  startedAt: Date,
+  completedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Workers claim the oldest queued job
+jobSchema.index({ status: 1, createdAt: 1 });
+
+// Update the updatedAt field before saving
+jobSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -1,25 +1,80 @@
 const mongoose = require('mongoose');
 
+// A problem found in generated Braille (utils/brailleValidator.js)
+const brailleDiagnosticSchema = new mongoose.Schema({
+  code: String,
+  severity: {
+    type: String,
+    enum: ['error', 'warning']
+  },
+  position: Number,
+  line: Number,
+  column: Number,
+  message: String
+}, { _id: false });
+
+// Validation of one Braille version; downgraded means it was replaced by a plain text conversion
+const brailleValidationSchema = new mongoose.Schema({
+  downgraded: {
+    type: Boolean,
+    default: false
+  },
+  errorCount: {
+    type: Number,
+    default: 0
+  },
+  warningCount: {
+    type: Number,
+    default: 0
+  },
+  diagnostics: [brailleDiagnosticSchema]
+}, { _id: false });
+
+// Notes in one language, with their Braille when Braille was a target
+const languageNotesSchema = new mongoose.Schema({
+  // Language name as in utils/brailleRegistry.js (e.g. 'Tamil')
+  language: String,
+  notes: {
+    type: String,
+    default: ''
+  },
+  braille: {
+    type: String,
+    default: ''
+  },
+  // Braille table the notes were transcribed with (config/brailleTables)
+  brailleTable: String,
+  // Validation of the Braille when the notes were generated
+  brailleValidation: brailleValidationSchema
+}, { _id: false });
+
+// One section of long input, written separately before the sections were merged; start and end are
+// character offsets in the original content
+const noteChunkSchema = new mongoose.Schema({
+  index: Number,
+  start: Number,
+  end: Number,
+  status: {
+    type: String,
+    enum: ['completed', 'failed']
+  },
+  error: String,
+  processingTime: Number // milliseconds
+}, { _id: false });
+
 const noteSchema = new mongoose.Schema({
   inputType: {
     type: String,
     required: true,
     enum: ['text', 'audio']
   },
-  // Multi-language support: store notes in three languages
+  // Multi-language support: notes keyed by language code ('en', 'hi', 'ta', ...), one entry for the language
+  // the notes were written in (processingMetadata.primaryLanguage) and one for each language translated to
+  // (scripts/migrateGeneratedNotes.js converts notes stored with fixed english/hindi/braille fields)
   generatedNotes: {
-    english: {
-      type: String,
-      required: true
-    },
-    hindi: {
-      type: String,
-      required: true
-    },
-    braille: {
-      type: String,
-      required: true
-    }
+    type: Map,
+    of: languageNotesSchema,
+    default: {}
   },
   detectedLanguage: {
     type: String,
@@ -43,16 +98,56 @@ const noteSchema = new mongoose.Schema({
       type: String,
       default: 'gemini-2.5-flash-lite'
     },
+    // Code of the language the notes were written in; the other languages are translated from it
+    primaryLanguage: {
+      type: String,
+      default: 'en'
+    },
+    // Languages and outputs requested (e.g. ['en', 'hi', 'ta', 'braille'])
+    targets: [String],
+    // Language model provider the notes were generated with (gemini, openai or stub)
+    llmProvider: {
+      type: String,
+      default: 'gemini'
+    },
     brailleGrade: {
       type: String,
       default: 'Grade2',
       enum: ['Grade1', 'Grade2']
     },
+    // How formulas in the notes were written in Braille
+    mathNotation: {
+      type: String,
+      default: 'ueb',
+      enum: ['ueb', 'nemeth', 'none']
+    },
+    // Braille code of the notes: literary, or 8-dot computer Braille throughout
+    brailleCode: {
+      type: String,
+      default: 'literary',
+      enum: ['literary', 'computer']
+    },
+    // Braille table the notes in the primary language were transcribed with (config/brailleTables)
+    brailleTable: {
+      type: String,
+      default: 'en-ueb-g2'
+    },
     processingTime: {
       type: Number, // milliseconds
       default: 0
     }
   },
+  // Long input written in sections and merged into one study guide (utils/textChunker.js)
+  chunking: {
+    chunked: {
+      type: Boolean,
+      default: false
+    },
+    chunkSize: Number,
+    chunkCount: Number,
+    completedChunks: Number,
+    chunks: [noteChunkSchema]
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -63,6 +158,11 @@ const noteSchema = new mongoose.Schema({
   }
 });
 
+// Notes in a language (a code such as 'hi'; default: the language they were written in), or null
+noteSchema.methods.getNotes = function(language) {
+  return this.generatedNotes.get(language || this.processingMetadata.primaryLanguage) || null;
+};
+
 // Update the updatedAt field before saving
 noteSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const {
+  translateText,
+  backTranslate,
+  validateBraille
+} = require('../controllers/brailleController');
+
+// Translate text or markdown to Braille (grade, literary or computer code, output=unicode|brf, page size, math notation,
+// table layout, language table)
+router.post('/translate', translateText);
+
+// Back-translate Unicode or ASCII (BRF) Braille to print, literary or computer code
+router.post('/back-translate', backTranslate);
+
+// Check Braille for problems, each with its position and a reason (input=unicode|brf, code, cells, language table)
+router.post('/validate', validateBraille);
+
+module.exports = router;
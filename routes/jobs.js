@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const { getJob } = require('../controllers/jobController');
+
+// Get a notes generation job's status, progress per stage and note ID. Stages are detect, notes, one per
+// target language (by name, e.g. hindi), braille when it is a target, and save (see generationStages); long text
+// adds section progress
+router.get('/:id', getJob);
+
+module.exports = router;
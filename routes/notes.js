@@ -4,15 +4,38 @@ const {
   getAllNotes, 
   getNoteById, 
   updateNote,
-  deleteNote
+  deleteNote,
+  backTranslateNote,
+  backTranslateBraille
 } = require('../controllers/noteController');
+const { exportNote, renderNoteSvg } = require('../controllers/exportController');
+const { openDisplay, sendDisplayCommand } = require('../controllers/displayController');
 
 // Get all notes with comprehensive filtering (search, date filter, pagination)
 router.get('/', getAllNotes);
 
-// Get a specific note by ID
+// Back-translate Braille to print
+router.post('/back-translate', backTranslateBraille);
+
+// Get a specific note by ID (?alignment=true adds print-to-Braille positions, ?validate=true Braille diagnostics)
 router.get('/:id', getNoteById);
 
+// Back-translate a note's Braille to print
+router.get('/:id/back-translate', backTranslateNote);
+
+// Download a note's Braille as a file (?format=brf|pef, page size, math notation, table layout and Braille code)
+router.get('/:id/export', exportNote);
+
+// Draw a note's Braille as dot cells (?print=true adds print words under the Braille, ?page=N one page)
+router.get('/:id/braille.svg', renderNoteSvg);
+
+// Stream a note's Braille to a refreshable Braille display as server-sent events (?cells=14|20|40|80)
+// Sessions are held in memory by the instance that opened them; needs a single-instance deployment
+router.get('/:id/display', openDisplay);
+
+// Pan or jump an open display session (panForward, panBack, heading, listItem, resize)
+router.post('/:id/display/:sessionId', sendDisplayCommand);
+
 // Update a note by ID (all fields except inputType)
 router.put('/:id', updateNote);
 
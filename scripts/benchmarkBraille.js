@@ -0,0 +1,105 @@
+// Braille Benchmark - Conversion throughput on a multi-megabyte lecture notes document
+// Usage: node scripts/benchmarkBraille.js [--size <megabytes>] [--table <table name>]
+
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const BrailleTable = require('../utils/brailleTable');
+const BrailleRegistry = require('../utils/brailleRegistry');
+
+// Sections the document is built from; numbers change from copy to copy
+const SECTIONS = [
+  (n) => `## Lecture ${n}: Thermodynamics\n\nThe **first law** of thermodynamics states that energy cannot be created or destroyed, only transformed. Consider the ENTHALPY of ${n}.5 moles of gas at 300 K; the *internal* energy changes with both heat and work, so $\\Delta U = Q - W$ for a closed system.\n`,
+  (n) => `- Heat flows from hotter bodies to colder ones\n- Entropy of an isolated system never decreases\n  - Reversible processes keep it constant\n- The efficiency of a Carnot engine is $1 - T_c/T_h$\n`,
+  (n) => `| Quantity | Symbol | Unit |\n|---|---|---|\n| Pressure | p | Pa |\n| Volume | V | m³ |\n| Moles | n | ${n} mol |\n`,
+  (n) => `1. Measure the initial temperature\n2. Heat the sample for ${n} minutes\n3. Record the final temperature and pressure\n\n> Note: the apparatus must be insulated, otherwise heat escapes to the surroundings.\n`,
+  (n) => '```\nq = m * c * deltaT\nprint(q)\n```\n\nThe specific heat capacity of water is about 4,186 J per kilogram per kelvin, which is why oceans moderate the climate of coastal regions.\n'
+];
+
+/**
+ * Read a command line option
+ * @param {string} name - Option name without the dashes
+ * @param {string} fallback - Value when the option is not given
+ * @returns {string}
+ */
+const option = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index > -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+};
+
+/**
+ * Build lecture notes of at least the given size
+ * @param {number} bytes - Size to reach
+ * @returns {string} - Markdown notes
+ */
+const buildNotes = (bytes) => {
+  const parts = ['# Physics Lecture Notes\n'];
+  let length = parts[0].length;
+  for (let n = 1; length < bytes; n++) {
+    const section = SECTIONS[n % SECTIONS.length](n) + '\n';
+    parts.push(section);
+    length += section.length;
+  }
+  return parts.join('');
+};
+
+/**
+ * Time a function
+ * @param {Function} fn - Function to run (may be async)
+ * @returns {Promise<object>} - { result, seconds }
+ */
+const time = async (fn) => {
+  const start = process.hrtime.bigint();
+  const result = await fn();
+  return { result, seconds: Number(process.hrtime.bigint() - start) / 1e9 };
+};
+
+const megabytes = (bytes) => (bytes / 1024 / 1024).toFixed(2);
+
+const main = async () => {
+  const size = Number(option('size', '4'));
+  const { table, converter } = new BrailleRegistry().getByTable(option('table', 'en-ueb-g2'));
+  const notes = buildNotes(size * 1024 * 1024);
+  const bytes = Buffer.byteLength(notes);
+
+  console.log(`📄 Input: ${megabytes(bytes)} MB of markdown, table ${table}`);
+
+  // Compiling a table: rules into lookup maps and groupsign tries
+  const definition = require(`../config/brailleTables/${table}.json`);
+  const compile = await time(() => new BrailleTable(definition));
+  console.log(`🔧 Table compile: ${(compile.seconds * 1000).toFixed(1)} ms (${compile.result.groupsignTrie.size} groupsigns)`);
+
+  // Contraction lookups on every word of the input
+  if (converter.table.groupsigns.length) {
+    const words = notes.match(/[A-Za-z]+/g) || [];
+    const lookup = await time(() => words.forEach(word => converter.table.contractWord(word, { standingAlone: true })));
+    console.log(`🔤 Word contraction: ${words.length} words in ${lookup.seconds.toFixed(2)} s (${Math.round(words.length / lookup.seconds)} words/s)`);
+  }
+
+  // The whole document in one call
+  const whole = await time(() => converter.convertAcademicNotes(notes));
+  console.log(`📚 convertAcademicNotes: ${whole.seconds.toFixed(2)} s (${megabytes(bytes / whole.seconds)} MB/s)`);
+
+  // The document streamed in 64 KB chunks
+  const chunks = [];
+  for (let i = 0; i < notes.length; i += 65536) {
+    chunks.push(notes.slice(i, i + 65536));
+  }
+  const stream = converter.createConversionStream();
+  let braille = '';
+  const streamed = await time(() => pipeline(Readable.from(chunks), stream, async (source) => {
+    for await (const chunk of source) {
+      braille += chunk;
+    }
+  }));
+  console.log(`🌊 createConversionStream: ${streamed.seconds.toFixed(2)} s (${megabytes(bytes / streamed.seconds)} MB/s, ${stream.sections} sections)`);
+
+  console.log(braille === whole.result
+    ? `✅ Streamed Braille matches (${megabytes(Buffer.byteLength(braille))} MB)`
+    : '❌ Streamed Braille differs from convertAcademicNotes');
+  console.log(`💾 Peak memory (RSS): ${megabytes(process.resourceUsage().maxRSS * 1024)} MB`);
+};
+
+main().catch(error => {
+  console.error('❌ Benchmark failed:', error.message);
+  process.exit(1);
+});
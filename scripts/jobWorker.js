@@ -0,0 +1,25 @@
+// Notes Generation Worker - Runs queued /generate-notes jobs outside the server
+// For deployments where the server cannot work after responding (e.g. serverless); set JOB_WORKER=off there
+// Usage: node scripts/jobWorker.js
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { startJobWorker } = require('../controllers/jobController');
+
+const main = async () => {
+  if (!process.env.MONGO_URI) {
+    console.error('❌ MONGO_URI environment variable is not set; jobs are stored in the database.');
+    process.exit(1);
+  }
+  await mongoose.connect(process.env.MONGO_URI, { serverSelectionTimeoutMS: 5000 });
+  console.log('✅ MongoDB Connected Successfully');
+
+  startJobWorker();
+  // The queue's poll timer does not keep the process running on its own
+  setInterval(() => {}, 60 * 60 * 1000);
+};
+
+main().catch(error => {
+  console.error('❌ Job worker failed to start:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,145 @@
+// Generated Notes Migration - Converts notes stored with fixed english/hindi/braille/hindiBraille fields
+// into notes keyed by language code (models/Note.js). The english field held the notes in the detected
+// language, so it becomes the entry of that language, with the Braille and its validation
+// Usage: node scripts/migrateGeneratedNotes.js [--dry-run]
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const BrailleRegistry = require('../utils/brailleRegistry');
+
+const brailleRegistry = new BrailleRegistry();
+
+// Notes converted per database write
+const BATCH_SIZE = 100;
+
+// Notes still in the old layout
+const OLD_LAYOUT = {
+  $or: [
+    { 'generatedNotes.english': { $type: 'string' } },
+    { 'generatedNotes.hindi': { $type: 'string' } }
+  ]
+};
+
+/**
+ * Work out the language the old english field was written in: from the table its Braille was
+ * transcribed with, else the detected language, else its script
+ * @param {object} note - Note in the old layout
+ * @returns {object} - Registry entry { language, code, table }
+ */
+const findPrimaryLanguage = (note) => {
+  const metadata = note.processingMetadata || {};
+  if (metadata.brailleTable) {
+    try {
+      return brailleRegistry.getByTable(metadata.brailleTable);
+    } catch (error) {
+      // An unknown table falls through to the detected language
+    }
+  }
+  try {
+    if (brailleRegistry.normalizeLanguage(note.detectedLanguage)) {
+      return brailleRegistry.get(note.detectedLanguage);
+    }
+  } catch (error) {
+    // A language without a table falls through to the script
+  }
+  return brailleRegistry.get(brailleRegistry.detectLanguage(note.generatedNotes.english || ''));
+};
+
+/**
+ * Build the update that moves a note to the new layout
+ * @param {object} note - Note in the old layout
+ * @returns {object} - { $set, $unset } for updateOne
+ */
+const buildUpdate = (note) => {
+  const old = note.generatedNotes;
+  const validation = note.brailleValidation || {};
+  const primary = findPrimaryLanguage(note);
+  const hindi = brailleRegistry.get('hi');
+
+  const generatedNotes = {
+    [primary.code]: {
+      language: primary.language,
+      notes: old.english || '',
+      braille: old.braille || '',
+      brailleTable: primary.table,
+      brailleValidation: validation.braille
+    }
+  };
+  // Notes written in Hindi were "translated" to Hindi as well; the notes as written are kept
+  if (old.hindi && primary.code !== hindi.code) {
+    generatedNotes[hindi.code] = {
+      language: hindi.language,
+      notes: old.hindi,
+      braille: old.hindiBraille || '',
+      brailleTable: hindi.table,
+      brailleValidation: validation.hindiBraille
+    };
+  }
+
+  return {
+    $set: {
+      generatedNotes,
+      'processingMetadata.primaryLanguage': primary.code,
+      'processingMetadata.brailleTable': primary.table,
+      'processingMetadata.targets': [...new Set([primary.code, hindi.code]), 'braille']
+    },
+    $unset: { brailleValidation: '' }
+  };
+};
+
+const main = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  if (!process.env.MONGO_URI) {
+    console.error('❌ MONGO_URI environment variable is not set');
+    process.exit(1);
+  }
+  await mongoose.connect(process.env.MONGO_URI, { serverSelectionTimeoutMS: 5000 });
+  console.log('✅ MongoDB Connected Successfully');
+
+  // The raw collection, as the Note model no longer reads the old layout
+  const notes = mongoose.connection.collection('notes');
+  const total = await notes.countDocuments(OLD_LAYOUT);
+  console.log(`🔄 ${total} notes to migrate${dryRun ? ' (dry run, nothing is written)' : ''}`);
+
+  let migrated = 0;
+  let failed = 0;
+  let batch = [];
+  const flush = async () => {
+    if (batch.length && !dryRun) {
+      await notes.bulkWrite(batch, { ordered: false });
+    }
+    migrated += batch.length;
+    batch = [];
+  };
+
+  for await (const note of notes.find(OLD_LAYOUT)) {
+    try {
+      const update = buildUpdate(note);
+      if (dryRun) {
+        console.log(`${note._id}: ${Object.keys(update.$set.generatedNotes).join(', ')} (primary ${update.$set['processingMetadata.primaryLanguage']})`);
+      }
+      batch.push({ updateOne: { filter: { _id: note._id }, update } });
+    } catch (error) {
+      failed++;
+      console.error(`❌ Note ${note._id} not migrated:`, error.message);
+    }
+    if (batch.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  console.log(`✅ ${migrated} notes ${dryRun ? 'would be ' : ''}migrated${failed ? `, ${failed} failed` : ''}`);
+  await mongoose.disconnect();
+  process.exit(failed ? 1 : 0);
+};
+
+// Run when called from the command line; tests require the update builder alone
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { buildUpdate, findPrimaryLanguage };
@@ -0,0 +1,106 @@
+// Braille Display - Lines cut into display windows, panning through them and jumping between headings
+// and list items
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const BrailleDisplay = require('../utils/brailleDisplay');
+
+// Words of three, four and five cells: '⠁⠁⠁ ⠃⠃⠃⠃ ⠉⠉⠉⠉⠉'
+const LONG_LINE = ['⠁⠁⠁', '⠃⠃⠃⠃', '⠉⠉⠉⠉⠉'].join(' ');
+
+const blocks = [
+  { type: 'title', braille: '⠞⠊⠞⠇⠑' },
+  { type: 'paragraph', braille: LONG_LINE },
+  { type: 'blank', braille: '' },
+  { type: 'heading', level: 2, braille: '⠓⠑⠁⠙' },
+  { type: 'listItem', braille: '⠊⠞⠑⠍⠁' },
+  { type: 'listItem', braille: '⠊⠞⠑⠍⠃' }
+];
+
+describe('segments', () => {
+  it('breaks a line after the last whole word that fits', () => {
+    const display = new BrailleDisplay([], { cells: 9 });
+    assert.deepEqual(display.segmentLine(LONG_LINE), [[0, 8], [9, 14]]);
+  });
+
+  it('cuts a word longer than the display at its width', () => {
+    const display = new BrailleDisplay([], { cells: 4 });
+    assert.deepEqual(display.segmentLine('⠉⠉⠉⠉⠉⠉'), [[0, 4], [4, 6]]);
+  });
+
+  it('leaves out blocks with no Braille', () => {
+    const display = new BrailleDisplay(blocks, { cells: 9 });
+    assert.equal(display.current().lineCount, 5);
+  });
+});
+
+describe('panning', () => {
+  it('shows the rest of a line before the next line', () => {
+    const display = new BrailleDisplay(blocks, { cells: 9 });
+    assert.equal(display.current().braille, '⠞⠊⠞⠇⠑');
+    assert.ok(display.current().atStart);
+
+    const shown = [];
+    while (display.panForward()) {
+      shown.push(display.current().braille);
+    }
+    assert.deepEqual(shown, ['⠁⠁⠁ ⠃⠃⠃⠃', '⠉⠉⠉⠉⠉', '⠓⠑⠁⠙', '⠊⠞⠑⠍⠁', '⠊⠞⠑⠍⠃']);
+    assert.ok(display.current().atEnd);
+  });
+
+  it('pans back to the end of the line before', () => {
+    const display = new BrailleDisplay(blocks, { cells: 9 });
+    display.jumpTo('heading', 1);
+    assert.ok(display.panBack());
+    assert.deepEqual([display.current().line, display.current().segment], [1, 1]);
+    display.panBack();
+    display.panBack();
+    assert.ok(!display.panBack());
+  });
+
+  it('keeps its place in the line when resized', () => {
+    const display = new BrailleDisplay(blocks, { cells: 9 });
+    display.panForward();
+    display.panForward();
+    display.resize(20);
+    assert.equal(display.current().braille, LONG_LINE);
+  });
+});
+
+describe('jumps', () => {
+  it('jumps between headings and list items', () => {
+    const display = new BrailleDisplay(blocks, { cells: 9 });
+    assert.ok(display.jumpTo('heading', 'next'));
+    assert.equal(display.current().type, 'heading');
+    assert.equal(display.current().level, 2);
+    assert.ok(display.jumpTo('listItem', 'last'));
+    assert.equal(display.current().braille, '⠊⠞⠑⠍⠃');
+    assert.ok(display.jumpTo('listItem', 'previous'));
+    assert.equal(display.current().braille, '⠊⠞⠑⠍⠁');
+    assert.ok(display.jumpTo('heading', 0));
+    assert.equal(display.current().type, 'title');
+  });
+
+  it('stays put when there is nothing to jump to', () => {
+    const display = new BrailleDisplay(blocks, { cells: 9 });
+    display.jumpTo('listItem', 'last');
+    assert.ok(!display.jumpTo('listItem', 'next'));
+    assert.ok(!display.jumpTo('heading', 5));
+    assert.equal(display.current().braille, '⠊⠞⠑⠍⠃');
+  });
+
+  it('lists headings for a table of contents', () => {
+    const display = new BrailleDisplay(blocks, { cells: 9 });
+    assert.deepEqual(display.headings(), [
+      { index: 0, line: 0, level: 1, braille: '⠞⠊⠞⠇⠑' },
+      { index: 1, line: 2, level: 2, braille: '⠓⠑⠁⠙' }
+    ]);
+    assert.equal(display.countListItems(), 2);
+  });
+
+  it('rejects unknown jumps', () => {
+    const display = new BrailleDisplay(blocks);
+    assert.throws(() => display.jumpTo('table', 'next'), { code: 'INVALID_DISPLAY_COMMAND' });
+    assert.throws(() => display.jumpTo('heading', 'sideways'), { code: 'INVALID_DISPLAY_COMMAND' });
+  });
+});
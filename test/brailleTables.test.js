@@ -0,0 +1,56 @@
+// Braille Tables - Table layouts chosen by the converter and table rows laid out by the formatter
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const BrailleConverter = require('../utils/brailleConverter');
+const BrailleFormatter = require('../utils/brailleFormatter');
+
+const converter = new BrailleConverter();
+
+// Three columns, too wide for a 20-cell line in columns
+const TABLE = [
+  '| Element name | Symbol used | Atomic mass value |',
+  '|---|---|---|',
+  '| Hydrogen gas | H | 1.008 grams |',
+  '| Oxygen gas | O | 15.999 grams |'
+].join('\n');
+
+describe('table layout', () => {
+  it('lays a table out in columns when they fit the line', () => {
+    const blocks = converter.convertAcademicNotesToBlocks('| A | B |\n|---|---|\n| 1 | 2 |', { cellsPerLine: 40 });
+    assert.ok(blocks.some(block => block.type === 'tableRow'));
+  });
+
+  it('does not use columns wider than the line, even when asked for', () => {
+    for (const tableFormat of ['auto', 'columns']) {
+      const blocks = converter.convertAcademicNotesToBlocks(TABLE, { cellsPerLine: 20, tableFormat });
+      assert.ok(!blocks.some(block => block.type === 'tableRow'), tableFormat);
+      assert.ok(blocks.some(block => block.type === 'listItem'), tableFormat);
+    }
+  });
+});
+
+describe('table rows on pages', () => {
+  const formatter = new BrailleFormatter({ cellsPerLine: 20, linesPerPage: 5, printPageNumbers: true });
+  const row = (cells) => ({ type: 'tableRow', braille: '⠁'.repeat(cells) });
+  const pages = formatter.format([row(40), row(18), row(18), row(18), row(18), row(33)]);
+
+  it('never writes a line longer than the page width', () => {
+    for (const page of pages) {
+      for (const line of page.lines) {
+        assert.ok(line.length <= 20, `page ${page.number}: ${line.length} cells`);
+      }
+    }
+  });
+
+  it('never leaves a page blank', () => {
+    for (const page of pages) {
+      assert.ok(page.lines.some(line => /[⠁-⣿]/.test(line.replace(/⠼.*$/, ''))), `page ${page.number}`);
+    }
+  });
+
+  it('writes a row that fits on one line unchanged', () => {
+    const lines = pages.flatMap(page => page.lines.map(line => line.trim()));
+    assert.equal(lines.filter(line => line === '⠁'.repeat(18)).length, 4);
+  });
+});
@@ -0,0 +1,77 @@
+// BRF Export - Notes exported as ASCII Braille, which holds 6-dot cells only, so code written in
+// 8-dot computer Braille is refused rather than written with dots 7 and 8 left out
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Note = require('../models/Note');
+const BrailleConverter = require('../utils/brailleConverter');
+const BrfConverter = require('../utils/brfConverter');
+const { exportNote } = require('../controllers/exportController');
+
+const converter = new BrailleConverter();
+const brfConverter = new BrfConverter();
+
+// A literary English note generated from the given markdown
+const createNote = (notes) => new Note({
+  detectedLanguage: 'English',
+  processingMetadata: { primaryLanguage: 'en', brailleCode: 'literary' },
+  generatedNotes: { en: { language: 'English', notes, braille: converter.convertAcademicNotes(notes) } }
+});
+
+// Export a note as Note.findById would find it, giving the status and body sent
+const exportAs = async (note, query) => {
+  Note.findById = async () => note;
+  const sent = { status: 200 };
+  const res = {
+    status(code) {
+      sent.status = code;
+      return this;
+    },
+    set() {},
+    json(body) {
+      sent.body = body;
+    },
+    send(body) {
+      sent.body = body;
+    }
+  };
+  await exportNote({ params: { id: 'note' }, query }, res);
+  return sent;
+};
+
+describe('BRF export', () => {
+  it('exports literary notes as ASCII Braille', async () => {
+    const { status, body } = await exportAs(createNote('# Cells\nRibosomes make proteins'), { format: 'brf' });
+    assert.equal(status, 200);
+    assert.match(body.toString('ascii'), /,RIBO"SS MAKE PROTE9S/);
+  });
+
+  it('refuses literary notes with inline code, which is written in 8-dot computer Braille', async () => {
+    const { status, body } = await exportAs(createNote('Run `Npm Install` now'), { format: 'brf' });
+    assert.equal(status, 400);
+    assert.equal(body.status, 'error');
+    assert.match(body.message, /BRF cannot hold/);
+  });
+
+  it('exports the same notes as PEF, which holds 8-dot cells', async () => {
+    const { status } = await exportAs(createNote('Run `Npm Install` now'), { format: 'pef' });
+    assert.equal(status, 200);
+  });
+});
+
+describe('8-dot cells', () => {
+  const braille = converter.convertAcademicNotes('Run `Npm Install` now');
+
+  it('are reported when the Braille is for BRF', () => {
+    assert.ok(converter.validateBraille(braille).valid);
+    const { valid, diagnostics } = converter.validateBraille(braille, { encoding: 'brf' });
+    assert.ok(!valid);
+    assert.deepEqual(diagnostics.filter(diagnostic => diagnostic.severity === 'error').map(diagnostic => diagnostic.code),
+      ['EIGHT_DOT_CELL', 'EIGHT_DOT_CELL']);
+  });
+
+  it('are not converted to ASCII Braille', () => {
+    assert.throws(() => brfConverter.fromUnicode(`⠁\n${braille}`), { code: 'EIGHT_DOT_BRAILLE', message: /^Line 2 / });
+    assert.equal(brfConverter.fromUnicode('⠠⠉⠑⠇⠇⠎'), ',CELLS');
+  });
+});
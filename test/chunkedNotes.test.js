@@ -0,0 +1,42 @@
+// Chunked Notes - Long text written in sections and merged into one study guide, with a warning when
+// sections fail and are left out
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.NOTE_TARGETS = 'en';
+const { runNotesGeneration } = require('../controllers/generationController');
+const StubProvider = require('../utils/stubProvider');
+
+// Stub provider that cannot write notes on a section mentioning a failure
+class FailingSectionProvider extends StubProvider {
+  async generateText(request) {
+    if ((request.task || 'notes') === 'notes' && request.input.includes('Failing section')) {
+      throw new Error('Provider timed out');
+    }
+    return super.generateText(request);
+  }
+}
+
+// Three sections of a little under 8000 characters, the second of which fails
+const section = (title) => `${title}\n${'Plants turn light into chemical energy. '.repeat(190)}`;
+const content = [section('Light reactions'), section('Failing section'), section('Calvin cycle')].join('\n\n');
+
+describe('chunked notes', () => {
+  it('leaves failed sections out of the study guide and warns that it is partial', async () => {
+    const noteData = await runNotesGeneration({ type: 'text', content }, new FailingSectionProvider());
+
+    assert.deepEqual(noteData.chunking.chunks.map(chunk => chunk.status), ['completed', 'failed', 'completed']);
+    assert.equal(noteData.chunking.completedChunks, 2);
+    assert.doesNotMatch(noteData.generated_notes.en.notes, /Failing section/);
+    assert.deepEqual(noteData.warnings, [
+      'Partial notes: 1 of 3 sections of the input could not be written and are left out of the study guide'
+    ]);
+  });
+
+  it('gives no warnings when every section is written', async () => {
+    const noteData = await runNotesGeneration({ type: 'text', content }, new StubProvider());
+    assert.equal(noteData.chunking.completedChunks, 3);
+    assert.deepEqual(noteData.warnings, []);
+  });
+});
@@ -0,0 +1,233 @@
+// Job Queue - Claiming jobs, recovering stale ones and recording how runs end, against an in-memory
+// stand-in for the Job model that applies the updates the queue makes
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const JobQueue = require('../utils/jobQueue');
+
+// Whether a job matches a query filter: equal values, or { $lt } for dates and numbers
+const matches = (job, filter) => Object.entries(filter).every(([path, value]) => {
+  const actual = job[path];
+  return value && value.$lt !== undefined ? actual < value.$lt : actual === value;
+});
+
+// Set a path, or unset it when value is undefined; stages.$[] is every stage and stages.$[stage] those
+// matching the array filter, and other dotted paths are nested fields
+const applyPath = (job, path, value, arrayFilters = []) => {
+  const assign = (target, key) => {
+    if (value === undefined) {
+      delete target[key];
+    } else {
+      target[key] = value;
+    }
+  };
+  const [field, position, key] = path.split('.');
+  if (field !== 'stages') {
+    const keys = path.split('.');
+    const target = keys.slice(0, -1).reduce((object, name) => object && object[name], job);
+    if (target) {
+      assign(target, keys[keys.length - 1]);
+    }
+    return;
+  }
+  const filter = arrayFilters.find(arrayFilter => Object.keys(arrayFilter)[0].startsWith('stage.'));
+  for (const stage of job.stages) {
+    const [filterPath, filterValue] = filter ? Object.entries(filter)[0] : [];
+    if (position === '$[]' || stage[filterPath.split('.')[1]] === filterValue) {
+      assign(stage, key);
+    }
+  }
+};
+
+// Jobs kept in memory, updated as Mongo would for the operators the queue uses
+class FakeJobModel {
+  constructor(jobs) {
+    this.jobs = jobs;
+  }
+
+  apply(job, update, options = {}) {
+    for (const [path, value] of Object.entries(update.$set || {})) {
+      applyPath(job, path, value, options.arrayFilters);
+    }
+    for (const path of Object.keys(update.$unset || {})) {
+      applyPath(job, path, undefined, options.arrayFilters);
+    }
+    for (const [path, value] of Object.entries(update.$inc || {})) {
+      job[path] += value;
+    }
+  }
+
+  async findOneAndUpdate(filter, update) {
+    const job = this.jobs.filter(candidate => matches(candidate, filter)).sort((a, b) => a.createdAt - b.createdAt)[0];
+    if (!job) {
+      return null;
+    }
+    this.apply(job, update);
+    return { ...job };
+  }
+
+  async updateOne(filter, update, options) {
+    const job = this.jobs.find(candidate => matches(candidate, filter));
+    if (job) {
+      this.apply(job, update, options);
+    }
+    return { matchedCount: job ? 1 : 0 };
+  }
+
+  async updateMany(filter, update, options) {
+    const found = this.jobs.filter(candidate => matches(candidate, filter));
+    found.forEach(job => this.apply(job, update, options));
+    return { matchedCount: found.length };
+  }
+}
+
+const createJob = (id, fields = {}) => ({
+  _id: id,
+  status: 'queued',
+  attempts: 0,
+  createdAt: new Date(2024, 0, 1),
+  stages: [{ name: 'notes', status: 'pending' }, { name: 'save', status: 'pending' }],
+  ...fields
+});
+
+describe('claim', () => {
+  it('claims the oldest queued job for this worker and starts its stages over', async () => {
+    const model = new FakeJobModel([
+      createJob('new', { createdAt: new Date(2024, 0, 2) }),
+      createJob('old', { attempts: 1, stages: [{ name: 'notes', status: 'completed', completedAt: new Date() }] }),
+      createJob('running', { status: 'running', createdAt: new Date(2023, 0, 1) })
+    ]);
+    const queue = new JobQueue({ model });
+
+    const job = await queue.claim();
+    assert.equal(job._id, 'old');
+    assert.equal(job.status, 'running');
+    assert.equal(job.workerId, queue.workerId);
+    assert.equal(job.attempts, 2);
+    assert.deepEqual(job.stages, [{ name: 'notes', status: 'pending' }]);
+  });
+
+  it('claims nothing when no job is queued', async () => {
+    const queue = new JobQueue({ model: new FakeJobModel([createJob('done', { status: 'completed' })]) });
+    assert.equal(await queue.claim(), null);
+  });
+});
+
+// Input of an uploaded recording, which a failed job no longer needs
+const createInput = () => ({ type: 'audio', audio: { data: Buffer.from('audio'), originalname: 'lecture.mp3' } });
+const DISCARD_ON_FAILURE = ['input.audio.data', 'input.content'];
+
+describe('recoverStale', () => {
+  it('queues a stale job again, and fails it once it has used its attempts', async () => {
+    const lockedAt = new Date(Date.now() - 60 * 60 * 1000);
+    const jobs = [
+      createJob('retry', { status: 'running', attempts: 1, lockedAt, input: createInput() }),
+      createJob('give up', { status: 'running', attempts: 2, lockedAt, input: createInput() }),
+      createJob('alive', { status: 'running', attempts: 1, lockedAt: new Date() })
+    ];
+    const queue = new JobQueue({ model: new FakeJobModel(jobs), maxAttempts: 2, discardOnFailure: DISCARD_ON_FAILURE });
+    await queue.recoverStale();
+
+    assert.deepEqual(jobs.map(job => job.status), ['queued', 'failed', 'running']);
+    assert.equal(jobs[1].error, 'Job stopped making progress');
+    // The job queued again keeps its upload for the next run
+    assert.ok(jobs[0].input.audio.data);
+    assert.deepEqual(jobs[1].input, { type: 'audio', audio: { originalname: 'lecture.mp3' } });
+  });
+});
+
+describe('run', () => {
+  it('records each stage and completes the job with the handler result', async () => {
+    const jobs = [createJob('job')];
+    const queue = new JobQueue({
+      model: new FakeJobModel(jobs),
+      handler: async (job, reportStage, heartbeat) => {
+        await reportStage('notes', 'running');
+        await heartbeat({ chunks: { count: 2, completed: 1, failed: 0 } });
+        await reportStage('notes', 'completed');
+        return { noteId: 'note' };
+      }
+    });
+
+    await queue.run(await queue.claim());
+    assert.equal(jobs[0].status, 'completed');
+    assert.equal(jobs[0].noteId, 'note');
+    assert.deepEqual(jobs[0].chunks, { count: 2, completed: 1, failed: 0 });
+    assert.equal(jobs[0].stages[0].status, 'completed');
+    assert.ok(jobs[0].stages[0].completedAt);
+  });
+
+  it('fails the job and the stage that was running when the handler throws', async () => {
+    const jobs = [createJob('job')];
+    const queue = new JobQueue({
+      model: new FakeJobModel(jobs),
+      handler: async (job, reportStage) => {
+        await reportStage('notes', 'completed');
+        await reportStage('save', 'running');
+        throw new Error('Database is down');
+      }
+    });
+
+    await queue.run(await queue.claim());
+    assert.equal(jobs[0].status, 'failed');
+    assert.equal(jobs[0].error, 'Database is down');
+    assert.deepEqual(jobs[0].stages.map(stage => stage.status), ['completed', 'failed']);
+  });
+
+  it('removes the input of a failed job', async () => {
+    const jobs = [
+      createJob('text', { input: { type: 'text', content: 'Photosynthesis' } }),
+      createJob('audio', { input: createInput(), createdAt: new Date(2024, 0, 2) })
+    ];
+    const queue = new JobQueue({
+      model: new FakeJobModel(jobs),
+      discardOnFailure: DISCARD_ON_FAILURE,
+      handler: async () => {
+        throw new Error('Provider is down');
+      }
+    });
+
+    await queue.run(await queue.claim());
+    await queue.run(await queue.claim());
+    assert.deepEqual(jobs.map(job => job.status), ['failed', 'failed']);
+    assert.deepEqual(jobs.map(job => job.input), [{ type: 'text' }, { type: 'audio', audio: { originalname: 'lecture.mp3' } }]);
+  });
+
+  it('stops at the next report once another worker has taken the job over, recording nothing', async () => {
+    const jobs = [createJob('job')];
+    let saved = false;
+    const queue = new JobQueue({
+      model: new FakeJobModel(jobs),
+      handler: async (job, reportStage) => {
+        await reportStage('notes', 'running');
+        // The job was found stale, queued again and claimed by another worker
+        Object.assign(jobs[0], { workerId: 'other:1', attempts: 2 });
+        await reportStage('save', 'running');
+        saved = true;
+        return { noteId: 'note' };
+      }
+    });
+
+    await queue.run(await queue.claim());
+    assert.ok(!saved);
+    assert.equal(jobs[0].status, 'running');
+    assert.equal(jobs[0].workerId, 'other:1');
+    assert.equal(jobs[0].noteId, undefined);
+    assert.equal(jobs[0].stages[1].status, 'pending');
+  });
+
+  it('does not complete a job another worker has taken over while the handler finished', async () => {
+    const jobs = [createJob('job')];
+    const queue = new JobQueue({
+      model: new FakeJobModel(jobs),
+      handler: async () => {
+        jobs[0].status = 'queued';
+        return { noteId: 'note' };
+      }
+    });
+
+    await queue.run(await queue.claim());
+    assert.equal(jobs[0].status, 'queued');
+    assert.equal(jobs[0].noteId, undefined);
+  });
+});
@@ -0,0 +1,68 @@
+// LLM Registry - Choosing a provider from the environment and a request, and the offline stub provider
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const LlmRegistry = require('../utils/llmRegistry');
+const StubProvider = require('../utils/stubProvider');
+
+describe('provider selection', () => {
+  it('uses LLM_PROVIDER when a request names none, and gemini without it', () => {
+    assert.equal(new LlmRegistry({ env: { LLM_PROVIDER: 'Stub' } }).get().name, 'stub');
+    assert.equal(new LlmRegistry({ env: {} }).DEFAULT_PROVIDER, 'gemini');
+  });
+
+  it('gives the provider a request names, created once', () => {
+    const registry = new LlmRegistry({ env: { LLM_PROVIDER: 'stub', OPENAI_BASE_URL: 'http://localhost:11434/v1' } });
+    const provider = registry.get('OpenAI');
+    assert.equal(provider.name, 'openai');
+    assert.equal(registry.get('openai'), provider);
+  });
+
+  it('passes the system instruction to the providers', () => {
+    const registry = new LlmRegistry({ env: { GEMINI_API_KEY: 'key' }, systemInstruction: 'Write notes.' });
+    assert.equal(registry.get('gemini').systemInstruction, 'Write notes.');
+  });
+
+  it('lists the configured providers', () => {
+    assert.deepEqual(new LlmRegistry({ env: {} }).listAvailable(), ['stub']);
+    assert.deepEqual(new LlmRegistry({ env: { GEMINI_API_KEY: 'key', OPENAI_API_KEY: 'key' } }).listAvailable(),
+      ['gemini', 'openai', 'stub']);
+  });
+
+  it('rejects unknown and unconfigured providers, naming the available ones', () => {
+    const registry = new LlmRegistry({ env: { LLM_PROVIDER: 'stub' } });
+    assert.throws(() => registry.get('claude'), { code: 'UNKNOWN_LLM_PROVIDER', availableProviders: ['stub'] });
+    assert.throws(() => registry.get('gemini'), { code: 'LLM_PROVIDER_NOT_CONFIGURED', availableProviders: ['stub'] });
+  });
+});
+
+describe('stub provider', () => {
+  const stub = new StubProvider();
+
+  it('writes notes from the input lines under a title', async () => {
+    const notes = await stub.generateText({ task: 'notes', input: 'Cells\nNucleus holds DNA\n- Ribosomes make proteins' });
+    assert.match(notes, /^# Cells\n/);
+    assert.match(notes, /\n- Nucleus holds DNA\n- Ribosomes make proteins\n$/);
+  });
+
+  it('detects the language from the script and the subject from the text', async () => {
+    assert.equal(await stub.generateText({ task: 'language', input: 'प्रकाश संश्लेषण' }), 'Hindi');
+    assert.equal(await stub.generateText({ task: 'subject', input: 'Newton and physics', subjects: ['Biology', 'Physics'] }), 'Physics');
+    assert.equal(await stub.generateText({ task: 'subject', input: 'Nothing known', subjects: ['Biology'] }), 'General');
+  });
+
+  it('merges sections under the first title', async () => {
+    const merged = await stub.generateText({ task: 'merge', sections: ['# One\n- a', '# Two\n- b'] });
+    assert.match(merged, /^# One\n/);
+    assert.match(merged, /\n- a\n- b\n$/);
+  });
+
+  it('streams the same text word by word', async () => {
+    const request = { task: 'notes', input: 'Title\nPoint one' };
+    const tokens = [];
+    const text = await stub.streamText(request, async (token) => tokens.push(token));
+    assert.ok(tokens.length > 1);
+    assert.equal(tokens.join(''), text);
+    assert.equal(text, await stub.generateText(request));
+  });
+});
@@ -0,0 +1,54 @@
+// Math Translator - Calculus, set and vector notation in UEB and Nemeth, and unknown commands
+// written in a transcriber's note that the validator reports
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const BrailleConverter = require('../utils/brailleConverter');
+
+const converter = new BrailleConverter();
+const { math } = converter;
+
+describe('UEB technical notation', () => {
+  it('writes integrals with their limits as scripts', () => {
+    assert.equal(math.translate('\\int_0^1 x \\, dx'), '⠰⠰⠮⠢⠼⠚⠔⠼⠁⠭⠙⠭');
+  });
+
+  it('writes sums and limits with their limits as subscripts and superscripts', () => {
+    assert.equal(math.translate('\\sum_{i=1}^{n} i'), '⠰⠰⠰⠠⠨⠎⠢⠣⠊ ⠐⠶ ⠼⠁⠜⠔⠝⠊⠰⠄');
+    assert.equal(math.translate('\\lim_{x \\to 0} f'), '⠰⠰⠰⠇⠊⠍⠢⠣⠭ ⠳⠕ ⠼⠚⠜ ⠋⠰⠄');
+  });
+
+  it('writes partial derivatives, set symbols and vectors', () => {
+    assert.equal(math.translate('\\partial f'), '⠰⠰⠈⠙⠋');
+    assert.equal(math.translate('x \\in A \\cup B'), '⠰⠰⠰⠭ ⠘⠑ ⠠⠁⠨⠖⠠⠃⠰⠄');
+    assert.equal(math.translate('\\emptyset'), '⠸⠴');
+    assert.equal(math.translate('\\vec{v}'), '⠰⠰⠧⠔⠳⠕');
+  });
+});
+
+describe('Nemeth Code', () => {
+  it('writes limits of sums and limits directly under and over them', () => {
+    assert.equal(math.translate('\\sum_{i=1}^{n} i', 'nemeth'), '⠸⠩ ⠐⠨⠠⠎⠩⠊ ⠨⠅ ⠼⠂⠣⠝⠻⠊ ⠸⠱');
+    assert.equal(math.translate('\\lim_{x \\to 0} f', 'nemeth'), '⠸⠩ ⠐⠇⠊⠍⠩⠭ ⠫⠕ ⠼⠴⠻ ⠋ ⠸⠱');
+  });
+
+  it('writes integrals, set symbols and vectors', () => {
+    assert.equal(math.translate('\\int_0^1 x', 'nemeth'), '⠸⠩ ⠮⠰⠴⠘⠂⠐⠭ ⠸⠱');
+    assert.equal(math.translate('A \\subset B', 'nemeth'), '⠸⠩ ⠠⠁ ⠸⠐⠅ ⠠⠃ ⠸⠱');
+    assert.equal(math.translate('\\vec{v}', 'nemeth'), '⠸⠩ ⠐⠧⠣⠫⠕⠻ ⠸⠱');
+  });
+});
+
+describe('unknown commands', () => {
+  it('spells an unknown command out in a transcriber\'s note', () => {
+    assert.equal(math.translate('\\hbar x'), '⠰⠰⠈⠨⠣⠓⠃⠁⠗⠈⠨⠜⠭');
+    assert.equal(math.translate('\\hbar', 'nemeth'), '⠸⠩ ⠈⠨⠣⠓⠃⠁⠗⠈⠨⠜ ⠸⠱');
+  });
+
+  it('reports the transcriber\'s note when validating', () => {
+    const braille = converter.convertAcademicNotes('Energy is $\\hbar \\omega$.');
+    const { valid, diagnostics } = converter.validateBraille(braille);
+    assert.ok(valid);
+    assert.deepEqual(diagnostics.map(diagnostic => diagnostic.code), ['TRANSCRIBERS_NOTE']);
+  });
+});
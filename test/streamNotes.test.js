@@ -0,0 +1,75 @@
+// Stream Mode - Server-sent events from POST /generate-notes with mode=stream, using the stub provider
+// and no database, in the order a client sees them
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Set before the app loads its configuration; .env does not override them
+process.env.LLM_PROVIDER = 'stub';
+process.env.NOTE_TARGETS = 'en,hi,braille';
+process.env.MONGO_URI = '';
+const app = require('../index');
+
+// Events of an event stream body as { event, data }
+const readEvents = (body) => body
+  .split('\n\n')
+  .filter(block => block.startsWith('event: '))
+  .map(block => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+  });
+
+describe('stream mode', () => {
+  let server;
+  let events;
+
+  before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+
+    const form = new FormData();
+    form.append('type', 'text');
+    form.append('content', 'Photosynthesis\nPlants turn light into chemical energy.');
+    form.append('mode', 'stream');
+    const response = await fetch(`http://localhost:${server.address().port}/generate-notes`, { method: 'POST', body: form });
+    assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+    events = readEvents(await response.text());
+  });
+
+  after(() => server.close());
+
+  it('sends each stage as it starts and ends, with its result after it', () => {
+    // Tokens in a row are one step here
+    const steps = events
+      .filter((event, index) => event.event !== 'token' || events[index - 1].event !== 'token')
+      .map(({ event, data }) => (event === 'stage' ? `${data.stage}:${data.status}` : event));
+
+    assert.deepEqual(steps, [
+      'detect:running', 'detect:completed', 'detected',
+      'notes:running', 'token', 'notes:completed', 'notes',
+      // The notes are already in English
+      'english:skipped',
+      'hindi:running', 'hindi:completed', 'notes',
+      'braille:running', 'braille:completed', 'braille',
+      'save:skipped', 'saved',
+      'done'
+    ]);
+  });
+
+  it('streams the notes token by token', () => {
+    const tokens = events.filter(event => event.event === 'token').map(event => event.data.text);
+    const notes = events.find(event => event.event === 'notes').data;
+    assert.ok(tokens.length > 1);
+    assert.equal(tokens.join(''), notes.notes);
+    assert.equal(notes.language, 'en');
+  });
+
+  it('ends with the whole response, as sync mode gives it', () => {
+    const done = events[events.length - 1].data;
+    assert.equal(done.status, 'success');
+    assert.deepEqual(Object.keys(done.generated_notes), ['en', 'hi']);
+    assert.ok(done.generated_notes.en.braille);
+    assert.equal(done.note_id, null);
+    assert.deepEqual(done.warnings, []);
+  });
+});
@@ -0,0 +1,108 @@
+// Targets - Reading the languages notes are generated in, generating notes in a language without a
+// Braille table, and moving notes stored in the old english/hindi layout to notes keyed by language code
+// (scripts/migrateGeneratedNotes.js)
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Set before the controller reads its default targets
+process.env.NOTE_TARGETS = 'en,hi,braille';
+const { generationStages, readTargets, runNotesGeneration } = require('../controllers/generationController');
+const { buildUpdate } = require('../scripts/migrateGeneratedNotes');
+const StubProvider = require('../utils/stubProvider');
+
+// Stub provider that detects Spanish, which has no Braille table
+class SpanishProvider extends StubProvider {
+  async generateText(request) {
+    return request.task === 'language' ? 'Spanish' : super.generateText(request);
+  }
+}
+
+describe('readTargets', () => {
+  it('uses the deployment targets when none are given', () => {
+    assert.deepEqual(readTargets(), ['en', 'hi', 'braille']);
+    assert.deepEqual(readTargets(''), ['en', 'hi', 'braille']);
+  });
+
+  it('reads codes and names, as a list or comma-separated, with braille last and no repeats', () => {
+    assert.deepEqual(readTargets('braille, Tamil,en'), ['ta', 'en', 'braille']);
+    assert.deepEqual(readTargets(['KN', 'kannada', 'hi']), ['kn', 'hi']);
+  });
+
+  it('rejects a language without a Braille table, naming the supported targets', () => {
+    assert.throws(() => readTargets('en,fr'), error => {
+      assert.equal(error.code, 'INVALID_TARGETS');
+      assert.match(error.message, /"fr"/);
+      assert.deepEqual(error.supportedTargets, ['en', 'hi', 'mr', 'bn', 'pa', 'gu', 'ta', 'te', 'kn', 'braille']);
+      return true;
+    });
+  });
+
+  it('names a stage for each target language', () => {
+    assert.deepEqual(generationStages(['ta', 'en', 'braille']), ['detect', 'notes', 'tamil', 'english', 'braille', 'save']);
+    assert.deepEqual(generationStages(['hi']), ['detect', 'notes', 'hindi', 'save']);
+  });
+});
+
+describe('languages without a Braille table', () => {
+  const input = { type: 'text', content: 'Células\nEl núcleo guarda el ADN' };
+
+  it('are written in when Braille is not a target, kept under their code', async () => {
+    const noteData = await runNotesGeneration({ ...input, targets: ['en'] }, new SpanishProvider());
+    assert.equal(noteData.primary_language, 'es');
+    assert.deepEqual(Object.keys(noteData.generated_notes), ['es', 'en']);
+    assert.equal(noteData.generated_notes.es.language, 'Spanish');
+    assert.equal(noteData.generated_notes.es.braille, undefined);
+    assert.equal(noteData.braille_table, null);
+  });
+
+  it('are refused when Braille is a target', async () => {
+    await assert.rejects(runNotesGeneration({ ...input, targets: ['en', 'braille'] }, new SpanishProvider()),
+      { code: 'UNSUPPORTED_BRAILLE_TABLE' });
+  });
+});
+
+describe('buildUpdate', () => {
+  const validation = (errors) => ({ valid: errors === 0, errorCount: errors, warningCount: 0, diagnostics: [] });
+
+  it('moves English notes and their Hindi translation to entries by code', () => {
+    const update = buildUpdate({
+      detectedLanguage: 'English',
+      processingMetadata: { brailleTable: 'en-ueb-g2' },
+      generatedNotes: { english: '# Cells', hindi: '# कोशिका', braille: '⠠⠉⠑⠇⠇⠎', hindiBraille: '⠅⠕' },
+      brailleValidation: { braille: validation(0), hindiBraille: validation(1) }
+    });
+
+    assert.deepEqual(update.$set.generatedNotes, {
+      en: { language: 'English', notes: '# Cells', braille: '⠠⠉⠑⠇⠇⠎', brailleTable: 'en-ueb-g2', brailleValidation: validation(0) },
+      hi: { language: 'Hindi', notes: '# कोशिका', braille: '⠅⠕', brailleTable: 'hi-bharati', brailleValidation: validation(1) }
+    });
+    assert.equal(update.$set['processingMetadata.primaryLanguage'], 'en');
+    assert.deepEqual(update.$set['processingMetadata.targets'], ['en', 'hi', 'braille']);
+    assert.deepEqual(update.$unset, { brailleValidation: '' });
+  });
+
+  it('keeps notes written in another language under that language, from the table they were transcribed with', () => {
+    const update = buildUpdate({
+      detectedLanguage: 'unknown',
+      processingMetadata: { brailleTable: 'ta-bharati' },
+      generatedNotes: { english: '# செல்', hindi: '# कोशिका', braille: '⠅', hindiBraille: '⠅⠕' }
+    });
+
+    assert.deepEqual(Object.keys(update.$set.generatedNotes), ['ta', 'hi']);
+    assert.equal(update.$set['processingMetadata.primaryLanguage'], 'ta');
+    assert.equal(update.$set['processingMetadata.brailleTable'], 'ta-bharati');
+  });
+
+  it('keeps Hindi notes once, and works out their language from the script without a table', () => {
+    const update = buildUpdate({
+      detectedLanguage: 'unknown',
+      processingMetadata: {},
+      generatedNotes: { english: '# कोशिका', hindi: '# कोशिका', braille: '⠅⠕', hindiBraille: '⠅⠕' }
+    });
+
+    assert.deepEqual(Object.keys(update.$set.generatedNotes), ['hi']);
+    assert.equal(update.$set.generatedNotes.hi.braille, '⠅⠕');
+    assert.deepEqual(update.$set['processingMetadata.targets'], ['hi', 'braille']);
+  });
+});
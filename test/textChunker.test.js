@@ -0,0 +1,74 @@
+// Text Chunker - Where long text is split into sections, and the excerpts taken for language detection
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const TextChunker = require('../utils/textChunker');
+
+// Sections joined back over their offsets give the original text
+const assertCovers = (text, chunks) => {
+  assert.equal(chunks[0].start, 0);
+  assert.equal(chunks[chunks.length - 1].end, text.length);
+  chunks.forEach((chunk, index) => {
+    assert.equal(chunk.index, index);
+    assert.equal(chunk.text, text.slice(chunk.start, chunk.end).trim());
+    if (index > 0) {
+      assert.equal(chunk.start, chunks[index - 1].end);
+    }
+  });
+};
+
+describe('split', () => {
+  const chunker = new TextChunker({ chunkSize: 100 });
+
+  it('keeps short text as one section', () => {
+    assert.ok(!chunker.needsChunking('x'.repeat(100)));
+    assert.deepEqual(chunker.split('Short text.'), [{ index: 0, start: 0, end: 11, text: 'Short text.' }]);
+  });
+
+  it('ends sections at a paragraph break before a line break or sentence end', () => {
+    const text = `${'a'.repeat(55)}\n\n${'b'.repeat(20)}. ${'c'.repeat(10)}\n${'d'.repeat(60)}`;
+    const chunks = chunker.split(text);
+    assertCovers(text, chunks);
+    assert.equal(chunks[0].text, 'a'.repeat(55));
+  });
+
+  it('ends sections at a sentence end when there is no line break', () => {
+    const text = `${'a '.repeat(30)}end. ${'b '.repeat(20)}more ${'c'.repeat(60)}`;
+    const chunks = chunker.split(text);
+    assertCovers(text, chunks);
+    assert.match(chunks[0].text, /end\.$/);
+  });
+
+  it('ends sections between words, and cuts a word longer than a section', () => {
+    const words = 'word '.repeat(50);
+    assert.ok(chunker.split(words).every(chunk => chunk.end - chunk.start <= 100 && /word$/.test(chunk.text)));
+
+    const text = 'x'.repeat(250);
+    const chunks = chunker.split(text);
+    assertCovers(text, chunks);
+    assert.deepEqual(chunks.map(chunk => chunk.end - chunk.start), [100, 100, 50]);
+  });
+
+  it('does not cut a section below half its size to reach a boundary', () => {
+    const text = `${'a'.repeat(10)}\n\n${'b'.repeat(150)}`;
+    assert.equal(chunker.split(text)[0].end, 100);
+  });
+
+  it('leaves out sections with only whitespace', () => {
+    assert.deepEqual(chunker.split(''), []);
+    assert.ok(chunker.split(`${'a'.repeat(90)}${' '.repeat(200)}`).every(chunk => chunk.text));
+  });
+});
+
+describe('sample', () => {
+  const chunker = new TextChunker({ sampleLength: 10 });
+
+  it('gives short text as it is', () => {
+    assert.equal(chunker.sample('Short text'), 'Short text');
+  });
+
+  it('takes excerpts from the start, middle and end', () => {
+    const text = `${'a'.repeat(20)}${'b'.repeat(20)}${'c'.repeat(20)}`;
+    assert.equal(chunker.sample(text), `${'a'.repeat(10)}\n…\n${'b'.repeat(10)}\n…\n${'c'.repeat(10)}`);
+  });
+});
@@ -0,0 +1,49 @@
+// UEB Conformance - Print → expected Braille cases from the UEB rulebook, run against the converter
+// Cases live in test/fixtures/uebConformance.json as { category, rule, print, braille, grade? };
+// each rule category is a suite, and a pass/fail summary per category is printed at the end
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const BrailleConverter = require('../utils/brailleConverter');
+const corpus = require('./fixtures/uebConformance.json');
+
+const converter = new BrailleConverter();
+
+// Cases by category, in corpus order, and the results of each category
+const categories = new Map();
+for (const testCase of corpus) {
+  if (!categories.has(testCase.category)) {
+    categories.set(testCase.category, []);
+  }
+  categories.get(testCase.category).push(testCase);
+}
+const results = new Map([...categories.keys()].map(category => [category, { passed: 0, failed: [] }]));
+
+for (const [category, cases] of categories) {
+  describe(category, () => {
+    for (const testCase of cases) {
+      it(`${testCase.rule}: ${testCase.print}`, () => {
+        const braille = converter.convertAcademicNotes(testCase.print, { grade: testCase.grade || 'Grade2' });
+        const result = results.get(category);
+        if (braille === testCase.braille) {
+          result.passed++;
+        } else {
+          result.failed.push(`${testCase.rule}: "${testCase.print}"`);
+        }
+        assert.equal(braille, testCase.braille);
+      });
+    }
+  });
+}
+
+after(() => {
+  const lines = ['', 'UEB conformance by rule category:'];
+  for (const [category, { passed, failed }] of results) {
+    const total = passed + failed.length;
+    lines.push(`${failed.length ? '❌' : '✅'} ${category}: ${passed}/${total} passed`);
+    for (const name of failed) {
+      lines.push(`     failed ${name}`);
+    }
+  }
+  console.log(lines.join('\n'));
+});
@@ -0,0 +1,166 @@
+// Bharati Braille Converter Utility - Indian scripts to Unicode Braille Patterns
+// Consonants, vowel signs (matras), halant conjuncts, anusvara/visarga and native digits
+// come from a script table in config/brailleTables; Latin text falls back to UEB Grade 1
+
+const BrailleConverter = require('./brailleConverter');
+const BrailleValidator = require('./brailleValidator');
+
+class BharatiConverter extends BrailleConverter {
+  /**
+   * @param {string} tableName - Bharati table in config/brailleTables (default: 'hi-bharati')
+   */
+  constructor(tableName = 'hi-bharati') {
+    super();
+
+    const definition = require(`../config/brailleTables/${tableName}.json`);
+    this.script = {
+      name: definition.name,
+      language: definition.language,
+      script: definition.script,
+      description: definition.description || ''
+    };
+
+    // Code point range of the script's Unicode block
+    const [first, last] = definition.scriptRange;
+    this.SCRIPT_RANGE = [parseInt(first, 16), parseInt(last, 16)];
+
+    // Script characters, conjuncts and nukta consonants with their own cells. Text is matched
+    // in NFD, where nukta consonants and two-part vowel signs become sequences, so every
+    // entry is indexed by its first character with the longest sequences first
+    this.SCRIPT_DIGIT_MAP = definition.digits;
+    this.SCRIPT_PUNCTUATION_MAP = definition.punctuation || {};
+    this.SEQUENCES = new Map();
+    const maps = [definition.vowels, definition.vowelSigns, definition.consonants,
+      definition.clusters || {}, definition.signs, this.SCRIPT_PUNCTUATION_MAP];
+    for (const map of maps) {
+      for (const [print, braille] of Object.entries(map)) {
+        const key = print.normalize('NFD');
+        if (!this.SEQUENCES.has(key[0])) {
+          this.SEQUENCES.set(key[0], []);
+        }
+        this.SEQUENCES.get(key[0]).push([key, braille]);
+      }
+    }
+    for (const entries of this.SEQUENCES.values()) {
+      entries.sort((a, b) => b[0].length - a[0].length);
+    }
+
+    // Joiners only affect how conjuncts are drawn in print
+    this.JOINERS = /[\u200C\u200D]/g;
+
+    // Script letters reuse the cells of UEB indicators (ण is ⠼), so only characters and line lengths are checked
+    this.validator = new BrailleValidator();
+  }
+
+  /**
+   * Convert text in the table's script to Bharati Braille
+   * @param {string} text - Input text to convert
+   * @param {boolean} useGrade2 - Unused; Bharati Braille is uncontracted
+   * @param {object} options - Conversion options for embedded Latin text and formulas (see BrailleConverter);
+   *   options.alignment collects alignment segments in the offsets of the original (not NFD) text
+   * @returns {string} - Braille text using Unicode Braille Patterns
+   */
+  textToBraille(text, useGrade2 = false, options = {}) {
+    if (!text || typeof text !== 'string') {
+      return '';
+    }
+    if (options.brailleCode === 'computer') {
+      return this.computerBraille.toBraille(text, options);
+    }
+
+    // Matching is done in NFD; origins[k] is the offset in text of NFD character k
+    let input = '';
+    const origins = [];
+    let offset = 0;
+    for (const char of text) {
+      if (!this.JOINERS.test(char)) {
+        const decomposed = char.normalize('NFD');
+        input += decomposed;
+        origins.push(...new Array(decomposed.length).fill(offset));
+      }
+      this.JOINERS.lastIndex = 0;
+      offset += char.length;
+    }
+    origins.push(text.length);
+
+    const alignment = options.alignment || null;
+    let result = '';
+    // Print range in text for NFD characters [start, end)
+    const printRange = (start, end) => [origins[start], Math.max(origins[end], origins[start] + (end > start ? 1 : 0))];
+    const append = (start, end, braille) => {
+      if (alignment && braille) {
+        alignment.push({ print: printRange(start, end), braille: [result.length, result.length + braille.length] });
+      }
+      result += braille;
+    };
+
+    let i = 0;
+    while (i < input.length) {
+      // Other scripts (English terms, ASCII digits, punctuation) are written in uncontracted UEB
+      if (!this.isScriptChar(input[i])) {
+        let end = i;
+        while (end < input.length && !this.isScriptChar(input[end])) {
+          end++;
+        }
+        const segments = alignment ? [] : null;
+        const braille = super.textToBraille(input.slice(i, end), false, { ...options, alignment: segments });
+        for (const segment of segments || []) {
+          alignment.push({
+            print: printRange(i + segment.print[0], i + segment.print[1]),
+            braille: [result.length + segment.braille[0], result.length + segment.braille[1]]
+          });
+        }
+        result += braille;
+        i = end;
+        continue;
+      }
+
+      // Native digits take the numeric indicator once per number
+      if (this.SCRIPT_DIGIT_MAP[input[i]]) {
+        let braille = this.INDICATORS.NUMBER;
+        const start = i;
+        while (i < input.length && this.SCRIPT_DIGIT_MAP[input[i]]) {
+          braille += this.SCRIPT_DIGIT_MAP[input[i]];
+          i++;
+        }
+        append(start, i, braille);
+        continue;
+      }
+
+      // A consonant carries its inherent vowel, so only explicit matras and the halant are written;
+      // characters without a cell (e.g. a nukta on a consonant that has no nukta form) are left out
+      const sequence = (this.SEQUENCES.get(input[i]) || []).find(([print]) => input.startsWith(print, i));
+      if (sequence) {
+        append(i, i + sequence[0].length, sequence[1]);
+        i += sequence[0].length;
+      } else {
+        i++;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Indian scripts have no capitals, so titles are written as they are
+   * @param {string} title - Title text without the markdown marker
+   * @param {object} options - Conversion options (see textToBraille)
+   * @returns {string} - Braille title
+   */
+  titleToBraille(title, options = {}) {
+    return this.textToBraille(title, false, options);
+  }
+
+  /**
+   * Check if a character belongs to the table's script (its Unicode block or its punctuation)
+   * @param {string} char - Single character
+   * @returns {boolean}
+   */
+  isScriptChar(char) {
+    const codePoint = char.codePointAt(0);
+    return (codePoint >= this.SCRIPT_RANGE[0] && codePoint <= this.SCRIPT_RANGE[1]) ||
+      Boolean(this.SCRIPT_PUNCTUATION_MAP[char]);
+  }
+}
+
+module.exports = BharatiConverter;
@@ -1,101 +1,288 @@
 // Braille Converter Utility - UEB Grade 2 Support
 // Converts English text to Unicode Braille Patterns (U+2800..U+28FF)
+// Letters, punctuation and contraction rules come from a table in config/brailleTables
+
+const BrailleTable = require('./brailleTable');
+const MathTranslator = require('./mathTranslator');
+const NotesParser = require('./notesParser');
+const BrailleStream = require('./brailleStream');
+const BrailleValidator = require('./brailleValidator');
+const ComputerBraille = require('./computerBraille');
+
+// Invert a print-to-Braille map (the first print symbol wins on collisions)
+const invertMap = (map) => {
+  const inverted = {};
+  for (const [print, braille] of Object.entries(map)) {
+    if (!(braille in inverted)) {
+      inverted[braille] = print;
+    }
+  }
+  return inverted;
+};
+
+// Private Use Area characters that hold the place of typeform indicators while text is contracted
+const INDICATOR_MARKER_BASE = 0xE000;
+const INDICATOR_MARKERS = /[\uE000-\uF8FF]/g;
+const isIndicatorMarker = (char) => char !== undefined && char >= '\uE000' && char <= '\uF8FF';
+
+// Move alignment segments by print and Braille offsets
+const shiftSegments = (segments, printOffset, brailleOffset) => segments.map(segment => ({
+  print: [segment.print[0] + printOffset, segment.print[1] + printOffset],
+  braille: [segment.braille[0] + brailleOffset, segment.braille[1] + brailleOffset]
+}));
+
+// Fold segments with no print (indicators held by markers) into the segment they precede
+const mergeEmptySegments = (segments) => {
+  const merged = [];
+  let pendingStart = null;
+  for (const segment of segments) {
+    if (segment.print[1] <= segment.print[0]) {
+      pendingStart = pendingStart === null ? segment.braille[0] : pendingStart;
+      continue;
+    }
+    merged.push(pendingStart === null ? segment : { print: segment.print, braille: [pendingStart, segment.braille[1]] });
+    pendingStart = null;
+  }
+  // Trailing indicators (a terminator at the end) go with the last segment
+  if (pendingStart !== null && merged.length) {
+    const last = merged[merged.length - 1];
+    last.braille = [last.braille[0], segments[segments.length - 1].braille[1]];
+  }
+  return merged;
+};
+
+// Join converted pieces { braille, print, alignment } into one, moving their segments into place;
+// pieces without alignment (separators, labels) only take up room
+const joinPieces = (pieces, options = {}) => {
+  const joined = { braille: '', print: '', alignment: options.withAlignment ? [] : null };
+  for (const piece of pieces) {
+    if (joined.alignment && piece.alignment) {
+      joined.alignment.push(...shiftSegments(piece.alignment, joined.print.length, joined.braille.length));
+    }
+    joined.braille += piece.braille || '';
+    joined.print += piece.print || '';
+  }
+  return joined;
+};
 
 class BrailleConverter {
-  constructor() {
+  /**
+   * @param {string} tableName - Contraction table in config/brailleTables (default: 'en-ueb-g2')
+   */
+  constructor(tableName = 'en-ueb-g2') {
     // Unicode Braille base character (⠀)
     this.BRAILLE_BASE = 0x2800;
-    
-    // UEB Grade 2 alphabet mapping (a-z)
-    this.ALPHABET_MAP = {
-      'a': '⠁', 'b': '⠃', 'c': '⠉', 'd': '⠙', 'e': '⠑', 'f': '⠋',
-      'g': '⠛', 'h': '⠓', 'i': '⠊', 'j': '⠚', 'k': '⠅', 'l': '⠇',
-      'm': '⠍', 'n': '⠝', 'o': '⠕', 'p': '⠏', 'q': '⠟', 'r': '⠗',
-      's': '⠎', 't': '⠞', 'u': '⠥', 'v': '⠧', 'w': '⠺', 'x': '⠭',
-      'y': '⠽', 'z': '⠵'
-    };
 
-    // Numbers (with number prefix ⠼)
-    this.NUMBER_MAP = {
-      '0': '⠚', '1': '⠁', '2': '⠃', '3': '⠉', '4': '⠙', '5': '⠑',
-      '6': '⠋', '7': '⠛', '8': '⠓', '9': '⠊'
-    };
+    // Contraction table: letters, digits, punctuation and Grade 2 rules
+    this.table = BrailleTable.load(tableName);
 
-    // UEB Grade 2 contractions (common words)
-    this.CONTRACTIONS = {
-      'and': '⠯', 'for': '⠿', 'of': '⠷', 'the': '⠮', 'with': '⠾',
-      'you': '⠽', 'as': '⠵', 'but': '⠃', 'can': '⠉', 'do': '⠙',
-      'every': '⠑', 'from': '⠋', 'go': '⠛', 'have': '⠓', 'just': '⠚',
-      'knowledge': '⠅', 'like': '⠇', 'more': '⠍', 'not': '⠝', 'people': '⠏',
-      'quite': '⠟', 'rather': '⠗', 'so': '⠎', 'that': '⠞', 'us': '⠥',
-      'very': '⠧', 'will': '⠺', 'it': '⠭', 'his': '⠓', 'was': '⠺',
-      'were': '⠺', 'are': '⠜', 'be': '⠆', 'been': '⠆', 'had': '⠓',
-      'have': '⠓', 'here': '⠓', 'know': '⠅', 'lord': '⠇', 'may': '⠍',
-      'name': '⠝', 'one': '⠕', 'part': '⠏', 'question': '⠟', 'right': '⠗',
-      'some': '⠎', 'time': '⠞', 'under': '⠥', 'work': '⠺', 'young': '⠽'
-    };
+    // Alphabet mapping (a-z)
+    this.ALPHABET_MAP = this.table.letters;
+
+    // Numbers (with number prefix ⠼)
+    this.NUMBER_MAP = this.table.digits;
 
     // Punctuation marks
-    this.PUNCTUATION_MAP = {
-      '.': '⠲', ',': '⠂', ';': '⠆', ':': '⠒', '!': '⠖', '?': '⠦',
-      '"': '⠦', "'": '⠄', '(': '⠐⠣', ')': '⠐⠜', '[': '⠨⠣', ']': '⠨⠜',
-      '{': '⠸⠣', '}': '⠸⠜', '-': '⠤', '–': '⠠⠤', '—': '⠐⠠⠤',
-      '/': '⠸⠌', '\\': '⠸⠡', '*': '⠐⠔', '&': '⠈⠯', '@': '⠈⠁',
-      '#': '⠼', '$': '⠈⠎', '%': '⠨⠴', '^': '⠘⠔', '~': '⠘⠱',
-      '`': '⠘⠄', '|': '⠸⠳', '<': '⠈⠣', '>': '⠈⠜', '=': '⠐⠶',
-      '+': '⠐⠖', '_': '⠸⠤'
-    };
+    this.PUNCTUATION_MAP = this.table.punctuation;
+
+    // Formulas (LaTeX) in the notes are written in UEB technical notation or Nemeth Code
+    this.math = new MathTranslator(this.table);
+
+    // Markdown notes are read into a document tree before transcription
+    this.notesParser = new NotesParser(this.math);
+
+    // Code and URLs are written in 8-dot computer Braille, one cell per character
+    this.computerBraille = new ComputerBraille();
 
     // Special indicators
     this.INDICATORS = {
       CAPITAL: '⠠',      // Capital letter indicator
+      CAPITALS_WORD: '⠠⠠',         // Capitals word indicator
+      CAPITALS_PASSAGE: '⠠⠠⠠',     // Capitals passage indicator
+      CAPITALS_TERMINATOR: '⠠⠄',   // Capitals passage/word terminator
       NUMBER: '⠼',       // Number indicator
-      ITALIC: '⠨',       // Italic indicator
-      BOLD: '⠸',         // Bold indicator
-      UNDERLINE: '⠘',    // Underline indicator
-      EMPHASIS: '⠌',     // Emphasis indicator
+      ITALIC: '⠨',       // Italic typeform prefix
+      BOLD: '⠘',         // Bold typeform prefix
+      UNDERLINE: '⠸',    // Underline typeform prefix
+      GRADE1_SYMBOL: '⠰',       // Grade 1 symbol indicator
+      GRADE1_WORD: '⠰⠰',        // Grade 1 (uncontracted) word indicator
+      GRADE1_PASSAGE: '⠰⠰⠰',    // Grade 1 passage indicator
+      GRADE1_TERMINATOR: '⠰⠄',  // Grade 1 passage terminator
+      COMPUTER_BEGIN: '⠸⠬',     // Begin computer Braille (8-dot code and URLs)
+      COMPUTER_END: '⠸⠱',       // End computer Braille
+      BULLET: '⠸⠲',      // List bullet
       NEWLINE: '\n',     // Line break
       SPACE: ' '         // Space
     };
 
-    // Grade 2 contractions for common letter combinations
-    this.LETTER_CONTRACTIONS = {
-      'ch': '⠡', 'gh': '⠣', 'sh': '⠩', 'th': '⠹', 'wh': '⠱', 'ed': '⠫',
-      'er': '⠻', 'ou': '⠳', 'ow': '⠪', 'st': '⠌', 'ar': '⠜', 'ing': '⠬'
+    // Words in capitals that make a capitals passage rather than capitalized words
+    this.CAPITALS_PASSAGE_WORDS = 3;
+
+    // Cells read as digits in numeric mode (a-j)
+    this.DIGIT_CELLS = new Set(Object.values(this.NUMBER_MAP));
+
+    // Line breaks written after each kind of block
+    this.BLOCK_SEPARATORS = {
+      title: '\n\n',
+      heading: '\n\n',
+      listItem: '\n',
+      paragraph: '\n',
+      code: '\n',
+      tableRow: '\n',
+      blank: '\n',
+      printPageBreak: ''
     };
+
+    // Table layout: blank cells between columns, and the line under column headings (dots 2-5)
+    this.TABLE_COLUMN_GAP = 2;
+    this.TABLE_HEADING_SEPARATOR = '⠒';
+
+    // --- Back-translation tables (Braille to print) ---
+
+    // Reverse letter and digit maps
+    this.REVERSE_ALPHABET_MAP = invertMap(this.ALPHABET_MAP);
+    this.REVERSE_NUMBER_MAP = invertMap(this.NUMBER_MAP);
+
+    // Wordsigns and shortforms, only read as whole words (standing alone)
+    this.UEB_WORDSIGNS = {};
+    for (const [print, rule] of this.table.wordsigns) {
+      if (!(rule.braille in this.UEB_WORDSIGNS)) {
+        this.UEB_WORDSIGNS[rule.braille] = print;
+      }
+    }
+
+    // Groupsigns read inside words, with the position they may take in a word:
+    // 'any', 'first' (start of word only), 'middle' (never first or last), 'notFirst'
+    this.UEB_GROUPSIGNS = this.table.groupsigns;
+
+    // Punctuation and symbols (longest sequences are matched first)
+    this.UEB_PUNCTUATION = invertMap(this.PUNCTUATION_MAP);
+
+    // Punctuation that opens a word (e.g. ⠦ is “ before a word but ? after it)
+    this.UEB_LEADING_PUNCTUATION = Object.fromEntries(
+      [...this.table.openingPunctuation].map(print => [this.PUNCTUATION_MAP[print], print])
+    );
+
+    // Punctuation that closes a word
+    this.UEB_TRAILING_PUNCTUATION = Object.fromEntries(
+      [...this.table.closingPunctuation].map(print => [this.PUNCTUATION_MAP[print], print])
+    );
+
+    // Apostrophe suffixes after whole words ('s, 'd, 'll, 're, 've)
+    this.APOSTROPHE_SUFFIXES = this.table.apostropheSuffixes.map(suffix => ({
+      print: "'" + suffix,
+      braille: this.PUNCTUATION_MAP["'"] + Array.from(suffix, letter => this.ALPHABET_MAP[letter]).join('')
+    }));
+
+    // UEB typeform indicator prefixes and the print markers used when back-translating
+    this.TYPEFORM_PREFIXES = {
+      '⠨': 'italic', '⠘': 'bold', '⠸': 'underline', '⠈': 'script'
+    };
+    // Second cell of a typeform indicator: how far the typeform extends
+    this.TYPEFORM_SCOPES = {
+      symbol: '⠆',      // the next letter or symbol
+      word: '⠂',        // to the end of the symbols-sequence, or a terminator
+      passage: '⠶',     // until the terminator
+      terminator: '⠄'
+    };
+    this.TYPEFORM_MARKERS = {
+      italic: ['*', '*'], bold: ['**', '**'], underline: ['<u>', '</u>'], script: ['*', '*']
+    };
+
+    // Checks written Braille; capital, grade 1 and typeform passages must be terminated
+    const { passage, word, terminator } = this.TYPEFORM_SCOPES;
+    this.validator = new BrailleValidator({
+      numberIndicator: this.INDICATORS.NUMBER,
+      passages: [{ name: 'computer Braille', begin: this.INDICATORS.COMPUTER_BEGIN, end: this.INDICATORS.COMPUTER_END }],
+      transcriberNote: { begin: this.math.TRANSCRIBERS_NOTE.OPEN, end: this.math.TRANSCRIBERS_NOTE.CLOSE },
+      indicators: [
+        { name: 'capitals', passage: this.INDICATORS.CAPITALS_PASSAGE, word: this.INDICATORS.CAPITALS_WORD, terminator: this.INDICATORS.CAPITALS_TERMINATOR },
+        { name: 'grade 1', passage: this.INDICATORS.GRADE1_PASSAGE, word: this.INDICATORS.GRADE1_WORD, terminator: this.INDICATORS.GRADE1_TERMINATOR },
+        ...['italic', 'bold', 'underline'].map(name => {
+          const prefix = this.INDICATORS[name.toUpperCase()];
+          return { name, passage: prefix + passage, word: prefix + word, terminator: prefix + terminator };
+        })
+      ]
+    });
   }
 
   /**
    * Convert English text to UEB Grade 2 Braille
    * @param {string} text - Input text to convert
-   * @param {boolean} useGrade2 - Whether to use Grade 2 contractions (default: true)gggg
+   * @param {boolean} useGrade2 - Whether to use Grade 2 contractions (default: true)
+   * @param {object} options - Conversion options
+   * @param {string} options.mathNotation - 'ueb', 'nemeth' or 'none' for formulas (default: 'ueb')
+   * @param {string} options.brailleCode - 'computer' to write the text in 8-dot computer Braille
+   *   (default: 'literary')
+   * @param {Array<object>} options.alignment - Collects alignment segments when given (see alignText)
    * @returns {string} - Braille text using Unicode Braille Patterns
    */
-  textToBraille(text, useGrade2 = true) {
+  textToBraille(text, useGrade2 = true, options = {}) {
     if (!text || typeof text !== 'string') {
       return '';
     }
+    if (options.brailleCode === 'computer') {
+      return this.computerBraille.toBraille(text, options);
+    }
 
+    const alignment = options.alignment || null;
     let result = '';
+
+    // Braille for print text[start, end), recorded as an alignment segment when asked
+    const append = (start, end, braille) => {
+      if (alignment && braille) {
+        alignment.push({ print: [start, end], braille: [result.length, result.length + braille.length] });
+      }
+      result += braille;
+    };
+
+    // Formulas are translated as math; the text around them as literary Braille
+    const mathNotation = options.mathNotation || 'ueb';
+    if (mathNotation !== 'none') {
+      const spans = this.math.findSpans(text);
+      if (spans.length) {
+        const convertText = (start, end) => {
+          const segments = alignment ? [] : null;
+          const braille = this.textToBraille(text.slice(start, end), useGrade2, { ...options, mathNotation: 'none', alignment: segments });
+          if (segments) {
+            alignment.push(...shiftSegments(segments, start, result.length));
+          }
+          result += braille;
+        };
+        let position = 0;
+        for (const span of spans) {
+          convertText(position, span.start);
+          append(span.start, span.end, this.math.translate(span.latex, mathNotation));
+          position = span.end;
+        }
+        convertText(position, text.length);
+        return result;
+      }
+    }
+
+    // Capital word and passage indicators depend on the words around each letter
+    const capitals = this.planCapitals(text);
     let i = 0;
     let inNumber = false;
 
-    // Process text character by character
+    // Process text character by character, and letters a word at a time
     while (i < text.length) {
       const char = text[i];
-      const lowerChar = char.toLowerCase();
-      
-      // Handle whitespace
-      if (/\s/.test(char)) {
-        result += this.INDICATORS.SPACE;
+
+      // Capitals terminators falling after a word go before the next symbol (letters take theirs below)
+      const before = /[a-zA-Z]/.test(char) ? '' : capitals.indicators.get(i) || '';
+
+      // Handle newlines
+      if (char === '\n') {
+        append(i, i + 1, before + this.INDICATORS.NEWLINE);
         inNumber = false;
         i++;
         continue;
       }
 
-      // Handle newlines
-      if (char === '\n') {
-        result += this.INDICATORS.NEWLINE;
+      // Handle whitespace
+      if (/\s/.test(char)) {
+        append(i, i + 1, before + this.INDICATORS.SPACE);
         inNumber = false;
         i++;
         continue;
@@ -103,203 +290,1211 @@ class BrailleConverter {
 
       // Handle numbers
       if (/\d/.test(char)) {
-        if (!inNumber) {
-          result += this.INDICATORS.NUMBER;
-          inNumber = true;
+        append(i, i + 1, before + (inNumber ? '' : this.INDICATORS.NUMBER) + (this.NUMBER_MAP[char] || char));
+        inNumber = true;
+        i++;
+        continue;
+      }
+
+      // Decimal points and commas between digits stay in numeric mode (3.14, 1,000)
+      if (inNumber && (char === '.' || char === ',') && /\d/.test(text[i + 1] || '')) {
+        append(i, i + 1, before + this.PUNCTUATION_MAP[char]);
+        i++;
+        continue;
+      }
+
+      const afterNumber = inNumber;
+      inNumber = false;
+
+      // Handle words (runs of letters)
+      if (/[a-zA-Z]/.test(char)) {
+        let end = i;
+        while (end < text.length && /[a-zA-Z]/.test(text[end])) {
+          end++;
+        }
+        const word = text.slice(i, end);
+        const context = this.getWordContext(text, i, end);
+
+        // Grade 2: contract with the table rules; Grade 1: letter by letter
+        const spell = () => Array.from(word, (letter, k) => ({ start: k, end: k + 1, braille: this.ALPHABET_MAP[letter.toLowerCase()] }));
+        let units = useGrade2 ? this.table.contractWord(word, context) : spell();
+
+        // A word that would read as a contraction is spelled out after a grade 1 indicator
+        let grade1 = this.grade1Indicator(word, units, { afterNumber, standingAlone: useGrade2 && context.standingAlone });
+        if (grade1 && !afterNumber) {
+          units = spell();
         }
-        result += this.NUMBER_MAP[char] || char;
+
+        for (const unit of units) {
+          let braille = grade1;
+          for (let position = i + unit.start; position < i + unit.end; position++) {
+            braille += capitals.indicators.get(position) || '';
+          }
+          if (/[A-Z]/.test(word[unit.start]) && !capitals.covered.has(i + unit.start)) {
+            braille += this.INDICATORS.CAPITAL;
+          }
+          append(i + unit.start, i + unit.end, braille + unit.braille);
+          grade1 = '';
+        }
+        i = end;
+        continue;
+      }
+
+      // Straight double quotes become opening or closing quotes
+      if (char === '"') {
+        const opening = i === 0 || /[\s([{]/.test(text[i - 1]);
+        append(i, i + 1, before + this.PUNCTUATION_MAP[opening ? '“' : '”']);
         i++;
         continue;
-      } else {
-        inNumber = false;
       }
 
       // Handle punctuation
       if (this.PUNCTUATION_MAP[char]) {
-        result += this.PUNCTUATION_MAP[char];
+        append(i, i + 1, before + this.PUNCTUATION_MAP[char]);
         i++;
         continue;
       }
 
-      // Handle letters
-      if (/[a-zA-Z]/.test(char)) {
-        // Check for capital letters
-        if (/[A-Z]/.test(char)) {
-          result += this.INDICATORS.CAPITAL;
+      // Unknown character, keep as is
+      append(i, i + 1, before + char);
+      i++;
+    }
+
+    append(text.length, text.length, capitals.indicators.get(text.length) || '');
+    return result;
+  }
+
+  /**
+   * Convert text to Braille along with an alignment map between print and Braille positions
+   * @param {string} text - Input text to convert
+   * @param {boolean} useGrade2 - Whether to use Grade 2 contractions (default: true)
+   * @param {object} options - Conversion options (see textToBraille)
+   * @returns {object} - { braille, alignment } where alignment holds segments
+   *   { print: [start, end], braille: [start, end] } of string offsets; indicators belong to
+   *   the segment of the print they apply to
+   */
+  alignText(text, useGrade2 = true, options = {}) {
+    const alignment = [];
+    const braille = this.textToBraille(text, useGrade2, { ...options, alignment });
+    return { braille, alignment: mergeEmptySegments(alignment) };
+  }
+
+  /**
+   * Work out UEB capital indicators: a capitals passage indicator (⠠⠠⠠) before three or more
+   * words in capitals, a capitals word indicator (⠠⠠) before two or more capitals in a word,
+   * and a capitals terminator (⠠⠄) where the passage ends or lowercase letters follow in the word.
+   * Capitals not covered need a capital letter indicator (⠠) each
+   * @param {string} text - Full text
+   * @returns {object} - { indicators: Map of print position to indicator cells, covered: Set of positions }
+   */
+  planCapitals(text) {
+    const indicators = new Map();
+    const covered = new Set();
+    const add = (position, cells) => indicators.set(position, (indicators.get(position) || '') + cells);
+    if (!/[A-Z]/.test(text)) {
+      return { indicators, covered };
+    }
+
+    // Letters-sequences: letters with apostrophes (and typeform markers) between them.
+    // Letter positions are only worked out for sequences holding capitals
+    const letterSequences = [];
+    const letterPattern = /[A-Za-z](?:['\uE000-\uF8FF]*[A-Za-z])*/g;
+    let match;
+    while ((match = letterPattern.exec(text)) !== null) {
+      const sequence = match[0];
+      letterSequences.push({
+        start: match.index,
+        text: sequence,
+        capitals: sequence === sequence.toUpperCase(),
+        lowercase: sequence === sequence.toLowerCase()
+      });
+    }
+    const lettersOf = (sequence) => {
+      const letters = [];
+      for (let k = 0; k < sequence.text.length; k++) {
+        if (/[A-Za-z]/.test(sequence.text[k])) {
+          letters.push(sequence.start + k);
         }
+      }
+      return letters;
+    };
 
-        // Try Grade 2 contractions if enabled
-        if (useGrade2) {
-          let foundContraction = false;
+    // Symbols-sequences (the print between spaces) in capitals, for passages
+    const words = [];
+    const wordPattern = /\S+/g;
+    let next = 0;
+    while ((match = wordPattern.exec(text)) !== null) {
+      const start = match.index;
+      const end = start + match[0].length;
+      // Letters-sequences are in text order, so each word takes the ones starting inside it
+      const sequences = [];
+      while (next < letterSequences.length && letterSequences[next].start < end) {
+        if (letterSequences[next].start >= start) {
+          sequences.push(letterSequences[next]);
+        }
+        next++;
+      }
+      words.push({ sequences, capitals: sequences.length > 0 && sequences.every(sequence => sequence.capitals) });
+    }
 
-          // Check for whole word contractions
-          const wordMatch = this.findWordContraction(text, i);
-          if (wordMatch) {
-            result += wordMatch.braille;
-            i += wordMatch.length;
-            foundContraction = true;
+    let run = [];
+    const endRun = () => {
+      const capitalWords = run.filter(word => word.capitals);
+      const letters = capitalWords.flatMap(word => word.sequences.flatMap(lettersOf));
+      if (capitalWords.length >= this.CAPITALS_PASSAGE_WORDS && letters.length > capitalWords.length) {
+        add(letters[0], this.INDICATORS.CAPITALS_PASSAGE);
+        add(letters[letters.length - 1] + 1, this.INDICATORS.CAPITALS_TERMINATOR);
+        letters.forEach(position => covered.add(position));
+        capitalWords.forEach(word => word.sequences.forEach(sequence => {
+          sequence.inPassage = true;
+        }));
+      }
+      run = [];
+    };
+    for (const word of words) {
+      if (word.capitals || !word.sequences.length) {
+        run.push(word);
+      } else {
+        endRun();
+      }
+    }
+    endRun();
+
+    // Outside passages: runs of two or more capitals in a letters-sequence take the word indicator
+    for (const sequence of letterSequences) {
+      if (sequence.inPassage || sequence.lowercase) {
+        continue;
+      }
+      const letters = lettersOf(sequence);
+      let k = 0;
+      while (k < letters.length) {
+        let end = k;
+        while (end < letters.length && /[A-Z]/.test(text[letters[end]])) {
+          end++;
+        }
+        if (end - k > 1) {
+          add(letters[k], this.INDICATORS.CAPITALS_WORD);
+          letters.slice(k, end).forEach(position => covered.add(position));
+          if (end < letters.length) {
+            add(letters[end], this.INDICATORS.CAPITALS_TERMINATOR);
           }
+        }
+        k = Math.max(end, k + 1);
+      }
+    }
+
+    return { indicators, covered };
+  }
+
+  /**
+   * Grade 1 indicator needed before a letters-sequence in Grade 2 text: after a number when
+   * the first cell would read as a digit (a-j), or when a word standing alone would otherwise
+   * read as a wordsign or shortform (b as "but", ab as "about")
+   * @param {string} word - Letters of the word
+   * @param {Array<object>} units - Contracted units of the word
+   * @param {object} context - { afterNumber, standingAlone }
+   * @returns {string} - Grade 1 symbol (⠰) or word (⠰⠰) indicator, or ''; a word standing
+   *   alone that takes one is then written letter by letter
+   */
+  grade1Indicator(word, units, { afterNumber = false, standingAlone = false } = {}) {
+    if (afterNumber) {
+      // A capital indicator ends numeric mode by itself
+      const digitCell = this.DIGIT_CELLS.has(units[0].braille[0]);
+      return digitCell && !/[A-Z]/.test(word[0]) ? this.INDICATORS.GRADE1_SYMBOL : '';
+    }
+
+    if (standingAlone) {
+      const reading = this.UEB_WORDSIGNS[units.map(unit => unit.braille).join('')];
+      if (reading && reading !== word.toLowerCase()) {
+        return word.length === 1 ? this.INDICATORS.GRADE1_SYMBOL : this.INDICATORS.GRADE1_WORD;
+      }
+    }
+
+    return '';
+  }
+
+  /**
+   * Work out whether a word stands alone for whole-word contractions: bounded by
+   * spaces, hyphens or dashes with only opening/closing punctuation in between
+   * @param {string} text - Full text
+   * @param {number} start - Start of the word
+   * @param {number} end - End of the word
+   * @returns {object} - { standingAlone, touchesPunctuation }
+   */
+  getWordContext(text, start, end) {
+    const isBoundary = (char) => char === undefined || /[\s\-–—]/.test(char);
+
+    // Typeform indicator markers are looked through; they separate contractions but not words
+    let before = start - 1;
+    while (before >= 0 && (this.table.openingPunctuation.has(text[before]) || isIndicatorMarker(text[before]))) {
+      before--;
+    }
+
+    // 's, 'd, 'll, 're and 've after a word keep it standing alone (it's, you'll)
+    let after = end;
+    const suffixPattern = /'([a-zA-Z]+)/y;
+    suffixPattern.lastIndex = end;
+    const suffix = suffixPattern.exec(text);
+    if (suffix && this.table.apostropheSuffixes.includes(suffix[1].toLowerCase())) {
+      after += suffix[0].length;
+    }
+    while (after < text.length && (this.table.closingPunctuation.has(text[after]) || isIndicatorMarker(text[after]))) {
+      after++;
+    }
+
+    return {
+      standingAlone: isBoundary(text[before]) && isBoundary(text[after]),
+      touchesPunctuation: !isBoundary(text[start - 1]) || !isBoundary(text[end])
+    };
+  }
+
+  /**
+   * Convert structured academic notes to Braille with formatting
+   * @param {string} notes - Academic notes in markdown
+   * @param {object} options - Conversion options (see textToBraille)
+   * @returns {string} - Formatted Braille notes
+   */
+  convertAcademicNotes(notes, options = {}) {
+    return this.serializeBlocks(this.convertAcademicNotesToBlocks(notes, options)).braille;
+  }
+
+  /**
+   * Create a stream converting academic notes a section at a time, for documents too large to
+   * convert in one call. The Braille read from it is the same as convertAcademicNotes gives
+   * @param {object} options - Conversion options (see convertAcademicNotesToBlocks); alignment is not available
+   * @returns {BrailleStream} - Transform stream: write markdown, read Braille
+   */
+  createConversionStream(options = {}) {
+    return new BrailleStream(this, options);
+  }
+
+  /**
+   * Convert academic notes as convertAcademicNotes does, with an alignment map between
+   * print words in the markdown and their Braille
+   * @param {string} notes - Academic notes in markdown
+   * @param {object} options - Conversion options (see convertAcademicNotesToBlocks)
+   * @returns {object} - { braille, alignment } where alignment holds segments
+   *   { print: [start, end], braille: [start, end] } of offsets in notes and braille
+   */
+  alignAcademicNotes(notes, options = {}) {
+    return this.serializeBlocks(this.convertAcademicNotesToBlocks(notes, { ...options, withAlignment: true }));
+  }
+
+  /**
+   * Combine alignment segments so each covers a whole print word (the print between spaces)
+   * @param {string} print - Print text the segments point into
+   * @param {Array<object>} alignment - Segments { print, braille }
+   * @returns {Array<object>} - One segment per print word
+   */
+  alignWords(print, alignment) {
+    const words = [];
+    let current = null;
+    let wordEnd = -1;
+
+    for (const segment of alignment) {
+      if (current && segment.print[0] < wordEnd) {
+        current.print[1] = Math.max(current.print[1], segment.print[1]);
+        current.braille[1] = Math.max(current.braille[1], segment.braille[1]);
+        continue;
+      }
+      const rest = print.slice(segment.print[0]).search(/\s/);
+      wordEnd = rest === -1 ? print.length : segment.print[0] + rest;
+      current = { print: [...segment.print], braille: [...segment.braille] };
+      words.push(current);
+    }
+
+    return words;
+  }
+
+  /**
+   * Join Braille blocks into the unpaged text stored with a note
+   * @param {Array<object>} blocks - Braille blocks
+   * @returns {object} - { braille, alignment } with the blocks' alignment segments moved into place
+   */
+  serializeBlocks(blocks) {
+    let joined = '';
+    const segments = [];
+    for (const block of blocks) {
+      joined += '  '.repeat(block.depth || 0);
+      segments.push(...shiftSegments(block.alignment || [], 0, joined.length));
+      joined += (block.braille || '') + this.BLOCK_SEPARATORS[block.type];
+    }
+
+    // At most one blank line in a row, and none at the start or end
+    let braille = '';
+    const offsets = [];
+    let newlines = 0;
+    for (const char of joined) {
+      offsets.push(braille.length);
+      newlines = char === '\n' ? newlines + 1 : 0;
+      if (newlines <= 2) {
+        braille += char;
+      }
+    }
+    offsets.push(braille.length);
+    const leading = braille.length - braille.trimStart().length;
+    braille = braille.trim();
+
+    const position = (offset) => Math.min(Math.max(offsets[offset] - leading, 0), braille.length);
+    const alignment = segments
+      .map(segment => ({ print: segment.print, braille: [position(segment.braille[0]), position(segment.braille[1])] }))
+      .filter(segment => segment.braille[1] > segment.braille[0]);
+
+    return { braille, alignment };
+  }
+
+  /**
+   * Convert a note title to Braille (titles are written in capitals)
+   * @param {string} title - Title text without the markdown marker
+   * @param {object} options - Conversion options (see textToBraille)
+   * @returns {string} - Braille title
+   */
+  titleToBraille(title, options = {}) {
+    return this.textToBraille(title.toUpperCase(), options.grade !== 'Grade1', options);
+  }
+
+  /**
+   * Convert structured academic notes to Braille blocks for page layout
+   * @param {string} notes - Academic notes in markdown
+   * @param {object} options - Conversion options (see textToBraille), and:
+   * @param {string} options.grade - 'Grade1' for uncontracted Braille (default: 'Grade2')
+   * @param {string} options.brailleCode - 'computer' for notes wholly in 8-dot computer Braille; code and
+   *   URLs are always in computer Braille (default: 'literary')
+   * @param {number} options.cellsPerLine - Line width tables are laid out for (default: 40)
+   * @param {string} options.tableFormat - 'auto', 'columns', 'stairstep' or 'linear' (default: 'auto')
+   * @param {boolean} options.withAlignment - Give blocks alignment segments with print offsets in notes
+   * @returns {Array<object>} - Blocks { type, braille, level?, depth?, alignment? } where type is 'title',
+   *   'heading', 'listItem', 'paragraph', 'code', 'tableRow', 'blank' or 'printPageBreak'
+   */
+  convertAcademicNotesToBlocks(notes, options = {}) {
+    const blocks = this.nodesToBlocks(this.notesParser.parse(notes), options);
+    if (options.withAlignment) {
+      this.locatePrint(notes, blocks);
+    }
+    return blocks;
+  }
+
+  /**
+   * Point block alignment segments at the notes source. Each block's print words are found in
+   * the source in reading order; segments for print that is not in the source (list bullets,
+   * repeated table headings, unescaped characters) are left out
+   * @param {string} notes - Academic notes in markdown
+   * @param {Array<object>} blocks - Blocks with print and alignment relative to that print
+   */
+  locatePrint(notes, blocks) {
+    let cursor = 0;
 
-          // Check for letter combination contractions
-          if (!foundContraction) {
-            const letterMatch = this.findLetterContraction(text, i);
-            if (letterMatch) {
-              result += letterMatch.braille;
-              i += letterMatch.length;
-              foundContraction = true;
-            }
+    for (const block of blocks) {
+      if (!block.alignment) {
+        continue;
+      }
+
+      const sources = new Array(block.print.length).fill(-1);
+      const words = /\S+/g;
+      let match;
+      while ((match = words.exec(block.print)) !== null) {
+        const found = notes.indexOf(match[0], cursor);
+        if (found !== -1) {
+          for (let k = 0; k < match[0].length; k++) {
+            sources[match.index + k] = found + k;
           }
+          cursor = found + match[0].length;
+        }
+      }
+
+      block.alignment = block.alignment
+        .map(segment => {
+          const located = sources.slice(segment.print[0], segment.print[1]).filter(source => source !== -1);
+          return located.length
+            ? { print: [located[0], located[located.length - 1] + 1], braille: segment.braille }
+            : null;
+        })
+        .filter(Boolean);
+      delete block.print;
+    }
+  }
+
+  /**
+   * Run a conversion as a piece of a block, keeping its alignment segments when asked for
+   * @param {string} print - Print text converted
+   * @param {object} options - Conversion options (see convertAcademicNotesToBlocks)
+   * @param {Function} convert - (options) => Braille
+   * @returns {object} - Piece { braille, print, alignment } (alignment null unless options.withAlignment)
+   */
+  convertPiece(print, options, convert) {
+    const alignment = options.withAlignment ? [] : null;
+    const braille = convert({ ...options, alignment });
+    return { braille, print, alignment };
+  }
 
-          // If no contraction found, use regular letter
-          if (!foundContraction) {
-            result += this.ALPHABET_MAP[lowerChar] || char;
-            i++;
+  /**
+   * Make a block from a converted piece
+   * @param {string} type - Block type
+   * @param {object} piece - Piece { braille, print, alignment }
+   * @param {object} fields - Other block fields (level, depth)
+   * @returns {object} - Braille block
+   */
+  pieceToBlock(type, piece, fields = {}) {
+    const block = { type, ...fields, braille: piece.braille };
+    if (piece.alignment) {
+      block.print = piece.print;
+      block.alignment = piece.alignment;
+    }
+    return block;
+  }
+
+  /**
+   * Convert parsed notes (see NotesParser#parse) to Braille blocks
+   * @param {Array<object>} nodes - Document nodes
+   * @param {object} options - Conversion options (see convertAcademicNotesToBlocks)
+   * @returns {Array<object>} - Braille blocks
+   */
+  nodesToBlocks(nodes, options = {}) {
+    const blocks = [];
+
+    for (const node of nodes) {
+      switch (node.type) {
+        case 'heading': {
+          // A level 1 heading is the title; the others are cell-5 (level 2) or cell-7 headings
+          const text = this.notesParser.plainText(node.inline);
+          if (node.level === 1) {
+            blocks.push(this.pieceToBlock('title', this.convertPiece(text, options, o => this.titleToBraille(text, o))));
+          } else {
+            const piece = this.convertPiece(text, options, o => this.inlineToBraille(node.inline, o));
+            blocks.push(this.pieceToBlock('heading', piece, { level: node.level }));
           }
+          break;
+        }
+
+        case 'paragraph': {
+          const text = this.notesParser.plainText(node.inline);
+          blocks.push(this.pieceToBlock('paragraph', this.convertPiece(text, options, o => this.inlineToBraille(node.inline, o))));
+          break;
+        }
+
+        case 'list':
+          blocks.push(...this.listToBlocks(node, 0, options));
+          break;
+
+        // Block quotes and code are displayed material, set off by blank lines
+        case 'blockquote':
+          blocks.push({ type: 'blank' }, ...this.nodesToBlocks(node.children, options), { type: 'blank' });
+          break;
+
+        case 'code':
+          blocks.push({ type: 'blank' }, ...this.codeToBlocks(node.text.replace(/\t/g, '  '), options), { type: 'blank' });
+          break;
+
+        case 'table':
+          blocks.push({ type: 'blank' }, ...this.tableToBlocks(node, options), { type: 'blank' });
+          break;
+
+        case 'rule':
+          blocks.push({ type: 'blank' });
+          break;
+
+        case 'printPageBreak':
+          blocks.push({ type: 'printPageBreak' });
+          break;
+
+        default:
+          break;
+      }
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Convert a list, and the lists nested in it, to list item blocks
+   * @param {object} list - List node { ordered, items }
+   * @param {number} depth - Nesting level (0 for a top-level list)
+   * @param {object} options - Conversion options (see convertAcademicNotesToBlocks)
+   * @returns {Array<object>} - Braille blocks
+   */
+  listToBlocks(list, depth, options = {}) {
+    const blocks = [];
+
+    for (const item of list.items) {
+      const marker = item.marker
+        ? this.convertPiece(item.marker, options, o => this.textToBraille(item.marker, true, o))
+        : { braille: this.INDICATORS.BULLET, print: '', alignment: [] };
+      let markerWritten = false;
+
+      for (const child of item.children) {
+        if (child.type === 'paragraph') {
+          const text = this.notesParser.plainText(child.inline);
+          const piece = this.convertPiece(text, options, o => this.inlineToBraille(child.inline, o));
+          const parts = markerWritten ? [piece] : [marker, { braille: ' ', print: ' ' }, piece];
+          blocks.push(this.pieceToBlock('listItem', joinPieces(parts, options), { depth }));
+          markerWritten = true;
+        } else if (child.type === 'list') {
+          blocks.push(...this.listToBlocks(child, depth + 1, options));
         } else {
-          // Grade 1: just convert letter
-          result += this.ALPHABET_MAP[lowerChar] || char;
-          i++;
+          blocks.push(...this.nodesToBlocks([child], options));
         }
+      }
+
+      if (!markerWritten && !item.children.length) {
+        blocks.push(this.pieceToBlock('listItem', joinPieces([marker], options), { depth }));
+      }
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Convert a code block to one block per line, in computer Braille
+   * @param {string} code - Code text
+   * @param {object} options - Conversion options (see convertAcademicNotesToBlocks)
+   * @returns {Array<object>} - 'code' blocks
+   */
+  codeToBlocks(code, options = {}) {
+    const piece = this.convertPiece(code, options, o => this.computerToBraille(code, o));
+    const printLines = code.split('\n');
+    let printStart = 0;
+    let brailleStart = 0;
+
+    return piece.braille.split('\n').map((braille, index) => {
+      const print = printLines[index] || '';
+      const line = { braille, print, alignment: null };
+      if (piece.alignment) {
+        line.alignment = shiftSegments(piece.alignment
+          .filter(segment => segment.print[0] >= printStart && segment.print[1] <= printStart + print.length), -printStart, -brailleStart)
+          .filter(segment => segment.braille[0] >= 0 && segment.braille[1] <= braille.length);
+      }
+      printStart += print.length + 1;
+      brailleStart += braille.length + 1;
+      return this.pieceToBlock('code', line);
+    });
+  }
+
+  /**
+   * Convert a table to Braille blocks as transcribers lay tables out: in columns when they fit
+   * the line, otherwise stair-step (one entry per line, two cells further in for each column)
+   * when every entry fits a line, otherwise linear (one row per item). Stair-step and linear
+   * entries repeat their column heading. Columns that do not fit the line are never used, even
+   * when options.tableFormat asks for them
+   * @param {object} table - Table node { header, rows, align }
+   * @param {object} options - Conversion options (see convertAcademicNotesToBlocks)
+   * @returns {Array<object>} - Braille blocks: 'tableRow' lines for columns, 'listItem' entries otherwise
+   */
+  tableToBlocks(table, options = {}) {
+    const cellsPerLine = options.cellsPerLine || 40;
+    const format = options.tableFormat || 'auto';
+    const columnCount = Math.max(table.header.length, ...table.rows.map(row => row.length));
+    const toPieces = (cells) => Array.from({ length: columnCount }, (_, j) => {
+      const text = this.notesParser.plainText(cells[j]);
+      return this.convertPiece(text, options, o => this.inlineToBraille(cells[j], o));
+    });
+
+    const header = toPieces(table.header);
+    const rows = table.rows.map(toPieces);
+    const widths = header.map((_, j) => Math.max(1, ...[header, ...rows].map(row => row[j].braille.length)));
+    const columnsWidth = widths.reduce((sum, width) => sum + width, 0) + this.TABLE_COLUMN_GAP * (columnCount - 1);
+    const gap = { braille: ' '.repeat(this.TABLE_COLUMN_GAP), print: ' ' };
+
+    const columnsFit = columnsWidth <= cellsPerLine;
+    if (columnsFit && (format === 'columns' || format === 'auto')) {
+      const line = (cells) => {
+        const parts = cells.flatMap((cell, j) => {
+          const padding = { braille: ' '.repeat(widths[j] - cell.braille.length), print: '' };
+          const padded = table.align[j] === 'right' ? [padding, cell] : [cell, padding];
+          return j > 0 ? [gap, ...padded] : padded;
+        });
+        const joined = joinPieces(parts, options);
+        return this.pieceToBlock('tableRow', { ...joined, braille: joined.braille.trimEnd() });
+      };
+      const separator = widths.map(width => ({ braille: this.TABLE_HEADING_SEPARATOR.repeat(width), print: '', alignment: null }));
+      return [line(header), { type: 'tableRow', braille: line(separator).braille }, ...rows.map(line)];
+    }
+
+    // Each entry is labelled with its column heading (Heading: entry); empty cells are left out
+    const colon = this.textToBraille(':');
+    const entries = rows.map(row => row
+      .map((cell, depth) => {
+        const label = { braille: header[depth].braille ? `${header[depth].braille}${colon} ` : '', print: '' };
+        return { depth, piece: joinPieces([label, cell], options) };
+      })
+      .filter(({ depth }) => row[depth].braille));
+
+    const stairFits = entries.every(row => row.every(({ depth, piece }) => 2 * depth + piece.braille.length <= cellsPerLine));
+    // Columns asked for but too wide are laid out as auto would
+    if (format === 'stairstep' || (format !== 'linear' && stairFits)) {
+      return entries.flatMap(row => row.map(({ depth, piece }) => this.pieceToBlock('listItem', piece, { depth })));
+    }
+
+    const semicolon = { braille: `${this.textToBraille(';')} `, print: ' ' };
+    return entries.map(row => {
+      const parts = row.flatMap(({ piece }, k) => (k > 0 ? [semicolon, piece] : [piece]));
+      return this.pieceToBlock('listItem', joinPieces(parts, options), { depth: 0 });
+    });
+  }
+
+  /**
+   * Convert inline runs (see NotesParser#readInline) to Braille: code spans and URLs in computer
+   * Braille, text contracted with UEB typeform indicators for bold, italic and underline
+   * @param {Array<object>} inline - Runs { text, bold, italic, underline, code, url }
+   * @param {object} options - Conversion options (see textToBraille); options.alignment
+   *   collects segments with print offsets in the runs' plain text
+   * @returns {string} - Braille text
+   */
+  inlineToBraille(inline, options = {}) {
+    const alignment = options.alignment || null;
+    let result = '';
+    let printOffset = 0;
+    let runs = [];
+
+    const convert = (text, toBraille) => {
+      const segments = alignment ? [] : null;
+      const braille = toBraille({ ...options, alignment: segments });
+      if (segments) {
+        alignment.push(...shiftSegments(segments, printOffset, result.length));
+      }
+      result += braille;
+      printOffset += text.length;
+    };
+    const flush = () => {
+      if (runs.length) {
+        const pending = runs;
+        convert(pending.map(run => run.text).join(''), o => this.typeformTextToBraille(pending, o));
+        runs = [];
+      }
+    };
+
+    for (const run of inline || []) {
+      if (run.code || run.url || options.brailleCode === 'computer') {
+        flush();
+        convert(run.text, o => this.computerToBraille(run.text, o));
       } else {
-        // Unknown character, keep as is
-        result += char;
-        i++;
+        runs.push(run);
       }
     }
+    flush();
 
+    // Surrounding spaces are dropped
+    const leading = result.length - result.trimStart().length;
+    result = result.trim();
+    if (alignment && leading) {
+      const shifted = shiftSegments(alignment.splice(0), 0, -leading);
+      alignment.push(...shifted.filter(segment => segment.braille[0] >= 0));
+    }
     return result;
   }
 
   /**
-   * Find word contractions at current position
-   * @param {string} text - Full text
-   * @param {number} pos - Current position
-   * @returns {object|null} - Contraction match or null
+   * Convert text runs with typeforms to Braille. Each typeform gets a symbol indicator for a
+   * single letter inside a word, word indicators for up to three symbols-sequences (with a
+   * terminator when it ends inside a word) and a passage indicator and terminator beyond that
+   * @param {Array<object>} runs - Runs { text, bold, italic, underline }
+   * @param {object} options - Conversion options (see textToBraille)
+   * @returns {string} - Braille text
    */
-  findWordContraction(text, pos) {
-    // Check if we're at word boundary
-    if (pos > 0 && /[a-zA-Z]/.test(text[pos - 1])) {
-      return null;
+  typeformTextToBraille(runs, options = {}) {
+    const text = runs.map(run => run.text).join('');
+    const isAlphanumeric = (value) => /[\p{L}\p{N}]/u.test(value);
+
+    // Symbols-sequences: the print between spaces
+    const sequences = [];
+    const pattern = /\S+/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      sequences.push({ start: match.index, end: match.index + match[0].length });
     }
+    const sequenceAt = (position) => sequences.findIndex(sequence => position < sequence.end);
+
+    // Indicators to insert before each print position: terminators first, then openers
+    const closing = new Map();
+    const opening = new Map();
+    const add = (map, position, braille) => {
+      map.set(position, (map.get(position) || []).concat(braille));
+    };
+
+    for (const typeform of ['bold', 'italic', 'underline']) {
+      const prefix = this.INDICATORS[typeform.toUpperCase()];
+      const { symbol, word, passage, terminator } = this.TYPEFORM_SCOPES;
+
+      for (const [start, end] of this.typeformRanges(runs, typeform)) {
+        const first = sequenceAt(start);
+        const last = sequenceAt(end - 1);
+        const endsInWord = isAlphanumeric(text.slice(end, sequences[last].end));
 
-    // Try to match contractions (longest first)
-    const sortedContractions = Object.keys(this.CONTRACTIONS)
-      .sort((a, b) => b.length - a.length);
-
-    for (const word of sortedContractions) {
-      const endPos = pos + word.length;
-      if (endPos <= text.length) {
-        const textSlice = text.slice(pos, endPos).toLowerCase();
-        if (textSlice === word) {
-          // Check word boundary at end
-          if (endPos === text.length || !/[a-zA-Z]/.test(text[endPos])) {
-            return {
-              braille: this.CONTRACTIONS[word],
-              length: word.length
-            };
+        if (last - first + 1 > 3) {
+          add(opening, start, prefix + passage);
+          add(closing, end, prefix + terminator);
+        } else if (end - start === 1 && first === last && isAlphanumeric(text[start]) &&
+          (endsInWord || isAlphanumeric(text.slice(sequences[first].start, start)))) {
+          add(opening, start, prefix + symbol);
+        } else {
+          add(opening, start, prefix + word);
+          for (let k = first + 1; k <= last; k++) {
+            add(opening, sequences[k].start, prefix + word);
+          }
+          if (endsInWord) {
+            add(closing, end, prefix + terminator);
           }
         }
       }
     }
 
-    return null;
+    // Without typeform indicators the text is contracted as it is
+    if (!closing.size && !opening.size) {
+      const segments = options.alignment ? [] : null;
+      const braille = this.textToBraille(text, options.grade !== 'Grade1', { ...options, alignment: segments });
+      if (segments) {
+        options.alignment.push(...mergeEmptySegments(segments));
+      }
+      return braille;
+    }
+
+    // Indicators are held by marker characters while the text is contracted, then put in place;
+    // origins maps each position in the marked text back to the print
+    const indicators = [];
+    const origins = [];
+    let marked = '';
+    for (let i = 0; i <= text.length; i++) {
+      for (const braille of [...(closing.get(i) || []), ...(opening.get(i) || [])]) {
+        indicators.push(braille);
+        origins.push(i);
+        marked += String.fromCharCode(INDICATOR_MARKER_BASE + indicators.length - 1);
+      }
+      origins.push(i);
+      marked += text[i] || '';
+    }
+
+    const segments = options.alignment ? [] : null;
+    const contracted = this.textToBraille(marked, options.grade !== 'Grade1', { ...options, alignment: segments });
+
+    let result = '';
+    const offsets = [];
+    for (const char of contracted) {
+      offsets.push(result.length);
+      result += isIndicatorMarker(char) ? indicators[char.charCodeAt(0) - INDICATOR_MARKER_BASE] || '' : char;
+    }
+    offsets.push(result.length);
+
+    if (segments) {
+      options.alignment.push(...mergeEmptySegments(segments.map(segment => ({
+        print: [origins[segment.print[0]], origins[segment.print[1]]],
+        braille: [offsets[segment.braille[0]], offsets[segment.braille[1]]]
+      }))));
+    }
+    return result;
   }
 
   /**
-   * Find letter combination contractions at current position
-   * @param {string} text - Full text
-   * @param {number} pos - Current position
-   * @returns {object|null} - Contraction match or null
-   */
-  findLetterContraction(text, pos) {
-    // Try to match letter contractions (longest first)
-    const sortedContractions = Object.keys(this.LETTER_CONTRACTIONS)
-      .sort((a, b) => b.length - a.length);
-
-    for (const letters of sortedContractions) {
-      const endPos = pos + letters.length;
-      if (endPos <= text.length) {
-        const textSlice = text.slice(pos, endPos).toLowerCase();
-        if (textSlice === letters) {
-          return {
-            braille: this.LETTER_CONTRACTIONS[letters],
-            length: letters.length
-          };
+   * Print ranges set in a typeform, trimmed of surrounding spaces
+   * @param {Array<object>} runs - Runs { text, bold, italic, underline }
+   * @param {string} typeform - 'bold', 'italic' or 'underline'
+   * @returns {Array<number[]>} - [start, end] ranges
+   */
+  typeformRanges(runs, typeform) {
+    const ranges = [];
+    let position = 0;
+
+    for (const run of runs) {
+      const end = position + run.text.length;
+      if (run[typeform]) {
+        const last = ranges[ranges.length - 1];
+        if (last && last[1] === position) {
+          last[1] = end;
+        } else {
+          ranges.push([position, end]);
         }
       }
+      position = end;
     }
 
-    return null;
+    const text = runs.map(run => run.text).join('');
+    return ranges
+      .map(([start, end]) => {
+        while (start < end && /\s/.test(text[start])) {
+          start++;
+        }
+        while (end > start && /\s/.test(text[end - 1])) {
+          end--;
+        }
+        return [start, end];
+      })
+      .filter(([start, end]) => end > start);
   }
 
   /**
-   * Convert structured academic notes to Braille with formatting
-   * @param {string} notes - Academic notes with markdown-like formatting
-   * @returns {string} - Formatted Braille notes
+   * Convert code or a URL to 8-dot computer Braille between begin and end computer Braille
+   * indicators. Notes written wholly in computer Braille need no indicators
+   * @param {string} text - Code or URL
+   * @param {object} options - Conversion options (see convertAcademicNotesToBlocks)
+   * @returns {string} - Braille text; surrounding whitespace is kept
+   */
+  computerToBraille(text, options = {}) {
+    const [, leading, body, trailing] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!body) {
+      return text;
+    }
+
+    const segments = options.alignment ? [] : null;
+    const braille = this.computerBraille.toBraille(body, { alignment: segments });
+    const [begin, end] = options.brailleCode === 'computer'
+      ? ['', '']
+      : [this.INDICATORS.COMPUTER_BEGIN, this.INDICATORS.COMPUTER_END];
+    if (segments) {
+      // The indicators go with the first and last symbols
+      const shifted = shiftSegments(segments, leading.length, leading.length + begin.length);
+      if (shifted.length) {
+        shifted[0].braille[0] = leading.length;
+        shifted[shifted.length - 1].braille[1] += end.length;
+      }
+      options.alignment.push(...shifted);
+    }
+    return leading + begin + braille + end + trailing;
+  }
+
+  /**
+   * Back-translate UEB Braille (Unicode Braille Patterns) to print text
+   * @param {string} braille - Braille text to back-translate
+   * @param {boolean} useGrade2 - Whether the Braille uses Grade 2 contractions (default: true)
+   * @returns {string} - Print text
    */
-  convertAcademicNotes(notes) {
-    if (!notes || typeof notes !== 'string') {
+  brailleToText(braille, useGrade2 = true) {
+    if (!braille || typeof braille !== 'string') {
       return '';
     }
 
+    // Capital, grade 1 and typeform passages can run across words and lines
+    const state = { capsPassage: false, grade1Passage: false, passages: [] };
+    const literary = (text) => text
+      .split('\n')
+      .map(line => line
+        .split(/[ ⠀]/)
+        .map(word => this.backTranslateWord(word, useGrade2, state))
+        .join(' '))
+      .join('\n');
+
+    // Computer Braille passages are read a character per cell
+    const { COMPUTER_BEGIN: begin, COMPUTER_END: end } = this.INDICATORS;
     let result = '';
-    const lines = notes.split('\n');
+    let position = 0;
+    let start;
+    while ((start = braille.indexOf(begin, position)) !== -1) {
+      const stop = braille.indexOf(end, start + begin.length);
+      const close = stop === -1 ? braille.length : stop;
+      result += literary(braille.slice(position, start)) + this.computerBraille.toText(braille.slice(start + begin.length, close));
+      position = stop === -1 ? braille.length : stop + end.length;
+    }
+    return result + literary(braille.slice(position));
+  }
+
+  /**
+   * Back-translate a single Braille word (the cells between two spaces)
+   * @param {string} word - Braille word
+   * @param {boolean} useGrade2 - Whether to expand Grade 2 contractions
+   * @param {object} state - Passage indicator state carried between words
+   * @returns {string} - Print word
+   */
+  backTranslateWord(word, useGrade2, state) {
+    const cells = Array.from(word);
+    let start = 0;
+    let end = cells.length;
+    let leading = '';
+    let trailing = '';
+    const terminators = [];
+
+    // Split off opening punctuation, then closing punctuation and terminators
+    let match;
+    while ((match = this.matchBrailleSequence(cells, start, this.UEB_LEADING_PUNCTUATION)) && start + match.length < end) {
+      leading += match.print;
+      start += match.length;
+    }
+    while (end - start > 1) {
+      // A symbol (⠸⠲ bullet) or capitalised wordsign (⠠⠴ "Was") is not split into punctuation
+      if (this.UEB_PUNCTUATION[cells.slice(start, end).join('')]) {
+        break;
+      }
+      let first = start;
+      while (cells[first] === this.INDICATORS.CAPITAL) {
+        first++;
+      }
+      if (first < end && this.UEB_WORDSIGNS[cells.slice(first, end).join('')]) {
+        break;
+      }
+      if (cells[end - 1] === '⠄' && this.isIndicatorPrefix(cells[end - 2]) && end - 2 > start) {
+        terminators.unshift(cells[end - 2]);
+        end -= 2;
+        continue;
+      }
+      // ⠄ straight after an indicator prefix is a terminator, not an apostrophe
+      const suffix = this.APOSTROPHE_SUFFIXES.find(({ braille }) =>
+        end - braille.length > start && cells.slice(end - braille.length, end).join('') === braille &&
+        !this.isIndicatorPrefix(cells[end - braille.length - 1]));
+      if (suffix) {
+        trailing = suffix.print + trailing;
+        end -= suffix.braille.length;
+        continue;
+      }
+      match = this.matchBrailleSequenceBefore(cells, end, start, this.UEB_TRAILING_PUNCTUATION);
+      if (!match) {
+        break;
+      }
+      trailing = match.print + trailing;
+      end -= match.length;
+    }
+
+    const out = [];
+    const wordTypeforms = [];
+    let symbolTypeform = null;
+    let capsWord = false;
+    let capNext = false;
+    let numeric = false;
+    let grade1Word = false;
+    let grade1Next = false;
+    let letters = 0;
+    let units = 0;
+
+    const emit = (print, isLetter = false) => {
+      let text = print;
+      if (state.capsPassage || capsWord) {
+        text = text.toUpperCase();
+      } else if (capNext) {
+        text = text.charAt(0).toUpperCase() + text.slice(1);
+      }
+      if (symbolTypeform) {
+        const [open, close] = this.TYPEFORM_MARKERS[symbolTypeform];
+        text = open + text + close;
+      }
+      out.push(text);
+      capNext = false;
+      grade1Next = false;
+      symbolTypeform = null;
+      units++;
+      if (isLetter) {
+        letters++;
+      }
+    };
+
+    const closeTypeform = (typeform) => {
+      for (const open of [wordTypeforms, state.passages]) {
+        const index = open.lastIndexOf(typeform);
+        if (index !== -1) {
+          open.splice(index, 1);
+          out.push(this.TYPEFORM_MARKERS[typeform][1]);
+          return;
+        }
+      }
+    };
 
-    for (let line of lines) {
-      line = line.trim();
-      
-      if (!line) {
-        result += '\n';
+    let i = start;
+    while (i < end) {
+      const cell = cells[i];
+      const next = cells[i + 1];
+
+      // Numeric mode: digits, decimal points and commas until a non-numeric cell
+      if (cell === this.INDICATORS.NUMBER) {
+        numeric = true;
+        i++;
         continue;
       }
+      if (numeric) {
+        if (this.REVERSE_NUMBER_MAP[cell]) {
+          emit(this.REVERSE_NUMBER_MAP[cell]);
+          i++;
+          continue;
+        }
+        if ((cell === '⠲' || cell === '⠂') && i + 1 < end && this.REVERSE_NUMBER_MAP[next]) {
+          emit(cell === '⠲' ? '.' : ',');
+          i++;
+          continue;
+        }
+        numeric = false;
+      }
 
-      // Handle titles (# Title)
-      if (line.startsWith('# ')) {
-        const title = line.substring(2);
-        result += this.INDICATORS.CAPITAL + this.textToBraille(title.toUpperCase()) + '\n\n';
+      // Capital letter, word and passage indicators (⠠⠤ and quotes are punctuation)
+      if (cell === '⠠' && !(next === '⠤' || (['⠶', '⠦', '⠴'].includes(next) && i + 2 < end))) {
+        if (next === '⠠' && cells[i + 2] === '⠠') {
+          state.capsPassage = true;
+          i += 3;
+        } else if (next === '⠠') {
+          capsWord = true;
+          i += 2;
+        } else if (next === '⠄') {
+          capsWord = false;
+          state.capsPassage = false;
+          i += 2;
+        } else {
+          capNext = true;
+          i++;
+        }
         continue;
       }
 
-      // Handle headings (## Heading)
-      if (line.startsWith('## ')) {
-        const heading = line.substring(3);
-        result += this.INDICATORS.BOLD + this.textToBraille(heading) + '\n\n';
+      // Grade 1 indicators (⠰ inside a word may instead start a final-letter groupsign)
+      if (cell === '⠰' && !(useGrade2 && letters > 0 && this.matchGroupsign(cells, i, end, letters))) {
+        if (next === '⠰' && cells[i + 2] === '⠰') {
+          state.grade1Passage = true;
+          i += 3;
+        } else if (next === '⠰') {
+          grade1Word = true;
+          i += 2;
+        } else if (next === '⠄') {
+          grade1Word = false;
+          state.grade1Passage = false;
+          i += 2;
+        } else {
+          grade1Next = true;
+          i++;
+        }
         continue;
       }
 
-      // Handle bullet points (* item or - item)
-      if (line.startsWith('* ') || line.startsWith('- ')) {
-        const item = line.substring(2);
-        result += '⠸⠲ ' + this.textToBraille(item) + '\n';
+      // Typeform indicators: symbol (⠆), word (⠂), passage (⠶) and terminator (⠄)
+      const typeform = this.TYPEFORM_PREFIXES[cell];
+      if (typeform && Object.values(this.TYPEFORM_SCOPES).includes(next)) {
+        if (next === this.TYPEFORM_SCOPES.symbol) {
+          symbolTypeform = typeform;
+        } else if (next === this.TYPEFORM_SCOPES.word) {
+          out.push(this.TYPEFORM_MARKERS[typeform][0]);
+          wordTypeforms.push(typeform);
+        } else if (next === this.TYPEFORM_SCOPES.passage) {
+          out.push(this.TYPEFORM_MARKERS[typeform][0]);
+          state.passages.push(typeform);
+        } else {
+          closeTypeform(typeform);
+        }
+        i += 2;
         continue;
       }
 
-      // Handle numbered lists (1. item)
-      if (/^\d+\.\s/.test(line)) {
-        const match = line.match(/^(\d+)\.\s(.+)$/);
-        if (match) {
-          const number = match[1];
-          const item = match[2];
-          result += this.INDICATORS.NUMBER + this.textToBraille(number) + '⠲ ' + this.textToBraille(item) + '\n';
+      const grade1 = !useGrade2 || state.grade1Passage || grade1Word || grade1Next;
+
+      if (!grade1) {
+        // Wordsigns and shortforms only when they make up the whole word
+        const wordsign = units === 0 && this.UEB_WORDSIGNS[cells.slice(i, end).join('')];
+        if (wordsign) {
+          emit(wordsign, true);
+          i = end;
+          continue;
+        }
+
+        const groupsign = this.matchGroupsign(cells, i, end, letters);
+        if (groupsign) {
+          emit(groupsign.print, true);
+          i += groupsign.braille.length;
           continue;
         }
       }
 
-      // Handle bold text (**text**)
-      line = line.replace(/\*\*(.*?)\*\*/g, (match, text) => {
-        return this.INDICATORS.BOLD + this.textToBraille(text) + this.INDICATORS.BOLD;
-      });
+      if (this.REVERSE_ALPHABET_MAP[cell]) {
+        emit(this.REVERSE_ALPHABET_MAP[cell], true);
+        i++;
+        continue;
+      }
 
-      // Handle italic text (*text*)
-      line = line.replace(/\*(.*?)\*/g, (match, text) => {
-        return this.INDICATORS.ITALIC + this.textToBraille(text) + this.INDICATORS.ITALIC;
-      });
+      match = this.matchBrailleSequence(cells, i, this.UEB_PUNCTUATION, end);
+      if (match) {
+        emit(match.print);
+        i += match.length;
+        continue;
+      }
+
+      // Unknown cell, keep as is
+      emit(cell);
+      i++;
+    }
+
+    // Apostrophe suffixes split off the word are in capitals with it
+    if (state.capsPassage || capsWord) {
+      trailing = trailing.toUpperCase();
+    }
+
+    // Word indicators end with the word; terminators close passages
+    while (wordTypeforms.length) {
+      closeTypeform(wordTypeforms[wordTypeforms.length - 1]);
+    }
+    for (const prefix of terminators) {
+      if (prefix === '⠠') {
+        state.capsPassage = false;
+      } else if (prefix === '⠰') {
+        state.grade1Passage = false;
+      } else {
+        closeTypeform(this.TYPEFORM_PREFIXES[prefix]);
+      }
+    }
+
+    return leading + out.join('') + trailing;
+  }
+
+  /**
+   * Find the UEB groupsign at current position, respecting its allowed position in the word
+   * @param {string[]} cells - Braille cells of the word
+   * @param {number} pos - Current position
+   * @param {number} end - End of the word (before closing punctuation)
+   * @param {number} lettersBefore - Letters already read in this word
+   * @returns {object|null} - Groupsign rule or null
+   */
+  matchGroupsign(cells, pos, end, lettersBefore) {
+    let best = null;
+    const isFirst = lettersBefore === 0;
 
-      // Convert regular line
-      result += this.textToBraille(line) + '\n';
+    // Groupsigns whose cells start here, shortest first
+    for (const match of this.table.brailleGroupsignTrie.matchesAt(cells, pos, end)) {
+      const { rule } = match;
+      const isLast = match.end >= end;
+      const allowed = rule.position === 'any' ||
+        (rule.position === 'first' && isFirst && !isLast) ||
+        (rule.position === 'middle' && !isFirst && !isLast) ||
+        (rule.position === 'notFirst' && !isFirst);
+
+      if (allowed && (!best || rule.braille.length > best.braille.length)) {
+        best = rule;
+      }
     }
 
-    return result.trim();
+    return best;
+  }
+
+  /**
+   * Match the longest Braille sequence from a table starting at current position
+   * @param {string[]} cells - Braille cells
+   * @param {number} pos - Current position
+   * @param {object} table - Braille sequence to print map
+   * @param {number} end - Position the sequence may not run past (default: end of cells)
+   * @returns {object|null} - { print, length } or null
+   */
+  matchBrailleSequence(cells, pos, table, end = cells.length) {
+    for (let length = 3; length > 0; length--) {
+      const print = table[cells.slice(pos, pos + length).join('')];
+      if (pos + length <= end && print !== undefined) {
+        return { print, length };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Match the longest Braille sequence from a table ending at current position,
+   * leaving at least one cell after start
+   * @param {string[]} cells - Braille cells
+   * @param {number} end - Position the sequence must end at
+   * @param {number} start - Start of the word
+   * @param {object} table - Braille sequence to print map
+   * @returns {object|null} - { print, length } or null
+   */
+  matchBrailleSequenceBefore(cells, end, start, table) {
+    for (let length = 3; length > 0; length--) {
+      const print = table[cells.slice(end - length, end).join('')];
+      if (end - length > start && print !== undefined) {
+        return { print, length };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check whether a cell starts a capital, grade 1 or typeform indicator
+   * @param {string} cell - Braille cell
+   * @returns {boolean}
+   */
+  isIndicatorPrefix(cell) {
+    return cell === '⠠' || cell === '⠰' || Boolean(this.TYPEFORM_PREFIXES[cell]);
   }
 
   /**
@@ -317,6 +1512,17 @@ class BrailleConverter {
     return brailleRegex.test(text);
   }
 
+  /**
+   * Check Braille for problems, each with its position and a reason
+   * @param {string} braille - Braille text
+   * @param {object} options - Validation options (see BrailleValidator#validate); brailleCode
+   *   'computer' for Braille wholly in computer Braille, which has no indicators to check
+   * @returns {object} - { valid, errors, warnings, diagnostics }
+   */
+  validateBraille(braille, options = {}) {
+    return this.validator.validate(braille, { ...options, checkIndicators: options.brailleCode !== 'computer' });
+  }
+
   /**
    * Get Braille character info for debugging
    * @param {string} char - Single Braille character
@@ -0,0 +1,211 @@
+// Braille Display - Reads a note's Braille through the window of a refreshable Braille display
+// Each block of the notes is a line; a line is shown a display width at a time, broken between words
+// where it can be, and the reader pans through lines or jumps between headings and list items
+
+class BrailleDisplay {
+  /**
+   * @param {Array<object>} blocks - Braille blocks (see BrailleConverter#convertAcademicNotesToBlocks)
+   * @param {object} options - Display options
+   * @param {number} options.cells - Cells on the display (default: 40)
+   */
+  constructor(blocks, options = {}) {
+    this.cells = options.cells || 40;
+
+    // Block types jumped between by heading and list item commands
+    this.TARGET_TYPES = {
+      heading: ['title', 'heading'],
+      listItem: ['listItem']
+    };
+
+    // One line per block with Braille; blank lines and page breaks have nothing to show
+    this.lines = blocks
+      .filter(block => block.braille && block.braille.trim())
+      .map(block => ({
+        type: block.type,
+        level: block.type === 'title' ? 1 : block.level || null,
+        braille: block.braille.replace(/\s+$/, '')
+      }));
+
+    // Current line, and the window (segment) of it on the display
+    this.line = 0;
+    this.segment = 0;
+    this.segments = this.lines.map(line => this.segmentLine(line.braille));
+  }
+
+  /**
+   * Cut a line into display windows, breaking after the last whole word that fits;
+   * words longer than the display are cut at its width
+   * @param {string} braille - Line of Braille
+   * @returns {Array<Array<number>>} - [start, end) offsets of each window in the line
+   */
+  segmentLine(braille) {
+    const segments = [];
+    let start = 0;
+    while (start < braille.length) {
+      let end = Math.min(start + this.cells, braille.length);
+      if (end < braille.length && braille[end] !== ' ') {
+        const space = braille.lastIndexOf(' ', end - 1);
+        if (space > start) {
+          end = space;
+        }
+      }
+      segments.push([start, end]);
+
+      // The next window starts at the next word
+      start = end;
+      while (braille[start] === ' ') {
+        start++;
+      }
+    }
+    return segments.length ? segments : [[0, 0]];
+  }
+
+  /**
+   * What the display shows now
+   * @returns {object} - { braille, cells, line, lineCount, segment, segmentCount, type, level, atStart, atEnd }
+   *   where braille is at most cells long and type/level are of the block the line came from
+   */
+  current() {
+    const line = this.lines[this.line];
+    if (!line) {
+      return {
+        braille: '', cells: this.cells, line: 0, lineCount: 0, segment: 0, segmentCount: 0,
+        type: null, level: null, atStart: true, atEnd: true
+      };
+    }
+
+    const segments = this.segments[this.line];
+    const [start, end] = segments[this.segment];
+    return {
+      braille: line.braille.slice(start, end),
+      cells: this.cells,
+      line: this.line,
+      lineCount: this.lines.length,
+      segment: this.segment,
+      segmentCount: segments.length,
+      type: line.type,
+      level: line.level,
+      atStart: this.line === 0 && this.segment === 0,
+      atEnd: this.line === this.lines.length - 1 && this.segment === segments.length - 1
+    };
+  }
+
+  /**
+   * Show the next window: the rest of the line, then the next line
+   * @returns {boolean} - false at the end of the notes
+   */
+  panForward() {
+    if (!this.lines.length) {
+      return false;
+    }
+    if (this.segment < this.segments[this.line].length - 1) {
+      this.segment++;
+      return true;
+    }
+    if (this.line < this.lines.length - 1) {
+      this.line++;
+      this.segment = 0;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Show the previous window: the start of the line, then the end of the line before
+   * @returns {boolean} - false at the start of the notes
+   */
+  panBack() {
+    if (this.segment > 0) {
+      this.segment--;
+      return true;
+    }
+    if (this.line > 0) {
+      this.line--;
+      this.segment = this.segments[this.line].length - 1;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Jump to a heading or list item
+   * @param {string} kind - 'heading' or 'listItem'
+   * @param {string|number} target - 'next', 'previous', 'first', 'last', or the index among that kind (from 0)
+   * @returns {boolean} - false when there is no such heading or list item
+   * @throws {Error} - INVALID_DISPLAY_COMMAND for other kinds or targets
+   */
+  jumpTo(kind, target) {
+    const types = this.TARGET_TYPES[kind];
+    if (!types) {
+      this.reject(`Invalid jump. Must be one of: ${Object.keys(this.TARGET_TYPES).join(', ')}`);
+    }
+
+    const indexes = this.lines.map((line, index) => (types.includes(line.type) ? index : -1)).filter(index => index !== -1);
+    let found;
+    if (target === 'next') {
+      found = indexes.find(index => index > this.line);
+    } else if (target === 'previous') {
+      found = [...indexes].reverse().find(index => index < this.line);
+    } else if (target === 'first' || target === 'last') {
+      found = target === 'first' ? indexes[0] : indexes[indexes.length - 1];
+    } else if (Number.isInteger(Number(target)) && target !== '' && target !== null) {
+      found = indexes[Number(target)];
+    } else {
+      this.reject('Invalid target. Must be next, previous, first, last or an index from 0');
+    }
+
+    if (found === undefined) {
+      return false;
+    }
+    this.line = found;
+    this.segment = 0;
+    return true;
+  }
+
+  /**
+   * Change the display width, keeping the window on the same place in its line
+   * @param {number} cells - Cells on the display
+   */
+  resize(cells) {
+    const offset = this.lines.length ? this.segments[this.line][this.segment][0] : 0;
+    this.cells = cells;
+    this.segments = this.lines.map(line => this.segmentLine(line.braille));
+    if (this.lines.length) {
+      const segments = this.segments[this.line];
+      const index = segments.findIndex(([, end]) => offset < end);
+      this.segment = index === -1 ? segments.length - 1 : index;
+    }
+  }
+
+  /**
+   * Headings of the notes, for a table of contents
+   * @returns {Array<object>} - { index, line, level, braille } where index is the heading's jump target
+   */
+  headings() {
+    return this.lines
+      .map((line, index) => ({ ...line, line: index }))
+      .filter(line => this.TARGET_TYPES.heading.includes(line.type))
+      .map((line, index) => ({ index, line: line.line, level: line.level, braille: line.braille }));
+  }
+
+  /**
+   * Number of list items that can be jumped to
+   * @returns {number}
+   */
+  countListItems() {
+    return this.lines.filter(line => this.TARGET_TYPES.listItem.includes(line.type)).length;
+  }
+
+  /**
+   * Throw an invalid command error
+   * @param {string} message - What was wrong and what is allowed
+   * @throws {Error} - INVALID_DISPLAY_COMMAND
+   */
+  reject(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_DISPLAY_COMMAND';
+    throw error;
+  }
+}
+
+module.exports = BrailleDisplay;
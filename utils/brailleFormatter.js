@@ -0,0 +1,299 @@
+// Braille Formatter Utility - Lays out Braille into embosser-ready pages
+// Follows BANA Braille Formats: centered titles, cell-5/cell-7 headings, 3-1 paragraphs,
+// 1-3 hanging list indentation, columned tables, braille page numbers (bottom right) and print page numbers (top right)
+
+const BrailleConverter = require('./brailleConverter');
+
+// Smallest page the layout rules can work with
+const MIN_CELLS_PER_LINE = 12;
+const MIN_LINES_PER_PAGE = 3;
+
+class BrailleFormatter {
+  /**
+   * @param {object} options - Page layout options
+   * @param {number} options.cellsPerLine - Cells per line (default: 40)
+   * @param {number} options.linesPerPage - Lines per page (default: 25)
+   * @param {boolean} options.pageNumbers - Braille page numbers at the bottom right (default: true)
+   * @param {boolean} options.printPageNumbers - Print page numbers at the top right (default: false)
+   * @param {number} options.firstPrintPage - Print page number of the first page (default: 1)
+   * @param {BrailleConverter} options.converter - Converter used for page numbers
+   */
+  constructor(options = {}) {
+    this.cellsPerLine = options.cellsPerLine || 40;
+    this.linesPerPage = options.linesPerPage || 25;
+    this.pageNumbers = options.pageNumbers !== false;
+    this.printPageNumbers = Boolean(options.printPageNumbers);
+    this.firstPrintPage = options.firstPrintPage || 1;
+    this.converter = options.converter || new BrailleConverter();
+
+    if (this.cellsPerLine < MIN_CELLS_PER_LINE || this.linesPerPage < MIN_LINES_PER_PAGE) {
+      throw new Error(`Page must be at least ${MIN_CELLS_PER_LINE} cells by ${MIN_LINES_PER_PAGE} lines`);
+    }
+
+    // Indentation as [first line, runover lines] in blank cells (cell 1 = 0)
+    this.INDENTS = {
+      paragraph: [2, 0],   // 3-1
+      listItem: [0, 2],    // 1-3, two more cells per nesting level
+      heading: [4, 4],     // cell-5 heading
+      subheading: [6, 6],  // cell-7 heading
+      code: [0, 2],        // code line, indented as in print, runovers two cells further in
+      line: [0, 0]         // pre-formatted Braille line
+    };
+
+    // Blank cells required between text and a page number on the same line
+    this.PAGE_NUMBER_GAP = 3;
+
+    // Blank cells required each side of a centered heading
+    this.CENTER_MARGIN = 3;
+
+    // Print page change indicator (dots 3-6 across the line)
+    this.PRINT_PAGE_INDICATOR = '⠤';
+
+    // Cells that start a multi-cell sign; a long word is never divided after one
+    this.PREFIX_CELLS = '⠠⠰⠼⠐⠘⠸⠨⠈';
+    this.HYPHEN = '⠤';
+  }
+
+  /**
+   * Lay out Braille blocks (see BrailleConverter#convertAcademicNotesToBlocks) into pages
+   * @param {Array<object>} blocks - Braille blocks
+   * @returns {Array<object>} - Pages { number, printPage, lines }
+   */
+  format(blocks) {
+    const pages = [];
+    let printPage = this.firstPrintPage;
+    let page = null;
+
+    const newPage = () => {
+      page = { number: pages.length + 1, printPage, lines: [] };
+      pages.push(page);
+    };
+
+    const linesLeft = () => this.linesPerPage - page.lines.length;
+
+    const blankLine = () => {
+      const last = page.lines[page.lines.length - 1];
+      // No blank lines at the top or bottom of a page, and never two in a row
+      if (page.lines.length > 0 && last !== '' && linesLeft() > 1) {
+        page.lines.push('');
+      }
+    };
+
+    const writeText = (braille, [firstIndent, runoverIndent], centered = false) => {
+      const words = braille.split(' ').filter(Boolean);
+      let indent = firstIndent;
+
+      while (words.length) {
+        if (linesLeft() === 0) {
+          newPage();
+        }
+
+        const width = this.lineWidth(page, page.lines.length);
+        const available = centered ? width - 2 * this.CENTER_MARGIN : width - indent;
+        let line = this.takeLine(words, available);
+
+        if (centered) {
+          line = ' '.repeat(Math.floor((width - line.length) / 2)) + line;
+        } else {
+          line = ' '.repeat(indent) + line;
+        }
+        page.lines.push(line);
+        indent = runoverIndent;
+      }
+    };
+
+    newPage();
+
+    for (const block of blocks) {
+      switch (block.type) {
+        case 'title':
+          writeText(block.braille, this.INDENTS.line, true);
+          blankLine();
+          break;
+
+        case 'heading': {
+          blankLine();
+          // A heading is kept on the same page as at least one line of what follows
+          if (linesLeft() < 3) {
+            newPage();
+          }
+          writeText(block.braille, block.level > 2 ? this.INDENTS.subheading : this.INDENTS.heading);
+          break;
+        }
+
+        case 'listItem': {
+          const [first, runover] = this.INDENTS.listItem;
+          const nesting = 2 * (block.depth || 0);
+          writeText(block.braille, [first + nesting, runover + nesting]);
+          break;
+        }
+
+        case 'paragraph':
+          writeText(block.braille, this.INDENTS.paragraph);
+          break;
+
+        case 'line':
+          writeText(block.braille, this.INDENTS.line);
+          break;
+
+        // Columned table rows keep their spacing and never share a line with a page number
+        case 'tableRow': {
+          // A row wider than the page (laid out for another width) runs over like any other text
+          if (block.braille.length > this.cellsPerLine) {
+            writeText(block.braille, this.INDENTS.line);
+            break;
+          }
+          if (linesLeft() === 0) {
+            newPage();
+          }
+          if (block.braille.length > this.lineWidth(page, page.lines.length)) {
+            // The row goes below a print page number on the first line, or to the next page from the last
+            if (page.lines.length === 0) {
+              page.lines.push('');
+            } else {
+              newPage();
+              if (block.braille.length > this.lineWidth(page, 0)) {
+                page.lines.push('');
+              }
+            }
+          }
+          page.lines.push(block.braille);
+          break;
+        }
+
+        case 'code': {
+          const [first, runover] = this.INDENTS.code;
+          const leading = (block.braille || '').match(/^ */)[0].length;
+          if (block.braille.trim()) {
+            writeText(block.braille, [first + leading, runover + leading]);
+          } else {
+            blankLine();
+          }
+          break;
+        }
+
+        case 'blank':
+          blankLine();
+          break;
+
+        case 'printPageBreak':
+          printPage++;
+          if (page.lines.length === 0) {
+            page.printPage = printPage;
+          } else if (linesLeft() <= 1) {
+            newPage();
+          } else {
+            const number = this.formatNumber(printPage);
+            page.lines.push(this.PRINT_PAGE_INDICATOR.repeat(this.cellsPerLine - number.length) + number);
+          }
+          break;
+
+        default:
+          if (block.braille) {
+            writeText(block.braille, this.INDENTS.line);
+          }
+      }
+    }
+
+    return pages.map(formatted => this.addPageNumbers(formatted));
+  }
+
+  /**
+   * Lay out plain Braille text, one block per line, into pages
+   * @param {string} braille - Braille text using Unicode Braille Patterns
+   * @returns {Array<object>} - Pages { number, printPage, lines }
+   */
+  formatBraille(braille) {
+    const blocks = (braille || '')
+      .split('\n')
+      .map(line => (line.trim() ? { type: 'line', braille: line.trim() } : { type: 'blank' }));
+    return this.format(blocks);
+  }
+
+  /**
+   * Join pages into a single string, lines separated by newlines and pages by form feeds
+   * @param {Array<object>} pages - Pages from format()
+   * @returns {string} - Paginated Braille
+   */
+  toString(pages) {
+    return pages.map(page => page.lines.join('\n') + '\n').join('\f');
+  }
+
+  /**
+   * Cells available for text on a line, leaving room for page numbers
+   * @param {object} page - Page being written
+   * @param {number} index - Line index on the page
+   * @returns {number}
+   */
+  lineWidth(page, index) {
+    let width = this.cellsPerLine;
+    if (index === 0 && this.printPageNumbers) {
+      width -= this.formatNumber(page.printPage).length + this.PAGE_NUMBER_GAP;
+    }
+    if (index === this.linesPerPage - 1 && this.pageNumbers) {
+      width -= this.formatNumber(page.number).length + this.PAGE_NUMBER_GAP;
+    }
+    return width;
+  }
+
+  /**
+   * Take as many whole words as fit on a line; a word longer than a line is divided
+   * with a hyphen, never directly after the first cell of a multi-cell sign
+   * @param {string[]} words - Remaining Braille words (consumed in place)
+   * @param {number} available - Cells available on the line
+   * @returns {string} - Line text
+   */
+  takeLine(words, available) {
+    if (words[0].length > available) {
+      let cut = available - 1;
+      while (cut > 1 && this.PREFIX_CELLS.includes(words[0][cut - 1])) {
+        cut--;
+      }
+      const line = words[0].slice(0, cut) + this.HYPHEN;
+      words[0] = words[0].slice(cut);
+      return line;
+    }
+
+    let line = words.shift();
+    while (words.length && line.length + 1 + words[0].length <= available) {
+      line += ' ' + words.shift();
+    }
+    return line;
+  }
+
+  /**
+   * Place the print page number on the first line and the braille page number on the last
+   * @param {object} page - Page with text lines
+   * @returns {object} - Page with numbered lines
+   */
+  addPageNumbers(page) {
+    const lines = page.lines.map(line => line.replace(/\s+$/, ''));
+
+    if (this.printPageNumbers) {
+      const number = this.formatNumber(page.printPage);
+      lines[0] = (lines[0] || '').padEnd(this.cellsPerLine - number.length) + number;
+    }
+
+    if (this.pageNumbers) {
+      while (lines.length < this.linesPerPage) {
+        lines.push('');
+      }
+      const number = this.formatNumber(page.number);
+      const last = this.linesPerPage - 1;
+      lines[last] = lines[last].padEnd(this.cellsPerLine - number.length) + number;
+    }
+
+    return { ...page, lines };
+  }
+
+  /**
+   * Braille page number (numeric indicator followed by digits)
+   * @param {number} number - Page number
+   * @returns {string}
+   */
+  formatNumber(number) {
+    return this.converter.textToBraille(String(number));
+  }
+}
+
+module.exports = BrailleFormatter;
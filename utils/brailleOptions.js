@@ -0,0 +1,147 @@
+// Braille Options - Reads and checks the Braille conversion options a request may give
+// Note exports and the Braille API accept the same grades, page sizes, notations and layouts
+
+class BrailleOptions {
+  constructor() {
+    // Contraction grades
+    this.GRADES = ['Grade1', 'Grade2'];
+
+    // Braille codes for whole documents: literary (UEB or Bharati) or 8-dot computer Braille
+    this.BRAILLE_CODES = ['literary', 'computer'];
+
+    // Page size limits for cells per line and lines per page
+    this.PAGE_LIMITS = {
+      cells: { min: 12, max: 100, default: 40 },
+      lines: { min: 3, max: 100, default: 25 }
+    };
+
+    // Cells on the refreshable Braille displays notes can be read on
+    this.DISPLAY_SIZES = [14, 20, 40, 80];
+    this.DEFAULT_DISPLAY_SIZE = 40;
+
+    // Notations formulas can be written in
+    this.MATH_NOTATIONS = ['ueb', 'nemeth', 'none'];
+
+    // Table layouts; 'auto' uses columns when the table fits the line width
+    this.TABLE_FORMATS = ['auto', 'columns', 'stairstep', 'linear'];
+
+    // Braille encodings: Unicode Braille Patterns or ASCII Braille (BRF)
+    this.ENCODINGS = ['unicode', 'brf'];
+    // Encodings with no dots 7 and 8, which computer Braille needs
+    this.SIX_DOT_ENCODINGS = ['brf'];
+  }
+
+  /**
+   * Read conversion options, checking every value that is given
+   * @param {object} source - Request query or body: grade, code, cells, lines, math, tableFormat, input, output
+   * @returns {object} - { grade, brailleCode, cellsPerLine, linesPerPage, mathNotation, tableFormat, input, output };
+   *   mathNotation and brailleCode are null when not given so callers can fall back to their own defaults
+   * @throws {Error} - INVALID_BRAILLE_OPTION naming the values allowed, or when computer Braille is asked for in BRF
+   */
+  read(source = {}) {
+    const grade = source.grade || 'Grade2';
+    if (!this.GRADES.includes(grade)) {
+      this.reject(`Invalid grade. Must be one of: ${this.GRADES.join(', ')}`);
+    }
+
+    const brailleCode = source.code ? String(source.code).toLowerCase() : null;
+    if (brailleCode && !this.BRAILLE_CODES.includes(brailleCode)) {
+      this.reject(`Invalid code. Must be one of: ${this.BRAILLE_CODES.join(', ')}`);
+    }
+
+    const cellsPerLine = this.readPageDimension(source.cells, this.PAGE_LIMITS.cells);
+    const linesPerPage = this.readPageDimension(source.lines, this.PAGE_LIMITS.lines);
+    if (!cellsPerLine || !linesPerPage) {
+      const { cells, lines } = this.PAGE_LIMITS;
+      this.reject(`Invalid page size. cells must be ${cells.min}-${cells.max} and lines must be ${lines.min}-${lines.max}`);
+    }
+
+    const mathNotation = source.math ? String(source.math).toLowerCase() : null;
+    if (mathNotation && !this.MATH_NOTATIONS.includes(mathNotation)) {
+      this.reject(`Invalid math notation. Must be one of: ${this.MATH_NOTATIONS.join(', ')}`);
+    }
+
+    const tableFormat = source.tableFormat ? String(source.tableFormat).toLowerCase() : 'auto';
+    if (!this.TABLE_FORMATS.includes(tableFormat)) {
+      this.reject(`Invalid table format. Must be one of: ${this.TABLE_FORMATS.join(', ')}`);
+    }
+
+    const input = this.readEncoding(source.input, 'input');
+    const output = this.readEncoding(source.output, 'output');
+    this.checkEncoding(brailleCode, output);
+
+    return { grade, brailleCode, cellsPerLine, linesPerPage, mathNotation, tableFormat, input, output };
+  }
+
+  /**
+   * Read a Braille encoding
+   * @param {string} value - 'unicode' or 'brf' in any case (default: 'unicode')
+   * @param {string} name - Option name for the error message
+   * @returns {string}
+   * @throws {Error} - INVALID_BRAILLE_OPTION for other values
+   */
+  readEncoding(value, name) {
+    const encoding = value ? String(value).toLowerCase() : 'unicode';
+    if (!this.ENCODINGS.includes(encoding)) {
+      this.reject(`Invalid ${name}. Must be one of: ${this.ENCODINGS.join(', ')}`);
+    }
+    return encoding;
+  }
+
+  /**
+   * Check that Braille in a code can be written in an encoding: 8-dot computer Braille would lose
+   * dots 7 and 8 in 6-dot BRF
+   * @param {string|null} brailleCode - 'literary' or 'computer'
+   * @param {string} encoding - Output encoding or export format (e.g. 'brf', 'pef')
+   * @throws {Error} - INVALID_BRAILLE_OPTION for computer Braille in a 6-dot encoding
+   */
+  checkEncoding(brailleCode, encoding) {
+    if (brailleCode === 'computer' && this.SIX_DOT_ENCODINGS.includes(encoding)) {
+      this.reject(`Computer Braille uses dots 7 and 8, which ${encoding.toUpperCase()} cannot hold. Use literary Braille, or Unicode Braille or PEF for computer Braille`);
+    }
+  }
+
+  /**
+   * Read the size of a refreshable Braille display
+   * @param {string|number} value - Cells on the display (default: 40)
+   * @returns {number}
+   * @throws {Error} - INVALID_BRAILLE_OPTION for sizes other than DISPLAY_SIZES
+   */
+  readDisplaySize(value) {
+    if (value === undefined) {
+      return this.DEFAULT_DISPLAY_SIZE;
+    }
+    const cells = Number(value);
+    if (!this.DISPLAY_SIZES.includes(cells)) {
+      this.reject(`Invalid display size. cells must be one of: ${this.DISPLAY_SIZES.join(', ')}`);
+    }
+    return cells;
+  }
+
+  /**
+   * Read a page dimension
+   * @param {string|number} value - Requested value
+   * @param {object} limits - { min, max, default }
+   * @returns {number|null} - The dimension, the default when not given, or null when out of range
+   */
+  readPageDimension(value, limits) {
+    if (value === undefined) {
+      return limits.default;
+    }
+    const number = Number(value);
+    return Number.isInteger(number) && number >= limits.min && number <= limits.max ? number : null;
+  }
+
+  /**
+   * Throw an invalid option error
+   * @param {string} message - What was wrong and what is allowed
+   * @throws {Error} - INVALID_BRAILLE_OPTION
+   */
+  reject(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_BRAILLE_OPTION';
+    throw error;
+  }
+}
+
+module.exports = BrailleOptions;
@@ -0,0 +1,210 @@
+// Braille Table Registry - Which Braille table each detected language is transcribed with
+// English uses UEB Grade 2; Indian languages use their Bharati Braille variant
+
+const BrailleConverter = require('./brailleConverter');
+const BharatiConverter = require('./bharatiConverter');
+
+// Languages (as named by language detection) and their tables in config/brailleTables
+const LANGUAGE_TABLES = [
+  { language: 'English', code: 'en', table: 'en-ueb-g2', Converter: BrailleConverter },
+  { language: 'Hindi', code: 'hi', table: 'hi-bharati', Converter: BharatiConverter },
+  { language: 'Marathi', code: 'mr', table: 'mr-bharati', Converter: BharatiConverter },
+  { language: 'Bengali', code: 'bn', table: 'bn-bharati', Converter: BharatiConverter },
+  { language: 'Punjabi', code: 'pa', table: 'pa-bharati', Converter: BharatiConverter },
+  { language: 'Gujarati', code: 'gu', table: 'gu-bharati', Converter: BharatiConverter },
+  { language: 'Tamil', code: 'ta', table: 'ta-bharati', Converter: BharatiConverter },
+  { language: 'Telugu', code: 'te', table: 'te-bharati', Converter: BharatiConverter },
+  { language: 'Kannada', code: 'kn', table: 'kn-bharati', Converter: BharatiConverter }
+];
+
+// ISO 639-1 codes by lowercase English language name ('spanish' → 'es'), for languages without a table
+const LANGUAGE_CODES = (() => {
+  const names = new Intl.DisplayNames(['en'], { type: 'language' });
+  const letters = 'abcdefghijklmnopqrstuvwxyz';
+  const codes = new Map();
+  for (const first of letters) {
+    for (const second of letters) {
+      const code = first + second;
+      // Codes Intl does not know are given back unchanged
+      const name = names.of(code);
+      if (name !== code) {
+        // Deprecated codes ('iw') share a name with the current one ('he')
+        codes.set(name.toLowerCase(), Intl.getCanonicalLocales(code)[0]);
+      }
+    }
+  }
+  return codes;
+})();
+
+class BrailleRegistry {
+  constructor() {
+    // Language used when detection did not name one
+    this.DEFAULT_LANGUAGE = 'English';
+
+    // Registered languages by lowercase name and by language code
+    this.languages = new Map();
+
+    // Converters by table name, created on first use so each table is loaded once
+    this.converters = new Map();
+
+    for (const entry of LANGUAGE_TABLES) {
+      this.register(entry);
+    }
+  }
+
+  /**
+   * Register a Braille table for a language
+   * @param {object} entry - { language, code, table, Converter }
+   */
+  register(entry) {
+    this.languages.set(entry.language.toLowerCase(), entry);
+    this.languages.set(entry.code, entry);
+  }
+
+  /**
+   * Get the table and converter for a language
+   * @param {string} language - Language name (e.g. 'Tamil') or code (e.g. 'ta'); 'unknown' means the default
+   * @returns {object} - { language, code, table, converter }
+   * @throws {Error} - UNSUPPORTED_BRAILLE_TABLE when no table is registered for the language
+   */
+  get(language) {
+    const key = this.normalizeLanguage(language);
+    const entry = this.languages.get(key || this.DEFAULT_LANGUAGE.toLowerCase());
+
+    if (!entry) {
+      const error = new Error(
+        `No Braille table for language "${language}". Supported languages: ${this.listLanguages().join(', ')}`
+      );
+      error.code = 'UNSUPPORTED_BRAILLE_TABLE';
+      error.supportedLanguages = this.listLanguages();
+      throw error;
+    }
+
+    return this.withConverter(entry);
+  }
+
+  /**
+   * Get a language, with its table and converter when it has a Braille table; notes can be written in a
+   * language without one as long as they are not transcribed to Braille
+   * @param {string} language - Language name (e.g. 'Spanish') or code; 'unknown' means the default
+   * @returns {object} - { language, code, table, converter }; for a language without a table, table and
+   *   converter are null and code is its ISO 639-1 code (its lowercase name when it has none)
+   */
+  describe(language) {
+    const key = this.normalizeLanguage(language);
+    if (!key || this.languages.has(key)) {
+      return this.get(language);
+    }
+    return {
+      language: String(language).replace(/\(.*\)/, '').trim(),
+      code: LANGUAGE_CODES.get(key) || key,
+      table: null,
+      converter: null
+    };
+  }
+
+  /**
+   * Get the language entry and converter for a table name
+   * @param {string} table - Table name (e.g. 'ta-bharati')
+   * @returns {object} - { language, code, table, converter }
+   * @throws {Error} - UNSUPPORTED_BRAILLE_TABLE when the table is not registered
+   */
+  getByTable(table) {
+    const entry = [...this.languages.values()].find(candidate => candidate.table === table);
+
+    if (!entry) {
+      const error = new Error(`Unknown Braille table "${table}"`);
+      error.code = 'UNSUPPORTED_BRAILLE_TABLE';
+      throw error;
+    }
+
+    return this.withConverter(entry);
+  }
+
+  /**
+   * Get the table and converter a saved note was transcribed with; notes saved before the table was
+   * recorded were transcribed in the default language's
+   * @param {object} note - Note (models/Note.js)
+   * @returns {object} - { language, code, table, converter }
+   * @throws {Error} - UNSUPPORTED_BRAILLE_TABLE when the note's table is not registered
+   */
+  getForNote(note) {
+    const { brailleTable } = note.processingMetadata || {};
+    return brailleTable ? this.getByTable(brailleTable) : this.get(this.DEFAULT_LANGUAGE);
+  }
+
+  /**
+   * Work out the language of a text from its script; text without an Indian script is the default language
+   * @param {string} text - Text to inspect
+   * @returns {string} - Registered language name
+   */
+  detectLanguage(text) {
+    const counts = new Map();
+
+    for (const entry of new Set(this.languages.values())) {
+      const { converter } = this.withConverter(entry);
+      if (!converter.isScriptChar) {
+        continue;
+      }
+      const range = converter.SCRIPT_RANGE.join('-');
+      // Languages sharing a script (Hindi and Marathi) count once, for the first registered
+      if (!counts.has(range)) {
+        let count = 0;
+        for (const char of text || '') {
+          if (converter.isScriptChar(char)) {
+            count++;
+          }
+        }
+        counts.set(range, { language: entry.language, count });
+      }
+    }
+
+    const best = [...counts.values()].sort((a, b) => b.count - a.count)[0];
+    return best && best.count > 0 ? best.language : this.DEFAULT_LANGUAGE;
+  }
+
+  /**
+   * Names of all languages with a Braille table
+   * @returns {string[]}
+   */
+  listLanguages() {
+    return [...new Set([...this.languages.values()].map(entry => entry.language))];
+  }
+
+  /**
+   * Codes of all languages with a Braille table
+   * @returns {string[]}
+   */
+  listCodes() {
+    return [...new Set([...this.languages.values()].map(entry => entry.code))];
+  }
+
+  /**
+   * Normalize a detected language name ('Tamil (தமிழ்)', ' hindi ') to a registry key
+   * @param {string} language - Language name or code
+   * @returns {string} - Lowercase key, or '' for unknown
+   */
+  normalizeLanguage(language) {
+    const key = String(language || '').replace(/\(.*\)/, '').trim().toLowerCase();
+    return key === 'unknown' ? '' : key;
+  }
+
+  /**
+   * Attach the (cached) converter instance to a registry entry
+   * @param {object} entry - Registry entry
+   * @returns {object} - { language, code, table, converter }
+   */
+  withConverter(entry) {
+    if (!this.converters.has(entry.table)) {
+      this.converters.set(entry.table, new entry.Converter(entry.table));
+    }
+    return {
+      language: entry.language,
+      code: entry.code,
+      table: entry.table,
+      converter: this.converters.get(entry.table)
+    };
+  }
+}
+
+module.exports = BrailleRegistry;
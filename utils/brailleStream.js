@@ -0,0 +1,135 @@
+// Braille Stream - Converts markdown notes to Braille one section at a time
+// A section ends before a line starting a new top-level block after a blank line, outside code
+// fences and display math, so very large documents never have to be held in memory whole
+
+const { Transform } = require('stream');
+const { StringDecoder } = require('string_decoder');
+
+// A line holding only form feeds is a print page break
+const PAGE_BREAK = /^[ \t]*\f[\f \t]*$/;
+
+// Code fence markers
+const FENCE = /^\s*(`{3,}|~{3,})/;
+
+class BrailleStream extends Transform {
+  /**
+   * @param {BrailleConverter} converter - Converter the sections are transcribed with
+   * @param {object} options - Conversion options (see BrailleConverter#convertAcademicNotesToBlocks)
+   */
+  constructor(converter, options = {}) {
+    super({ decodeStrings: false, encoding: 'utf8' });
+    this.converter = converter;
+    this.options = { ...options, withAlignment: false };
+    this.decoder = new StringDecoder('utf8');
+
+    // Markdown read so far: the unfinished last line and the lines of the current section
+    this.partialLine = '';
+    this.lines = [];
+    this.fence = null;
+    this.inDisplayMath = false;
+    this.afterBlank = false;
+
+    // Braille written so far: whether anything has been written, whitespace held back
+    // (trailing whitespace is dropped at the end) and the newlines in a row
+    this.started = false;
+    this.heldWhitespace = '';
+    this.newlines = 0;
+
+    // Sections converted so far
+    this.sections = 0;
+  }
+
+  _transform(chunk, encoding, callback) {
+    try {
+      const text = this.partialLine + (typeof chunk === 'string' ? chunk : this.decoder.write(chunk));
+      const lines = text.split('\n');
+      this.partialLine = lines.pop();
+      lines.forEach(line => this.readLine(line));
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  _flush(callback) {
+    try {
+      const rest = this.partialLine + this.decoder.end();
+      if (rest) {
+        this.readLine(rest);
+      }
+      this.convertSection();
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  /**
+   * Add a line of markdown, converting the section before it when the line starts a new one
+   * @param {string} line - Line without its line break
+   */
+  readLine(line) {
+    const blank = !line.trim();
+    const inBlock = this.fence || this.inDisplayMath;
+
+    if (!inBlock && (PAGE_BREAK.test(line) || (this.afterBlank && !blank && !/^\s/.test(line)))) {
+      this.convertSection();
+    }
+    this.lines.push(line);
+
+    const fence = line.match(FENCE);
+    if (fence && (!this.fence || fence[1].startsWith(this.fence))) {
+      this.fence = this.fence ? null : fence[1];
+    } else if (!this.fence && (line.split('$$').length - 1) % 2 === 1) {
+      this.inDisplayMath = !this.inDisplayMath;
+    }
+    this.afterBlank = !this.fence && !this.inDisplayMath && (blank || PAGE_BREAK.test(line));
+  }
+
+  /**
+   * Convert the lines read since the last section and write their Braille
+   */
+  convertSection() {
+    if (!this.lines.length) {
+      return;
+    }
+    const blocks = this.converter.convertAcademicNotesToBlocks(this.lines.join('\n'), this.options);
+    this.lines = [];
+    this.sections++;
+
+    const separators = this.converter.BLOCK_SEPARATORS;
+    let output = '';
+    for (const block of blocks) {
+      output += this.layOut('  '.repeat(block.depth || 0) + (block.braille || '') + separators[block.type]);
+    }
+    if (output) {
+      this.push(output);
+    }
+  }
+
+  /**
+   * Lay out Braille as BrailleConverter#serializeBlocks does: at most one blank line in a row,
+   * and no whitespace at the start or end of the document
+   * @param {string} braille - Braille for the next blocks
+   * @returns {string} - Braille ready to be written
+   */
+  layOut(braille) {
+    let output = '';
+    for (const char of braille) {
+      this.newlines = char === '\n' ? this.newlines + 1 : 0;
+      if (this.newlines > 2) {
+        continue;
+      }
+      if (/\s/.test(char)) {
+        this.heldWhitespace += char;
+        continue;
+      }
+      output += (this.started ? this.heldWhitespace : '') + char;
+      this.heldWhitespace = '';
+      this.started = true;
+    }
+    return output;
+  }
+}
+
+module.exports = BrailleStream;
@@ -0,0 +1,252 @@
+// Braille SVG Renderer - Draws Braille as dot cells so sighted readers can see the page
+// Sizes are in millimetres at standard Braille spacing, so a printed SVG matches embossed Braille;
+// print words can be shown under the Braille words they were transcribed from (interline print)
+
+// Column and row of each dot in a cell, by bit of the Unicode Braille pattern (dots 1-6, then 7 and 8)
+const DOT_POSITIONS = [[0, 0], [0, 1], [0, 2], [1, 0], [1, 1], [1, 2], [0, 3], [1, 3]];
+
+class BrailleSvgRenderer {
+  /**
+   * @param {object} options - Drawing options
+   * @param {boolean} options.showEmptyDots - Draw unraised dot positions faintly (default: true)
+   * @param {boolean} options.pageFrames - Outline each page (default: true)
+   */
+  constructor(options = {}) {
+    this.showEmptyDots = options.showEmptyDots !== false;
+    this.pageFrames = options.pageFrames !== false;
+
+    // Standard Braille spacing in millimetres (dot centres)
+    this.DOT_SPACING = 2.5;
+    this.CELL_SPACING = 6.2;
+    this.LINE_SPACING = 10;
+    this.EIGHT_DOT_LINE_SPACING = 12.5;
+    this.DOT_RADIUS = 0.75;
+
+    // Page margins, the gap between stacked pages, and the room print words take under a line
+    this.MARGIN = 5;
+    this.PAGE_GAP = 8;
+    this.PRINT_LINE = 4.5;
+    this.PRINT_FONT_SIZE = 3;
+    // Rough width of a print character as a share of the font size, to squeeze long words
+    this.PRINT_CHARACTER_WIDTH = 0.55;
+    // Space kept between a print word and the next
+    this.PRINT_GAP = 1;
+
+    this.BRAILLE_BASE = 0x2800;
+  }
+
+  /**
+   * Draw pages of Braille
+   * @param {Array<object>} pages - Pages { rows } where rows are { braille, words } and words are
+   *   print words { column, print } shown from the cell their Braille starts at
+   * @param {object} options - { title, cellsPerLine } (cellsPerLine sets the page width; default: longest row)
+   * @returns {string} - SVG document
+   */
+  render(pages, options = {}) {
+    const rows = pages.flatMap(page => page.rows);
+    const eightDot = rows.some(row => Array.from(row.braille).some(char => this.dotsOf(char) > 0x3F));
+    const withPrint = rows.some(row => row.words && row.words.length);
+
+    const lineHeight = (eightDot ? this.EIGHT_DOT_LINE_SPACING : this.LINE_SPACING) + (withPrint ? this.PRINT_LINE : 0);
+    const columns = Math.max(options.cellsPerLine || 0, ...rows.map(row => Array.from(row.braille).length), 1);
+    const pageWidth = this.MARGIN * 2 + (columns - 1) * this.CELL_SPACING + this.DOT_SPACING + this.DOT_RADIUS * 2;
+
+    const groups = [];
+    let top = 0;
+    for (const page of pages) {
+      const pageHeight = this.MARGIN * 2 + Math.max(page.rows.length, 1) * lineHeight;
+      groups.push(this.renderPage(page, { top, pageWidth, pageHeight, lineHeight, eightDot }));
+      top += pageHeight + this.PAGE_GAP;
+    }
+
+    const width = this.round(pageWidth);
+    const height = this.round(Math.max(top - this.PAGE_GAP, 0));
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}mm" height="${height}mm" viewBox="0 0 ${width} ${height}" role="img">`,
+      `  <title>${this.escapeXml(options.title || 'Braille')}</title>`,
+      '  <style>.dot{fill:#000}.empty{fill:#d8d8d8}.frame{fill:#fff;stroke:#999;stroke-width:0.3}'
+        + `.print{font-family:sans-serif;font-size:${this.PRINT_FONT_SIZE}px;fill:#333}</style>`,
+      ...groups,
+      '</svg>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Draw one page
+   * @param {object} page - { rows }
+   * @param {object} layout - { top, pageWidth, pageHeight, lineHeight, eightDot }
+   * @returns {string} - SVG group
+   */
+  renderPage(page, layout) {
+    const parts = [`  <g class="page" transform="translate(0 ${this.round(layout.top)})">`];
+    if (this.pageFrames) {
+      parts.push(`    <rect class="frame" width="${this.round(layout.pageWidth)}" height="${this.round(layout.pageHeight)}"/>`);
+    }
+
+    page.rows.forEach((row, index) => {
+      const y = this.MARGIN + index * layout.lineHeight + this.DOT_RADIUS;
+      Array.from(row.braille).forEach((char, column) => {
+        const cell = this.renderCell(char, this.MARGIN + column * this.CELL_SPACING + this.DOT_RADIUS, y, layout.eightDot);
+        if (cell) {
+          parts.push(cell);
+        }
+      });
+
+      // Each print word may run until the next one starts, or to the page margin
+      const printY = y + (layout.eightDot ? 4 : 3) * this.DOT_SPACING + this.PRINT_FONT_SIZE;
+      const words = [...(row.words || [])].sort((a, b) => a.column - b.column);
+      words.forEach((word, wordIndex) => {
+        const x = this.MARGIN + word.column * this.CELL_SPACING;
+        const next = words[wordIndex + 1];
+        const end = next ? this.MARGIN + next.column * this.CELL_SPACING - this.PRINT_GAP : layout.pageWidth - this.MARGIN;
+        parts.push(this.renderWord(word.print, x, printY, end - x));
+      });
+    });
+
+    parts.push('  </g>');
+    return parts.join('\n');
+  }
+
+  /**
+   * Draw a Braille cell; spaces and blank cells draw only their empty dots
+   * @param {string} char - Braille character
+   * @param {number} x - Centre of dot 1
+   * @param {number} y - Centre of dot 1
+   * @param {boolean} eightDot - Draw dots 7 and 8 positions
+   * @returns {string} - SVG circles, or '' when there is nothing to draw
+   */
+  renderCell(char, x, y, eightDot) {
+    const dots = this.dotsOf(char);
+    if (dots === null) {
+      return '';
+    }
+    const positions = eightDot ? DOT_POSITIONS : DOT_POSITIONS.slice(0, 6);
+    return positions
+      .map(([column, row], bit) => {
+        const raised = (dots >> bit) & 1;
+        if (!raised && !this.showEmptyDots) {
+          return '';
+        }
+        const cx = this.round(x + column * this.DOT_SPACING);
+        const cy = this.round(y + row * this.DOT_SPACING);
+        return `    <circle class="${raised ? 'dot' : 'empty'}" cx="${cx}" cy="${cy}" r="${this.DOT_RADIUS}"/>`;
+      })
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  /**
+   * Draw a print word, squeezed when it is wider than the room it has
+   * @param {string} print - Print word
+   * @param {number} x - Left edge of the word's first Braille cell
+   * @param {number} y - Text baseline
+   * @param {number} available - Width the word may take
+   * @returns {string} - SVG text
+   */
+  renderWord(print, x, y, available) {
+    const estimated = print.length * this.PRINT_FONT_SIZE * this.PRINT_CHARACTER_WIDTH;
+    const squeeze = estimated > available
+      ? ` textLength="${this.round(Math.max(available, this.DOT_SPACING))}" lengthAdjust="spacingAndGlyphs"`
+      : '';
+    return `    <text class="print" x="${this.round(x)}" y="${this.round(y)}"${squeeze}>${this.escapeXml(print)}</text>`;
+  }
+
+  /**
+   * Lay out unpaged Braille into rows for interline print: lines are wrapped between words at the
+   * line width, and each print word is placed under the cells its Braille starts at
+   * @param {string} braille - Braille text (lines separated by newlines; form feeds are ignored)
+   * @param {Array<object>} words - Print words { braille: [start, end], print } with offsets in braille
+   * @param {number} cellsPerLine - Line width in cells
+   * @returns {Array<object>} - Rows { braille, words } with words { column, print }
+   */
+  layoutInterline(braille, words, cellsPerLine) {
+    const rows = [];
+    // Row and column of each Braille offset that was placed on a row
+    const placed = new Map();
+
+    let offset = 0;
+    for (const line of braille.split('\n')) {
+      const text = line.replace(/\f/g, ' ');
+      let row = { braille: '', words: [] };
+      rows.push(row);
+
+      // Words with their offsets, keeping the indentation of the line
+      const tokens = [];
+      const pattern = /\S+/g;
+      let match;
+      while ((match = pattern.exec(text)) !== null) {
+        tokens.push({ text: match[0], start: offset + match.index });
+      }
+      const indent = tokens.length ? tokens[0].start - offset : 0;
+      row.braille = ' '.repeat(Math.min(indent, cellsPerLine - 1));
+
+      for (const token of tokens) {
+        for (let i = 0; i < token.text.length; i++) {
+          const needsBreak = i === 0 && row.braille.trim()
+            ? row.braille.length + 1 + Math.min(token.text.length, cellsPerLine) > cellsPerLine
+            : row.braille.length >= cellsPerLine;
+          if (needsBreak) {
+            row = { braille: '', words: [] };
+            rows.push(row);
+          } else if (i === 0 && row.braille.trim()) {
+            row.braille += ' ';
+          }
+          placed.set(token.start + i, { row: rows.length - 1, column: row.braille.length });
+          row.braille += token.text[i];
+        }
+      }
+      offset += line.length + 1;
+    }
+
+    for (const word of words) {
+      const first = placed.get(word.braille[0]);
+      if (!first || !word.print) {
+        continue;
+      }
+      rows[first.row].words.push({ column: first.column, print: word.print });
+    }
+
+    return rows;
+  }
+
+  /**
+   * Raised dots of a Braille character as a bit mask (bit 0 is dot 1)
+   * @param {string} char - Character
+   * @returns {number|null} - Dots, 0 for a space, or null for characters that are not drawn
+   */
+  dotsOf(char) {
+    if (char === ' ') {
+      return 0;
+    }
+    const codePoint = char.codePointAt(0);
+    return codePoint >= this.BRAILLE_BASE && codePoint <= this.BRAILLE_BASE + 0xFF
+      ? codePoint - this.BRAILLE_BASE
+      : null;
+  }
+
+  /**
+   * Round a length to hundredths of a millimetre for compact output
+   * @param {number} value - Length
+   * @returns {number}
+   */
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Escape text for use in XML content
+   * @param {string} text - Text to escape
+   * @returns {string}
+   */
+  escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+}
+
+module.exports = BrailleSvgRenderer;
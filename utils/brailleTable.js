@@ -0,0 +1,193 @@
+// Braille Table - Rule engine driven by a contraction table (config/brailleTables/*.json)
+// Applies wordsigns, shortforms and groupsigns with UEB position and syllable rules
+
+const ContractionTrie = require('./contractionTrie');
+
+const VOWELS = /[aeiouy]/;
+
+// Tables compiled so far, by name; each table is compiled once per process
+const compiledTables = new Map();
+
+class BrailleTable {
+  /**
+   * @param {object} definition - Parsed contraction table
+   */
+  constructor(definition) {
+    this.name = definition.name;
+    this.language = definition.language;
+    this.description = definition.description || '';
+
+    this.letters = definition.letters;
+    this.digits = definition.digits;
+    this.punctuation = definition.punctuation;
+    this.openingPunctuation = new Set(definition.openingPunctuation || []);
+    this.closingPunctuation = new Set(definition.closingPunctuation || []);
+    this.apostropheSuffixes = definition.apostropheSuffixes || [];
+
+    // Groupsigns, longest print first so ties go to the longer contraction
+    this.groupsigns = (definition.groupsigns || [])
+      .slice()
+      .sort((a, b) => b.print.length - a.print.length);
+
+    // Groupsigns compiled for lookup by print (contracting) and by Braille (back-translating)
+    this.groupsignTrie = new ContractionTrie(this.groupsigns, 'print');
+    this.brailleGroupsignTrie = new ContractionTrie(this.groupsigns, 'braille');
+
+    // Syllable breaks ("pot|hole") as break offsets that contractions may not bridge
+    this.syllableBreaks = {};
+    for (const [word, syllables] of Object.entries(definition.syllableBreaks || {})) {
+      const breaks = [];
+      let offset = 0;
+      for (const syllable of syllables.split('|').slice(0, -1)) {
+        offset += syllable.length;
+        breaks.push(offset);
+      }
+      this.syllableBreaks[word] = breaks;
+    }
+
+    // Whole-word contractions: wordsigns, shortforms and shortforms with suffixes
+    this.wordsigns = new Map();
+    for (const rule of definition.wordsigns || []) {
+      this.wordsigns.set(rule.print, { braille: rule.braille, type: rule.type });
+    }
+    for (const rule of definition.shortforms || []) {
+      this.wordsigns.set(rule.print, { braille: rule.braille, type: 'shortform' });
+      for (const suffix of rule.suffixes || []) {
+        const word = rule.print + suffix;
+        const suffixBraille = this.contractRange(word, rule.print.length).map(unit => unit.braille).join('');
+        this.wordsigns.set(word, { braille: rule.braille + suffixBraille, type: 'shortform' });
+      }
+    }
+  }
+
+  /**
+   * Load a contraction table by name from config/brailleTables, compiling it on first use
+   * @param {string} name - Table name (e.g. 'en-ueb-g2')
+   * @returns {BrailleTable} - The compiled table, shared by every converter using it
+   */
+  static load(name) {
+    if (!compiledTables.has(name)) {
+      compiledTables.set(name, new BrailleTable(require(`../config/brailleTables/${name}.json`)));
+    }
+    return compiledTables.get(name);
+  }
+
+  /**
+   * Contract a word (a run of letters) into Braille units
+   * @param {string} word - Letters of the word, in original case
+   * @param {object} context - { standingAlone, touchesPunctuation } from the surrounding text
+   * @returns {Array<object>} - Units { start, end, braille } covering the word in order
+   */
+  contractWord(word, { standingAlone = false, touchesPunctuation = false } = {}) {
+    const lower = word.toLowerCase();
+
+    // Whole-word contractions only when the word stands alone, capitalized or all in capitals
+    if (standingAlone && (word.slice(1) === lower.slice(1) || word === word.toUpperCase())) {
+      const wordsign = this.wordsigns.get(lower);
+      // Lower wordsigns (be, were, his, was, ...) are not used in contact with punctuation
+      if (wordsign && !(wordsign.type === 'lower' && touchesPunctuation)) {
+        return [{ start: 0, end: word.length, braille: wordsign.braille }];
+      }
+    }
+
+    return this.contractRange(word, 0);
+  }
+
+  /**
+   * Contract the letters of a word from a position onwards using groupsigns.
+   * Picks the contractions giving the fewest cells; on a tie the contraction
+   * starting earliest (and then the longest) wins.
+   * @param {string} word - Letters of the word, in original case
+   * @param {number} from - Position to start contracting at
+   * @returns {Array<object>} - Units { start, end, braille }
+   */
+  contractRange(word, from) {
+    const lower = word.toLowerCase();
+    const length = lower.length;
+    const breaks = this.syllableBreaks[lower] || null;
+    const cost = new Array(length + 1).fill(0);
+    const choice = new Array(length);
+
+    for (let i = length - 1; i >= from; i--) {
+      let best = { start: i, end: i + 1, braille: this.letters[lower[i]] || word[i] };
+      let bestCost = 1 + cost[i + 1];
+      let ruleBest = null;
+      let ruleCost = Infinity;
+
+      // Every groupsign starting here, shortest first; on equal cost the longer one is kept
+      for (const { rule, end } of this.groupsignTrie.matchesAt(lower, i)) {
+        if (!this.isAllowed(rule, word, i, end, breaks)) {
+          continue;
+        }
+        const total = rule.braille.length + cost[end];
+        if (total < ruleCost || (total === ruleCost && end > ruleBest.end)) {
+          ruleBest = { start: i, end, braille: rule.braille };
+          ruleCost = total;
+        }
+      }
+
+      if (ruleBest && ruleCost <= bestCost) {
+        best = ruleBest;
+        bestCost = ruleCost;
+      }
+      cost[i] = bestCost;
+      choice[i] = best;
+    }
+
+    const units = [];
+    for (let i = from; i < length; i = choice[i].end) {
+      units.push(choice[i]);
+    }
+    return units;
+  }
+
+  /**
+   * Check the position and syllable rules for a groupsign at a place in a word
+   * @param {object} rule - Groupsign rule
+   * @param {string} word - Letters of the word, in original case
+   * @param {number} start - Start of the match
+   * @param {number} end - End of the match
+   * @param {number[]|null} breaks - Known syllable breaks for the word
+   * @returns {boolean}
+   */
+  isAllowed(rule, word, start, end, breaks) {
+    const lower = word.toLowerCase();
+
+    // A contraction may not span a capital letter other than its first, unless it is all in capitals
+    const allCapitals = word.slice(start, end) === word.slice(start, end).toUpperCase();
+    for (let k = start + 1; k < end; k++) {
+      if (word[k] !== lower[k] && !allCapitals) {
+        return false;
+      }
+    }
+
+    if (rule.position === 'first' && !(start === 0 && end < lower.length)) {
+      return false;
+    }
+    if (rule.position === 'middle' && !(start > 0 && end < lower.length)) {
+      return false;
+    }
+    if (rule.position === 'notFirst' && start === 0) {
+      return false;
+    }
+
+    if (breaks) {
+      // Never bridge a known syllable break; prefixes must end on one
+      if (breaks.some(position => position > start && position < end)) {
+        return false;
+      }
+      if (rule.syllable && !breaks.includes(end)) {
+        return false;
+      }
+    } else if (rule.syllable) {
+      // Prefixes (be, con, dis) need a consonant after them and another syllable to follow
+      if (VOWELS.test(lower[end]) || !VOWELS.test(lower.slice(end))) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+}
+
+module.exports = BrailleTable;
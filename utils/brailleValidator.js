@@ -0,0 +1,271 @@
+// Braille Validator - Finds problems in Unicode Braille, each with its position and a reason
+// Checks for characters that are not Braille, unmatched capital, grade 1 and typeform indicators,
+// numeric indicators with nothing after them, lines too long for the page and, for BRF, cells with dots 7
+// and 8. Transcriber's notes are reported too, as they mark print the converter could not translate
+
+// Characters allowed besides Braille cells: spaces, line breaks and page breaks
+const LAYOUT_CHARACTERS = /[ \n\r\f]/;
+
+class BrailleValidator {
+  /**
+   * @param {object} options - Validator options
+   * @param {Array<object>} options.indicators - Indicator families that open and close:
+   *   { name, passage, word, terminator } Braille cells (word may be null); none by default
+   * @param {string} options.numberIndicator - Numeric indicator cell, when the code has one
+   *   that must be followed by a number (not checked by default)
+   * @param {Array<object>} options.passages - Passages in another Braille code: { name, begin, end }
+   *   indicator cells; the cells between them are not read as indicators
+   * @param {object} options.transcriberNote - Transcriber's note indicator cells { begin, end }, when the
+   *   converter writes untranslated print in one (not checked by default)
+   */
+  constructor(options = {}) {
+    this.indicators = options.indicators || [];
+    this.NUMBER_INDICATOR = options.numberIndicator || null;
+    this.passages = options.passages || [];
+    this.transcriberNote = options.transcriberNote || null;
+
+    // Unicode Braille Patterns block
+    this.BRAILLE_RANGE = [0x2800, 0x28FF];
+
+    // Problem kinds and whether they make the Braille unusable ('error') or only suspect ('warning')
+    this.SEVERITIES = {
+      NON_BRAILLE_CHARACTER: 'error',
+      LINE_TOO_LONG: 'error',
+      EIGHT_DOT_CELL: 'error',
+      EMPTY_NUMERIC_INDICATOR: 'warning',
+      UNMATCHED_TERMINATOR: 'warning',
+      UNCLOSED_PASSAGE: 'warning',
+      TRANSCRIBERS_NOTE: 'warning'
+    };
+
+    // Indicator cell sequences, longest first so a passage indicator is not read as a word indicator
+    this.sequences = [];
+    for (const family of this.indicators) {
+      for (const role of ['passage', 'word', 'terminator']) {
+        if (family[role]) {
+          this.sequences.push({ family: family.name, role, cells: family[role] });
+        }
+      }
+    }
+    this.sequences.sort((a, b) => b.cells.length - a.cells.length);
+  }
+
+  /**
+   * Validate Braille text
+   * @param {string} braille - Braille text using Unicode Braille Patterns
+   * @param {object} options - Validation options
+   * @param {number} options.cellsPerLine - Report lines longer than this (not checked by default)
+   * @param {boolean} options.checkIndicators - Check numeric and other indicators (default: true);
+   *   false for Braille wholly in a code without them
+   * @param {string} options.encoding - Encoding the Braille is to be written in; 'brf' reports cells
+   *   with dots 7 or 8, which ASCII Braille cannot hold (not checked by default)
+   * @returns {object} - { valid, errors, warnings, diagnostics } where diagnostics are
+   *   { code, severity, position, line, column, message } in text order; valid means no errors
+   */
+  validate(braille, options = {}) {
+    const diagnostics = [];
+    const text = typeof braille === 'string' ? braille : '';
+
+    // Line and column (1-based) of each line start, for reporting
+    const lineStarts = [0];
+    for (let i = 0; i < text.length; i++) {
+      if (text[i] === '\n') {
+        lineStarts.push(i + 1);
+      }
+    }
+    const report = (code, position, message) => {
+      let line = lineStarts.length - 1;
+      while (lineStarts[line] > position) {
+        line--;
+      }
+      diagnostics.push({
+        code,
+        severity: this.SEVERITIES[code],
+        position,
+        line: line + 1,
+        column: position - lineStarts[line] + 1,
+        message
+      });
+    };
+
+    this.checkCharacters(text, report);
+    if (options.encoding === 'brf') {
+      this.checkSixDotCells(text, report);
+    }
+    if (this.transcriberNote) {
+      this.checkTranscriberNotes(text, report);
+    }
+    if (options.checkIndicators !== false) {
+      const literary = this.maskPassages(text, report);
+      if (this.NUMBER_INDICATOR) {
+        this.checkNumericIndicators(literary, report);
+      }
+      this.checkIndicators(literary, report);
+    }
+    if (options.cellsPerLine) {
+      this.checkLineLengths(text, options.cellsPerLine, report);
+    }
+
+    diagnostics.sort((a, b) => a.position - b.position);
+    const errors = diagnostics.filter(diagnostic => diagnostic.severity === 'error').length;
+    return {
+      valid: errors === 0,
+      errors,
+      warnings: diagnostics.length - errors,
+      diagnostics
+    };
+  }
+
+  /**
+   * Report characters that are neither Braille cells nor layout (spaces, line and page breaks)
+   * @param {string} text - Braille text
+   * @param {Function} report - Adds a diagnostic (code, position, message)
+   */
+  checkCharacters(text, report) {
+    let position = 0;
+    for (const char of text) {
+      const codePoint = char.codePointAt(0);
+      const isCell = codePoint >= this.BRAILLE_RANGE[0] && codePoint <= this.BRAILLE_RANGE[1];
+      if (!isCell && !LAYOUT_CHARACTERS.test(char)) {
+        const code = `U+${codePoint.toString(16).toUpperCase().padStart(4, '0')}`;
+        report('NON_BRAILLE_CHARACTER', position, `"${char}" (${code}) is not a Braille cell`);
+      }
+      position += char.length;
+    }
+  }
+
+  /**
+   * Report words with cells that use dots 7 or 8 (8-dot computer Braille), which BRF cannot hold;
+   * each word is reported once, at its first such cell
+   * @param {string} text - Braille text
+   * @param {Function} report - Adds a diagnostic (code, position, message)
+   */
+  checkSixDotCells(text, report) {
+    for (const word of text.matchAll(/[^ \n\r\f]+/g)) {
+      const cell = word[0].search(/[\u2840-\u28FF]/);
+      if (cell !== -1) {
+        report('EIGHT_DOT_CELL', word.index + cell, 'Cell uses dots 7 or 8 (computer Braille), which BRF cannot hold');
+      }
+    }
+  }
+
+  /**
+   * Report transcriber's notes, which hold print left untranslated (such as an unknown math command)
+   * @param {string} text - Braille text
+   * @param {Function} report - Adds a diagnostic (code, position, message)
+   */
+  checkTranscriberNotes(text, report) {
+    const { begin } = this.transcriberNote;
+    for (let i = text.indexOf(begin); i !== -1; i = text.indexOf(begin, i + begin.length)) {
+      report('TRANSCRIBERS_NOTE', i, "Transcriber's note: print that could not be translated is spelled out");
+    }
+  }
+
+  /**
+   * Blank out passages in another code, indicators included, so their cells are not read as
+   * indicators; reports passages that are never ended
+   * @param {string} text - Braille text
+   * @param {Function} report - Adds a diagnostic (code, position, message)
+   * @returns {string} - Text of the same length with passages as blank cells
+   */
+  maskPassages(text, report) {
+    let masked = text;
+    for (const { name, begin, end } of this.passages) {
+      let start;
+      let position = 0;
+      while ((start = masked.indexOf(begin, position)) !== -1) {
+        const stop = masked.indexOf(end, start + begin.length);
+        if (stop === -1) {
+          report('UNCLOSED_PASSAGE', start, `${name} passage indicator is never terminated`);
+        }
+        position = stop === -1 ? masked.length : stop + end.length;
+        // Spaces and line breaks are kept so words and lines still end where they did
+        masked = masked.slice(0, start) + masked.slice(start, position).replace(/\S/g, '⠀') + masked.slice(position);
+      }
+    }
+    return masked;
+  }
+
+  /**
+   * Report numeric indicators with no digit after them (at the end of a word, line or text)
+   * @param {string} text - Braille text
+   * @param {Function} report - Adds a diagnostic (code, position, message)
+   */
+  checkNumericIndicators(text, report) {
+    for (let i = text.indexOf(this.NUMBER_INDICATOR); i !== -1; i = text.indexOf(this.NUMBER_INDICATOR, i + 1)) {
+      const next = text[i + 1];
+      if (next === undefined || LAYOUT_CHARACTERS.test(next)) {
+        report('EMPTY_NUMERIC_INDICATOR', i, 'Numeric indicator with no number after it');
+      }
+    }
+  }
+
+  /**
+   * Report terminators that close nothing, and passages that are never closed. A terminator
+   * closes an open passage of its family, or a word indicator earlier in the same word
+   * @param {string} text - Braille text
+   * @param {Function} report - Adds a diagnostic (code, position, message)
+   */
+  checkIndicators(text, report) {
+    if (!this.sequences.length) {
+      return;
+    }
+
+    // Open passages (indicator position) and word indicators in the current word, by family
+    const passages = new Map();
+    const words = new Set();
+
+    let i = 0;
+    while (i < text.length) {
+      if (LAYOUT_CHARACTERS.test(text[i])) {
+        words.clear();
+        i++;
+        continue;
+      }
+
+      const match = this.sequences.find(sequence => text.startsWith(sequence.cells, i));
+      if (!match) {
+        i++;
+        continue;
+      }
+
+      if (match.role === 'passage') {
+        passages.set(match.family, i);
+      } else if (match.role === 'word') {
+        words.add(match.family);
+      } else if (passages.has(match.family)) {
+        passages.delete(match.family);
+      } else if (words.has(match.family)) {
+        words.delete(match.family);
+      } else {
+        report('UNMATCHED_TERMINATOR', i, `${match.family} terminator with no ${match.family} indicator to close`);
+      }
+      i += match.cells.length;
+    }
+
+    for (const [family, position] of passages) {
+      report('UNCLOSED_PASSAGE', position, `${family} passage indicator is never terminated`);
+    }
+  }
+
+  /**
+   * Report lines longer than the page width
+   * @param {string} text - Braille text
+   * @param {number} cellsPerLine - Cells per line
+   * @param {Function} report - Adds a diagnostic (code, position, message)
+   */
+  checkLineLengths(text, cellsPerLine, report) {
+    let start = 0;
+    for (const line of text.split('\n')) {
+      // Page breaks start a new line of their own
+      const cells = line.replace(/^\f+/, '').replace(/\r$/, '');
+      if (cells.length > cellsPerLine) {
+        report('LINE_TOO_LONG', start + (line.length - cells.length) + cellsPerLine,
+          `Line is ${cells.length} cells long; the page holds ${cellsPerLine}`);
+      }
+      start += line.length + 1;
+    }
+  }
+}
+
+module.exports = BrailleValidator;
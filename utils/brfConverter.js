@@ -0,0 +1,109 @@
+// BRF Converter Utility - North American ASCII Braille (.brf)
+// Maps Unicode Braille Patterns to the ASCII Braille used by embossers and notetakers
+
+// ASCII Braille characters in Unicode Braille order (index = dots 1-6 bit pattern)
+const ASCII_BRAILLE = ' A1B\'K2L@CIF/MSP"E3H9O6R^DJG>NTQ,*5<-U8V.%[$+X!&;:4\\0Z7(_?W]#Y)=';
+
+class BrfConverter {
+  constructor() {
+    // Unicode Braille base character (⠀)
+    this.BRAILLE_BASE = 0x2800;
+
+    // BRF files use CRLF line endings and form feeds between pages
+    this.LINE_ENDING = '\r\n';
+    this.PAGE_BREAK = '\f';
+
+    // Lowercase ASCII Braille variants some notetakers write
+    this.LOWERCASE_VARIANTS = {
+      '`': '@', '{': '[', '|': '\\', '}': ']', '~': '^'
+    };
+  }
+
+  /**
+   * Convert Unicode Braille to ASCII Braille (BRF)
+   * @param {string} braille - Braille text using Unicode Braille Patterns
+   * @returns {string} - ASCII Braille text
+   * @throws {Error} - EIGHT_DOT_BRAILLE when a cell uses dots 7 or 8, which ASCII Braille cannot hold
+   */
+  fromUnicode(braille) {
+    if (!braille || typeof braille !== 'string') {
+      return '';
+    }
+
+    let result = '';
+    let line = 1;
+    for (const char of braille.replace(/\r\n?/g, '\n')) {
+      const codePoint = char.codePointAt(0);
+
+      if (char === '\n') {
+        result += this.LINE_ENDING;
+        line++;
+      } else if (char === '\f') {
+        result += this.PAGE_BREAK;
+      } else if (codePoint >= this.BRAILLE_BASE && codePoint <= this.BRAILLE_BASE + 0xFF) {
+        // Dots 7 and 8 have no ASCII Braille equivalent; dropping them would silently change the text
+        // (computer Braille capitals would read as lowercase)
+        if (codePoint - this.BRAILLE_BASE > 0x3F) {
+          const error = new Error(`Line ${line} has 8-dot computer Braille (${char}), which BRF cannot hold. ` +
+            'Export it as Unicode Braille or PEF instead');
+          error.code = 'EIGHT_DOT_BRAILLE';
+          throw error;
+        }
+        result += ASCII_BRAILLE[codePoint - this.BRAILLE_BASE];
+      } else if (/\s/.test(char)) {
+        result += ' ';
+      }
+      // Anything else is not Braille and cannot be embossed, so it is left out
+    }
+
+    return result;
+  }
+
+  /**
+   * Convert ASCII Braille (BRF) to Unicode Braille
+   * @param {string} brf - ASCII Braille text
+   * @returns {string} - Braille text using Unicode Braille Patterns
+   */
+  toUnicode(brf) {
+    if (!brf || typeof brf !== 'string') {
+      return '';
+    }
+
+    let result = '';
+    for (const char of brf.replace(/\r\n?/g, '\n')) {
+      // Keep line breaks, page breaks and spaces as BrailleConverter writes them
+      if (char === '\n' || char === '\f' || char === ' ') {
+        result += char;
+        continue;
+      }
+
+      const ascii = this.LOWERCASE_VARIANTS[char] || char.toUpperCase();
+      const dots = ASCII_BRAILLE.indexOf(ascii);
+      if (dots !== -1) {
+        result += String.fromCodePoint(this.BRAILLE_BASE + dots);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Check that text contains only ASCII Braille, spaces, line breaks and page breaks
+   * @param {string} brf - ASCII Braille text
+   * @returns {boolean}
+   */
+  isValidBrf(brf) {
+    if (!brf || typeof brf !== 'string') {
+      return false;
+    }
+
+    for (const char of brf) {
+      if (!/[\r\n\f ]/.test(char) && !ASCII_BRAILLE.includes(this.LOWERCASE_VARIANTS[char] || char.toUpperCase())) {
+        return false;
+      }
+    }
+    return true;
+  }
+}
+
+module.exports = BrfConverter;
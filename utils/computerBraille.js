@@ -0,0 +1,101 @@
+// Computer Braille Utility - 8-dot computer Braille (North American Braille Computer Code)
+// One cell per character so code and URLs read exactly as typed: the 6-dot cell of the ASCII Braille
+// character, with dot 7 for capitals and @ [ \ ] ^ _, and lowercase letters and ` { | } ~ without it
+
+const BrfConverter = require('./brfConverter');
+
+class ComputerBraille {
+  constructor() {
+    // Unicode Braille base character (⠀) and the bits of dots 7 and 8
+    this.BRAILLE_BASE = 0x2800;
+    this.DOT_7 = 0x40;
+    this.DOT_8 = 0x80;
+
+    // Characters without an ASCII form are written as a question mark
+    this.UNKNOWN = '?';
+
+    // ASCII Braille gives the 6-dot cell of each character from space (0x20) to underscore (0x5F)
+    this.brf = new BrfConverter();
+    this.CELLS = new Map();
+    for (let code = 0x20; code <= 0x7E; code++) {
+      const char = String.fromCharCode(code);
+      const cell = this.brf.toUnicode(String.fromCharCode(code >= 0x60 ? code - 0x20 : code));
+      const dots = cell === ' ' ? 0 : cell.codePointAt(0) - this.BRAILLE_BASE;
+      this.CELLS.set(char, String.fromCodePoint(this.BRAILLE_BASE + dots + (code >= 0x40 && code < 0x60 ? this.DOT_7 : 0)));
+    }
+    this.CHARACTERS = new Map([...this.CELLS].map(([char, cell]) => [cell, char]));
+  }
+
+  /**
+   * Convert text to 8-dot computer Braille; spaces are blank cells and line breaks are kept
+   * @param {string} text - Text, usually code or a URL
+   * @param {object} options - Conversion options
+   * @param {Array<object>} options.alignment - Collects alignment segments when given
+   * @returns {string} - Braille text using Unicode Braille Patterns
+   */
+  toBraille(text, options = {}) {
+    if (!text || typeof text !== 'string') {
+      return '';
+    }
+
+    const alignment = options.alignment || null;
+    let result = '';
+    let position = 0;
+    for (const char of text) {
+      const braille = this.cellsFor(char);
+      if (alignment && braille.trim()) {
+        alignment.push({ print: [position, position + char.length], braille: [result.length, result.length + braille.length] });
+      }
+      result += braille;
+      position += char.length;
+    }
+    return result;
+  }
+
+  /**
+   * Cells for one character: its computer Braille cell, the cells of its letters without accents,
+   * or a question mark
+   * @param {string} char - Character
+   * @returns {string}
+   */
+  cellsFor(char) {
+    if (char === ' ' || char === '\n' || char === '\f') {
+      return char;
+    }
+    if (this.CELLS.has(char)) {
+      return this.CELLS.get(char);
+    }
+    if (/\s/.test(char)) {
+      return ' ';
+    }
+    const base = char.normalize('NFKD').replace(/\p{M}/gu, '');
+    return Array.from(base).every(part => this.CELLS.has(part)) && base
+      ? Array.from(base, part => this.CELLS.get(part)).join('')
+      : this.CELLS.get(this.UNKNOWN);
+  }
+
+  /**
+   * Read 8-dot computer Braille back to text
+   * @param {string} braille - Braille text using Unicode Braille Patterns
+   * @returns {string} - Text; cells with dot 8 are read without it
+   */
+  toText(braille) {
+    if (!braille || typeof braille !== 'string') {
+      return '';
+    }
+
+    let result = '';
+    for (const char of braille) {
+      const codePoint = char.codePointAt(0);
+      if (codePoint >= this.BRAILLE_BASE && codePoint <= this.BRAILLE_BASE + 0xFF) {
+        const cell = String.fromCodePoint(codePoint & ~this.DOT_8);
+        result += this.CHARACTERS.get(cell) || this.CHARACTERS.get(String.fromCodePoint(codePoint & ~(this.DOT_7 | this.DOT_8))) || '';
+      } else {
+        result += char;
+      }
+    }
+    return result;
+  }
+}
+
+module.exports = ComputerBraille;
@@ -0,0 +1,62 @@
+// Contraction Trie - Contraction rules compiled into a prefix tree, keyed by print or by Braille
+// Finds every rule matching at a position in one walk, instead of trying each rule in turn
+
+class ContractionTrie {
+  /**
+   * @param {Array<object>} rules - Rules to compile
+   * @param {string} key - Rule property the trie is keyed by (e.g. 'print' or 'braille')
+   */
+  constructor(rules = [], key = 'print') {
+    // Nodes { next: Map of character to node, rules: rules ending here }
+    this.root = { next: new Map(), rules: [] };
+    this.key = key;
+    this.size = 0;
+
+    for (const rule of rules) {
+      this.add(rule);
+    }
+  }
+
+  /**
+   * Add a rule under its key
+   * @param {object} rule - Rule with a non-empty key
+   */
+  add(rule) {
+    const key = rule[this.key];
+    let node = this.root;
+    for (let i = 0; i < key.length; i++) {
+      if (!node.next.has(key[i])) {
+        node.next.set(key[i], { next: new Map(), rules: [] });
+      }
+      node = node.next.get(key[i]);
+    }
+    node.rules.push(rule);
+    this.size++;
+  }
+
+  /**
+   * Find the rules whose key starts at a position in a sequence
+   * @param {string|string[]} sequence - Text, or Braille cells (one cell per element)
+   * @param {number} start - Position to match at
+   * @param {number} end - Position matches may not run past (default: end of sequence)
+   * @returns {Array<object>} - Matches { rule, end }, shortest first
+   */
+  matchesAt(sequence, start, end = sequence.length) {
+    const matches = [];
+    let node = this.root;
+
+    for (let i = start; i < end; i++) {
+      node = node.next.get(sequence[i]);
+      if (!node) {
+        break;
+      }
+      for (const rule of node.rules) {
+        matches.push({ rule, end: i + 1 });
+      }
+    }
+
+    return matches;
+  }
+}
+
+module.exports = ContractionTrie;
@@ -0,0 +1,65 @@
+// Event Stream - Server-sent events on an HTTP response
+// Events are written as 'event:' and 'data:' lines; a comment is sent while nothing else is, so proxies keep
+// the stream open, and nothing more is written once the client has gone away
+
+class EventStream {
+  /**
+   * @param {http.ServerResponse} res - Response to stream the events on
+   * @param {object} options - Stream options
+   * @param {number} options.heartbeatIntervalMs - How often to send the keep-alive comment (default: 25000)
+   */
+  constructor(res, options = {}) {
+    this.res = res;
+    this.HEARTBEAT_INTERVAL_MS = options.heartbeatIntervalMs || 25000;
+    this.open = false;
+    this.heartbeat = null;
+  }
+
+  /**
+   * Send the event stream headers and start the keep-alive comments
+   */
+  start() {
+    this.res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Proxies such as nginx would otherwise hold events back
+      'X-Accel-Buffering': 'no'
+    });
+    this.open = true;
+    this.heartbeat = setInterval(() => this.res.write(': heartbeat\n\n'), this.HEARTBEAT_INTERVAL_MS);
+    this.res.on('close', () => this.stop());
+  }
+
+  /**
+   * Write an event, unless the client has gone away
+   * @param {string} event - Event name
+   * @param {object} data - Event data, sent as JSON
+   */
+  send(event, data) {
+    if (this.open) {
+      this.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  }
+
+  /**
+   * Stop the keep-alive comments and end the response
+   */
+  end() {
+    const { open } = this;
+    this.stop();
+    if (open) {
+      this.res.end();
+    }
+  }
+
+  /**
+   * Stop writing to the stream
+   */
+  stop() {
+    this.open = false;
+    clearInterval(this.heartbeat);
+  }
+}
+
+module.exports = EventStream;
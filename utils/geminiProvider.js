@@ -0,0 +1,73 @@
+// Gemini Provider - Generates text with Google Gemini; audio is sent inline with the prompt
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const LlmProvider = require('./llmProvider');
+
+class GeminiProvider extends LlmProvider {
+  /**
+   * @param {object} options - Provider options
+   * @param {string} options.apiKey - Gemini API key
+   * @param {string} options.model - Gemini model (default: 'gemini-2.5-flash-lite')
+   * @param {string} options.systemInstruction - System instruction sent with every prompt
+   */
+  constructor(options = {}) {
+    super('gemini', { ...options, model: options.model || 'gemini-2.5-flash-lite' });
+    this.client = new GoogleGenerativeAI(options.apiKey).getGenerativeModel({
+      model: this.model,
+      systemInstruction: this.systemInstruction
+    });
+  }
+
+  /**
+   * Generate text for a prompt (see LlmProvider#generateText)
+   * @param {object} request - { prompt, audioFile, generationConfig }
+   * @returns {Promise<string>}
+   */
+  async generateText(request) {
+    const result = await this.client.generateContent(this.buildContent(request));
+    return result.response.text();
+  }
+
+  /**
+   * Generate text for a prompt as a stream (see LlmProvider#streamText)
+   * @param {object} request - { prompt, audioFile, generationConfig }
+   * @param {Function} onToken - Called with each chunk of text
+   * @returns {Promise<string>}
+   */
+  async streamText(request, onToken) {
+    const result = await this.client.generateContentStream(this.buildContent(request));
+    let text = '';
+    for await (const chunk of result.stream) {
+      const piece = chunk.text();
+      if (piece) {
+        text += piece;
+        await onToken(piece);
+      }
+    }
+    return text;
+  }
+
+  /**
+   * Build the Gemini request for a prompt, with any audio file inline
+   * @param {object} request - { prompt, audioFile, generationConfig }
+   * @returns {object} - Gemini request
+   */
+  buildContent(request) {
+    const parts = [{ text: request.prompt }];
+    if (request.audioFile) {
+      parts.push({
+        inlineData: {
+          mimeType: request.audioFile.mimetype,
+          data: request.audioFile.buffer.toString('base64')
+        }
+      });
+    }
+
+    return {
+      contents: [{ role: 'user', parts }],
+      generationConfig: request.generationConfig
+    };
+  }
+}
+
+module.exports = GeminiProvider;
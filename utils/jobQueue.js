@@ -0,0 +1,232 @@
+// Job Queue - Runs jobs stored in Mongo one at a time, oldest first
+// Any number of workers (server processes or scripts/jobWorker.js) can share the queue: a job is claimed
+// atomically, and a job whose worker stops reporting progress is queued again or failed. A worker only
+// updates a job while it still holds the claim; one whose job was taken over stops at its next report
+
+const os = require('os');
+
+class JobQueue {
+  /**
+   * @param {object} options - Queue options
+   * @param {mongoose.Model} options.model - Job model (models/Job.js)
+   * @param {Function} options.handler - async (job, reportStage, heartbeat) => fields to set on the completed job;
+   *   reportStage(name, status) records a stage's progress and heartbeat(fields) sets other progress fields;
+   *   both throw JOB_CLAIM_LOST once the job was taken over
+   * @param {number} options.pollIntervalMs - How often to look for queued jobs (default: 5000)
+   * @param {number} options.staleAfterMs - How long a running job may go without progress (default: 15 minutes)
+   * @param {number} options.maxAttempts - Runs a job may start before it is failed (default: 2)
+   * @param {string[]} options.discardOnFailure - Paths removed from a job once it has failed, as it will not
+   *   run again (such as its uploaded input; none by default)
+   */
+  constructor(options = {}) {
+    this.model = options.model;
+    this.handler = options.handler;
+    this.POLL_INTERVAL_MS = options.pollIntervalMs || 5000;
+    this.STALE_AFTER_MS = options.staleAfterMs || 15 * 60 * 1000;
+    this.MAX_ATTEMPTS = options.maxAttempts || 2;
+    this.DISCARD_ON_FAILURE = options.discardOnFailure || [];
+
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    // Error code of a report made after the job was requeued or failed by another worker
+    this.CLAIM_LOST = 'JOB_CLAIM_LOST';
+    this.timer = null;
+    // Whether jobs are being run, and whether to look again when they are done
+    this.draining = false;
+    this.kicked = false;
+  }
+
+  /**
+   * Start polling for queued jobs (does nothing if already started)
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => this.kick(), this.POLL_INTERVAL_MS);
+    // Polling alone does not keep the process running
+    this.timer.unref();
+    this.kick();
+  }
+
+  /**
+   * Stop polling; a job being run is finished
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Run queued jobs now rather than at the next poll
+   */
+  kick() {
+    if (this.draining) {
+      this.kicked = true;
+      return;
+    }
+    this.draining = true;
+    this.drain()
+      .catch(error => console.error('❌ Job queue error:', error.message))
+      .finally(() => {
+        this.draining = false;
+        if (this.kicked) {
+          this.kicked = false;
+          this.kick();
+        }
+      });
+  }
+
+  /**
+   * Requeue stale jobs, then run queued jobs until there are none
+   * @returns {Promise<void>}
+   */
+  async drain() {
+    await this.recoverStale();
+    let job;
+    while ((job = await this.claim())) {
+      await this.run(job);
+    }
+  }
+
+  /**
+   * Claim the oldest queued job for this worker; stages of an earlier run start over
+   * @returns {Promise<object|null>} - The job, or null when none is queued
+   */
+  claim() {
+    const now = new Date();
+    return this.model.findOneAndUpdate(
+      { status: 'queued' },
+      {
+        $set: {
+          status: 'running',
+          workerId: this.workerId,
+          lockedAt: now,
+          startedAt: now,
+          updatedAt: now,
+          'stages.$[].status': 'pending'
+        },
+        $unset: { 'stages.$[].startedAt': '', 'stages.$[].completedAt': '' },
+        $inc: { attempts: 1 }
+      },
+      { sort: { createdAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Queue running jobs that stopped reporting progress again, or fail them after MAX_ATTEMPTS runs
+   * @returns {Promise<void>}
+   */
+  async recoverStale() {
+    const now = new Date();
+    const stale = { status: 'running', lockedAt: { $lt: new Date(now.getTime() - this.STALE_AFTER_MS) } };
+    await this.model.updateMany(
+      { ...stale, attempts: { $lt: this.MAX_ATTEMPTS } },
+      { $set: { status: 'queued', updatedAt: now } }
+    );
+    await this.model.updateMany(stale, {
+      $set: { status: 'failed', error: 'Job stopped making progress', completedAt: now, updatedAt: now },
+      ...this.discardUpdate()
+    });
+  }
+
+  /**
+   * Update removing the paths a failed job no longer needs
+   * @returns {object} - { $unset } of those paths, or nothing when there are none
+   */
+  discardUpdate() {
+    if (!this.DISCARD_ON_FAILURE.length) {
+      return {};
+    }
+    return { $unset: Object.fromEntries(this.DISCARD_ON_FAILURE.map(path => [path, ''])) };
+  }
+
+  /**
+   * Filter matching a job only while this worker holds its claim
+   * @param {ObjectId} jobId - Job
+   * @returns {object} - Query filter
+   */
+  claimed(jobId) {
+    return { _id: jobId, workerId: this.workerId, status: 'running' };
+  }
+
+  /**
+   * Run a claimed job and record how it ended; nothing is recorded once the claim is lost
+   * @param {object} job - Claimed job
+   * @returns {Promise<void>}
+   */
+  async run(job) {
+    console.log(`🔄 Running job ${job._id} (attempt ${job.attempts})...`);
+    try {
+      const result = await this.handler(
+        job,
+        (name, status) => this.reportStage(job._id, name, status),
+        (fields) => this.heartbeat(job._id, fields)
+      );
+      const now = new Date();
+      const update = await this.model.updateOne(this.claimed(job._id), {
+        $set: { ...result, status: 'completed', completedAt: now, updatedAt: now }
+      });
+      if (update.matchedCount === 0) {
+        console.warn(`⚠️ Job ${job._id} finished after another worker took it over; its result is not recorded`);
+        return;
+      }
+      console.log(`✅ Job ${job._id} completed`);
+    } catch (error) {
+      if (error.code === this.CLAIM_LOST) {
+        console.warn(`⚠️ Job ${job._id} stopped: ${error.message}`);
+        return;
+      }
+      console.error(`❌ Job ${job._id} failed:`, error.message);
+      const now = new Date();
+      // The stage that was running is the one that failed
+      await this.model.updateOne(this.claimed(job._id), {
+        $set: {
+          status: 'failed',
+          error: error.message,
+          completedAt: now,
+          updatedAt: now,
+          'stages.$[stage].status': 'failed',
+          'stages.$[stage].completedAt': now
+        },
+        ...this.discardUpdate()
+      }, { arrayFilters: [{ 'stage.status': 'running' }] });
+    }
+  }
+
+  /**
+   * Record a stage's progress; this also tells other workers the job is alive
+   * @param {ObjectId} jobId - Job
+   * @param {string} name - Stage name
+   * @param {string} status - 'running', 'completed', 'skipped' or 'failed'
+   * @returns {Promise<void>}
+   * @throws {Error} - JOB_CLAIM_LOST when another worker has taken the job over
+   */
+  async reportStage(jobId, name, status) {
+    const now = new Date();
+    const update = { 'stages.$[stage].status': status };
+    update[status === 'running' ? 'stages.$[stage].startedAt' : 'stages.$[stage].completedAt'] = now;
+    await this.heartbeat(jobId, update, { arrayFilters: [{ 'stage.name': name }] });
+  }
+
+  /**
+   * Tell other workers the job is alive, with any other fields to set
+   * @param {ObjectId} jobId - Job
+   * @param {object} fields - Fields to set with the heartbeat
+   * @param {object} options - Update options (e.g. arrayFilters)
+   * @returns {Promise<void>}
+   * @throws {Error} - JOB_CLAIM_LOST when another worker has taken the job over
+   */
+  async heartbeat(jobId, fields = {}, options = {}) {
+    const now = new Date();
+    const update = await this.model.updateOne(this.claimed(jobId), {
+      $set: { ...fields, lockedAt: now, updatedAt: now }
+    }, options);
+    if (update.matchedCount === 0) {
+      const error = new Error('Job was requeued or failed after it stopped reporting progress');
+      error.code = this.CLAIM_LOST;
+      throw error;
+    }
+  }
+}
+
+module.exports = JobQueue;
@@ -0,0 +1,47 @@
+// LLM Provider - What notes generation, language detection and subject detection ask of a language model
+// Providers (Gemini, OpenAI-compatible, local stub) extend this class; see LlmRegistry for choosing one
+
+class LlmProvider {
+  /**
+   * @param {string} name - Provider name as given in LLM_PROVIDER or a request
+   * @param {object} options - Provider options
+   * @param {string} options.model - Model name, reported with generated notes
+   * @param {string} options.systemInstruction - System instruction sent with every prompt
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.model = options.model;
+    this.systemInstruction = options.systemInstruction || '';
+  }
+
+  /**
+   * Generate text for a prompt
+   * @param {object} request - What to generate
+   * @param {string} request.task - 'notes', 'translate', 'merge', 'language' or 'subject'
+   * @param {string} request.prompt - Prompt for the model
+   * @param {string} request.input - Text the task is about, for providers that do not read prompts
+   * @param {Array<string>} request.subjects - Subjects to choose from (subject task)
+   * @param {Array<string>} request.sections - Notes on each section of long input, in order (merge task)
+   * @param {object} request.audioFile - Uploaded audio file { buffer, mimetype, originalname } to send with the prompt
+   * @param {object} request.generationConfig - { temperature, maxOutputTokens, topK, topP }
+   * @returns {Promise<string>} - Generated text
+   */
+  async generateText(request) {
+    throw new Error(`${this.name} provider does not implement generateText`);
+  }
+
+  /**
+   * Generate text for a prompt, passing it on as it is generated; providers without a streaming API
+   * pass on the whole text at once
+   * @param {object} request - What to generate (see generateText)
+   * @param {Function} onToken - Called with each piece of text as it arrives
+   * @returns {Promise<string>} - Generated text
+   */
+  async streamText(request, onToken) {
+    const text = await this.generateText(request);
+    await onToken(text);
+    return text;
+  }
+}
+
+module.exports = LlmProvider;
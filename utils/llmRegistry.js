@@ -0,0 +1,99 @@
+// LLM Provider Registry - Which language model notes are generated with
+// The deployment picks a default with LLM_PROVIDER (gemini, openai or stub); a request may name another
+// configured provider. Providers are created on first use from their environment variables
+
+const GeminiProvider = require('./geminiProvider');
+const OpenAiProvider = require('./openAiProvider');
+const StubProvider = require('./stubProvider');
+
+// Providers, the environment variables they need and how they are created
+const PROVIDERS = {
+  gemini: {
+    requires: 'GEMINI_API_KEY',
+    configured: (env) => Boolean(env.GEMINI_API_KEY),
+    create: (env, systemInstruction) => new GeminiProvider({
+      apiKey: env.GEMINI_API_KEY,
+      model: env.GEMINI_MODEL,
+      systemInstruction
+    })
+  },
+  openai: {
+    requires: 'OPENAI_API_KEY or OPENAI_BASE_URL',
+    configured: (env) => Boolean(env.OPENAI_API_KEY || env.OPENAI_BASE_URL),
+    create: (env, systemInstruction) => new OpenAiProvider({
+      apiKey: env.OPENAI_API_KEY,
+      baseURL: env.OPENAI_BASE_URL,
+      model: env.OPENAI_MODEL,
+      transcriptionModel: env.OPENAI_TRANSCRIPTION_MODEL,
+      systemInstruction
+    })
+  },
+  stub: {
+    requires: null,
+    configured: () => true,
+    create: (env, systemInstruction) => new StubProvider({ systemInstruction })
+  }
+};
+
+class LlmRegistry {
+  /**
+   * @param {object} options - Registry options
+   * @param {object} options.env - Environment variables (default: process.env)
+   * @param {string} options.systemInstruction - System instruction the providers send with every prompt
+   */
+  constructor(options = {}) {
+    this.env = options.env || process.env;
+    this.systemInstruction = options.systemInstruction || '';
+
+    // Provider used when a request does not name one
+    this.DEFAULT_PROVIDER = String(this.env.LLM_PROVIDER || 'gemini').toLowerCase();
+
+    // Providers by name, created on first use
+    this.providers = new Map();
+  }
+
+  /**
+   * Get a provider
+   * @param {string} name - Provider name (default: DEFAULT_PROVIDER)
+   * @returns {LlmProvider}
+   * @throws {Error} - UNKNOWN_LLM_PROVIDER, or LLM_PROVIDER_NOT_CONFIGURED when its environment variables are not set
+   */
+  get(name) {
+    const key = String(name || this.DEFAULT_PROVIDER).toLowerCase();
+    const definition = PROVIDERS[key];
+    if (!definition) {
+      this.reject('UNKNOWN_LLM_PROVIDER', `Unknown LLM provider "${key}". Must be one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    if (!definition.configured(this.env)) {
+      this.reject('LLM_PROVIDER_NOT_CONFIGURED', `LLM provider "${key}" is not configured. Set ${definition.requires}`);
+    }
+
+    if (!this.providers.has(key)) {
+      this.providers.set(key, definition.create(this.env, this.systemInstruction));
+    }
+    return this.providers.get(key);
+  }
+
+  /**
+   * Names of the providers that are configured
+   * @returns {string[]}
+   */
+  listAvailable() {
+    return Object.keys(PROVIDERS).filter(key => PROVIDERS[key].configured(this.env));
+  }
+
+  /**
+   * Throw a provider error
+   * @param {string} code - Error code
+   * @param {string} message - What was wrong
+   * @throws {Error}
+   */
+  reject(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    error.availableProviders = this.listAvailable();
+    throw error;
+  }
+}
+
+module.exports = LlmRegistry;
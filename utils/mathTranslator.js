@@ -0,0 +1,774 @@
+// Math Translator Utility - LaTeX formulas to UEB technical notation or Nemeth Code
+// Parses fractions, roots, superscripts/subscripts, limits, vectors, grouping, Greek letters and operators
+// into a small expression tree and writes it with the signs of the chosen code. Commands it does not know
+// are spelled out inside a transcriber's note, which the validator reports
+
+// Greek letter names and the Latin letter whose cell follows the Greek prefix
+const GREEK_LETTERS = {
+  alpha: 'a', beta: 'b', gamma: 'g', delta: 'd', epsilon: 'e', varepsilon: 'e', zeta: 'z',
+  eta: 'eta', theta: 'theta', vartheta: 'theta', iota: 'i', kappa: 'k', lambda: 'l', mu: 'm',
+  nu: 'n', xi: 'x', omicron: 'o', pi: 'p', rho: 'r', sigma: 's', tau: 't', upsilon: 'u',
+  phi: 'f', varphi: 'f', chi: 'chi', psi: 'y', omega: 'w'
+};
+
+// Greek letters written directly in Unicode
+const GREEK_CHARACTERS = 'αβγδεζηθικλμνξοπρστυφχψω';
+const GREEK_CHARACTER_NAMES = [
+  'alpha', 'beta', 'gamma', 'delta', 'epsilon', 'zeta', 'eta', 'theta', 'iota', 'kappa', 'lambda', 'mu',
+  'nu', 'xi', 'omicron', 'pi', 'rho', 'sigma', 'sigma', 'tau', 'upsilon', 'phi', 'chi', 'psi', 'omega'
+];
+
+// LaTeX commands that stand for a single symbol
+const SYMBOL_COMMANDS = {
+  times: '×', div: '÷', pm: '±', mp: '∓', cdot: '·', leq: '≤', le: '≤', geq: '≥', ge: '≥',
+  neq: '≠', ne: '≠', approx: '≈', infty: '∞', to: '→', rightarrow: '→', circ: '°', degree: '°',
+  int: '∫', sum: '∑', prod: '∏', partial: '∂', in: '∈', notin: '∉', subset: '⊂', supset: '⊃',
+  cup: '∪', cap: '∩', emptyset: '∅', varnothing: '∅',
+  '%': '%', '{': '{', '}': '}', '|': '|'
+};
+
+// Operators whose limits are written directly below and above them in Nemeth; UEB writes them as
+// subscripts and superscripts
+const LIMIT_OPERATORS = ['∑', '∏', 'lim'];
+
+// Commands that put an arrow over their argument
+const VECTOR_COMMANDS = ['vec', 'overrightarrow'];
+
+// Function names written as letters
+const FUNCTION_COMMANDS = ['sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'log', 'ln', 'exp', 'lim', 'max', 'min'];
+
+// Commands that only change how print looks
+const IGNORED_COMMANDS = ['left', 'right', 'displaystyle', ',', ';', ':', '!', ' ', 'quad', 'qquad'];
+
+// Commands whose argument is plain text
+const TEXT_COMMANDS = ['text', 'mathrm', 'textrm', 'mathit', 'mathbf', 'operatorname'];
+
+// Bare LaTeX in running text: a known command, a superscript or a subscript
+const BARE_COMMANDS = [...Object.keys(GREEK_LETTERS), ...Object.keys(SYMBOL_COMMANDS), ...FUNCTION_COMMANDS, ...VECTOR_COMMANDS, 'frac', 'dfrac', 'sqrt']
+  .filter(name => /^[a-z]+$/.test(name));
+const BARE_LATEX = new RegExp(`\\\\(${BARE_COMMANDS.join('|')})(?![a-zA-Z])|[A-Za-z0-9)}\\]]\\^[A-Za-z0-9{\\\\]|[A-Za-z]_(\\{|[A-Za-z0-9](?![A-Za-z0-9]))`);
+
+class MathTranslator {
+  /**
+   * @param {BrailleTable} table - Contraction table supplying letter and digit cells
+   */
+  constructor(table) {
+    this.LETTERS = table.letters;
+    this.DIGITS = table.digits;
+
+    // Greek letters whose cell is not the Latin letter of the same name
+    this.GREEK_CELLS = { eta: '⠱', theta: '⠹', chi: '⠯' };
+
+    // Signs written with a space either side
+    this.RELATIONS = new Set(['=', '<', '>', '≤', '≥', '≠', '≈', '→', '∈', '∉', '⊂', '⊃']);
+
+    // Transcriber's note indicators (the same in both codes), around commands spelled out untranslated
+    this.TRANSCRIBERS_NOTE = { OPEN: '⠈⠨⠣', CLOSE: '⠈⠨⠜' };
+
+    // --- UEB technical ---
+    this.UEB = {
+      NUMERIC: '⠼',
+      DECIMAL: '⠲',
+      CAPITAL: '⠠',
+      GREEK: '⠨',
+      GRADE1: '⠰',
+      GRADE1_WORD: '⠰⠰',
+      GRADE1_PASSAGE: '⠰⠰⠰',
+      GRADE1_TERMINATOR: '⠰⠄',
+      SUPERSCRIPT: '⠔',
+      SUBSCRIPT: '⠢',
+      GROUP_OPEN: '⠣',
+      GROUP_CLOSE: '⠜',
+      FRACTION_OPEN: '⠷',
+      FRACTION_LINE: '⠨⠌',
+      FRACTION_CLOSE: '⠾',
+      SIMPLE_FRACTION_LINE: '⠌',
+      RADICAL_OPEN: '⠩',
+      RADICAL_CLOSE: '⠬',
+      SYMBOLS: {
+        '+': '⠐⠖', '-': '⠐⠤', '−': '⠐⠤', '×': '⠐⠦', '÷': '⠐⠌', '·': '⠐⠲', '±': '⠸⠖', '∓': '⠸⠤',
+        '=': '⠐⠶', '<': '⠈⠣', '>': '⠈⠜', '≤': '⠸⠈⠣', '≥': '⠸⠈⠜', '≠': '⠐⠶⠈⠱', '≈': '⠘⠔',
+        '→': '⠳⠕', '∞': '⠼⠿', '°': '⠘⠚', '%': '⠨⠴', '/': '⠸⠌', '*': '⠐⠔', ',': '⠂', ':': '⠒',
+        '!': '⠖', '|': '⠸⠳', "'": '⠶', '(': '⠐⠣', ')': '⠐⠜', '[': '⠨⠣', ']': '⠨⠜', '{': '⠸⠣', '}': '⠸⠜',
+        '∫': '⠮', '∑': '⠠⠨⠎', '∏': '⠠⠨⠏', '∂': '⠈⠙', '∈': '⠘⠑', '∉': '⠘⠑⠈⠱', '⊂': '⠘⠣', '⊃': '⠘⠜',
+        '∪': '⠨⠖', '∩': '⠨⠦', '∅': '⠸⠴'
+      }
+    };
+
+    // --- Nemeth Code ---
+    this.NEMETH = {
+      OPEN: '⠸⠩',
+      CLOSE: '⠸⠱',
+      NUMERIC: '⠼',
+      DECIMAL: '⠨',
+      CAPITAL: '⠠',
+      GREEK: '⠨',
+      ENGLISH_LETTER: '⠰',
+      DIGITS: { '0': '⠴', '1': '⠂', '2': '⠆', '3': '⠒', '4': '⠲', '5': '⠢', '6': '⠖', '7': '⠶', '8': '⠦', '9': '⠔' },
+      SUPERSCRIPT: '⠘',
+      SUBSCRIPT: '⠰',
+      BASELINE: '⠐',
+      FRACTION_OPEN: '⠹',
+      FRACTION_LINE: '⠌',
+      FRACTION_CLOSE: '⠼',
+      COMPLEX_FRACTION: '⠠',
+      RADICAL: '⠜',
+      RADICAL_INDEX: '⠣',
+      RADICAL_CLOSE: '⠻',
+      // Modified expressions (five-step rule): multipurpose indicator, expression, directly under or
+      // over indicator, modifier, termination indicator
+      MODIFIED: '⠐',
+      DIRECTLY_UNDER: '⠩',
+      DIRECTLY_OVER: '⠣',
+      TERMINATION: '⠻',
+      SYMBOLS: {
+        '+': '⠬', '-': '⠤', '−': '⠤', '×': '⠈⠡', '÷': '⠨⠌', '·': '⠡', '±': '⠬⠤', '∓': '⠤⠬',
+        '=': '⠨⠅', '<': '⠐⠅', '>': '⠨⠂', '≤': '⠐⠅⠱', '≥': '⠨⠂⠱', '≠': '⠌⠨⠅', '≈': '⠈⠱⠈⠱',
+        '→': '⠫⠕', '∞': '⠠⠿', '°': '⠨⠡', '%': '⠈⠴', '/': '⠸⠌', '*': '⠈⠼', ',': '⠠', ':': '⠸⠒',
+        '!': '⠯', '|': '⠳', "'": '⠄', '(': '⠷', ')': '⠾', '[': '⠈⠷', ']': '⠈⠾', '{': '⠨⠷', '}': '⠨⠾',
+        '∫': '⠮', '∑': '⠨⠠⠎', '∏': '⠨⠠⠏', '∂': '⠈⠙', '∈': '⠈⠑', '∉': '⠌⠈⠑', '⊂': '⠸⠐⠅', '⊃': '⠸⠨⠂',
+        '∪': '⠨⠬', '∩': '⠨⠩', '∅': '⠸⠴'
+      }
+    };
+  }
+
+  /**
+   * Find math spans in a line of text: $...$, $$...$$, \(...\), \[...\] and bare LaTeX
+   * such as x^2, a_{n}, \frac{1}{2} or \sqrt{x}
+   * @param {string} text - Text to search
+   * @returns {Array<object>} - Spans { start, end, latex } in order
+   */
+  findSpans(text) {
+    const spans = [];
+    const delimited = /\$\$([^$]+)\$\$|\$(?=\S)([^$\n]*?\S)\$(?!\d)|\\\((.+?)\\\)|\\\[(.+?)\\\]/g;
+    let match;
+
+    while ((match = delimited.exec(text)) !== null) {
+      const latex = match[1] || match[2] || match[3] || match[4];
+      spans.push({ start: match.index, end: match.index + match[0].length, latex });
+    }
+
+    // Bare LaTeX is taken a whitespace-separated token at a time (spaces inside braces included)
+
+    let i = 0;
+    while (i < text.length) {
+      if (/\s/.test(text[i])) {
+        i++;
+        continue;
+      }
+
+      let end = i;
+      let depth = 0;
+      while (end < text.length && (depth > 0 || !/\s/.test(text[end]))) {
+        if (text[end] === '{') {
+          depth++;
+        } else if (text[end] === '}') {
+          depth = Math.max(0, depth - 1);
+        }
+        end++;
+      }
+
+      const inside = spans.some(span => i < span.end && end > span.start);
+      if (!inside && BARE_LATEX.test(text.slice(i, end))) {
+        // Sentence punctuation after a formula is not part of it
+        let tokenEnd = end;
+        while (tokenEnd > i && /[.,;:!?]/.test(text[tokenEnd - 1])) {
+          tokenEnd--;
+        }
+        spans.push(this.extendBareSpan(text, i, tokenEnd));
+      }
+      i = end;
+    }
+
+    // Extended bare spans can run into each other
+    const merged = [];
+    for (const span of spans.sort((a, b) => a.start - b.start)) {
+      const last = merged[merged.length - 1];
+      if (last && span.start < last.end) {
+        last.end = Math.max(last.end, span.end);
+        last.latex = text.slice(last.start, last.end);
+      } else {
+        merged.push(span);
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Widen a bare formula over simple operands joined to it by operators, so that
+   * "E = mc^2" is one formula rather than "E =" followed by "mc^2"
+   * @param {string} text - Text being searched
+   * @param {number} start - Start of the bare LaTeX token
+   * @param {number} end - End of the bare LaTeX token
+   * @returns {object} - Span { start, end, latex }
+   */
+  extendBareSpan(text, start, end) {
+    const operand = '(?:\\d+(?:\\.\\d+)?[A-Za-z]?|[A-Za-z])';
+    const before = text.slice(0, start).match(new RegExp(`(?:^|\\s)((?:${operand}\\s*[=+\\-<>]\\s*)+)$`));
+    const after = text.slice(end).match(new RegExp(`^(?:\\s*[=+\\-<>]\\s*${operand}(?![A-Za-z0-9]))+`));
+
+    const from = before ? start - before[1].length : start;
+    const to = after ? end + after[0].length : end;
+    return { start: from, end: to, latex: text.slice(from, to) };
+  }
+
+  /**
+   * Translate a LaTeX formula to Braille
+   * @param {string} latex - Formula without $ delimiters
+   * @param {string} notation - 'ueb' (UEB technical) or 'nemeth' (default: 'ueb')
+   * @returns {string} - Braille formula
+   */
+  translate(latex, notation = 'ueb') {
+    const nodes = this.parse(latex);
+
+    if (notation === 'nemeth') {
+      // A lone letter needs the English letter indicator
+      const body = nodes.length === 1 && nodes[0].type === 'letter'
+        ? this.NEMETH.ENGLISH_LETTER + this.toNemeth(nodes)
+        : this.toNemeth(nodes);
+      return `${this.NEMETH.OPEN} ${body} ${this.NEMETH.CLOSE}`;
+    }
+
+    const braille = this.toUeb(nodes).trim();
+    if (!this.hasLetters(nodes)) {
+      return braille;
+    }
+
+    // Letters in a formula are read in grade 1: a word indicator, or a passage over several words
+    return braille.includes(' ')
+      ? this.UEB.GRADE1_PASSAGE + braille + this.UEB.GRADE1_TERMINATOR
+      : this.UEB.GRADE1_WORD + braille;
+  }
+
+  /**
+   * Parse LaTeX into expression nodes
+   * @param {string} latex - Formula
+   * @returns {Array<object>} - Nodes: number, letter, greek, symbol, function, text, frac, sqrt, script,
+   *   limits, vector and unknown
+   */
+  parse(latex) {
+    return this.parseSequence(latex, 0, null).nodes;
+  }
+
+  /**
+   * Parse nodes until a closing character (or the end of the formula)
+   * @param {string} src - Formula
+   * @param {number} start - Position to start at
+   * @param {string|null} closer - '}' or ']' to stop at
+   * @returns {object} - { nodes, end } where end is just past the closer
+   */
+  parseSequence(src, start, closer) {
+    const nodes = [];
+    let i = start;
+
+    while (i < src.length) {
+      const char = src[i];
+
+      if (char === closer) {
+        return { nodes, end: i + 1 };
+      }
+
+      if (/\s/.test(char)) {
+        i++;
+        continue;
+      }
+
+      // A brace group outside an argument only groups for LaTeX
+      if (char === '{') {
+        const group = this.parseSequence(src, i + 1, '}');
+        nodes.push(...group.nodes);
+        i = group.end;
+        continue;
+      }
+
+      if (char === '^' || char === '_') {
+        const argument = this.parseArgument(src, i + 1);
+        const kind = char === '^' ? 'sup' : 'sub';
+        const previous = nodes[nodes.length - 1];
+        const slot = kind === 'sup' ? 'over' : 'under';
+        if (previous && previous.type === 'limits' && !previous[slot]) {
+          previous[slot] = argument.nodes;
+        } else if (previous && ['symbol', 'function'].includes(previous.type) && LIMIT_OPERATORS.includes(previous.value)) {
+          nodes[nodes.length - 1] = { type: 'limits', base: previous, under: null, over: null, [slot]: argument.nodes };
+        } else {
+          nodes.push({ type: 'script', kind, content: argument.nodes });
+        }
+        i = argument.end;
+        continue;
+      }
+
+      const number = src.slice(i).match(/^(\d+(\.\d+)?|\.\d+)/);
+      if (number) {
+        nodes.push({ type: 'number', value: number[0] });
+        i += number[0].length;
+        continue;
+      }
+
+      const item = this.parseItem(src, i);
+      if (item.node) {
+        nodes.push(item.node);
+      }
+      i = item.end;
+    }
+
+    return { nodes, end: i };
+  }
+
+  /**
+   * Parse a command argument: a brace group, a command or a single character
+   * @param {string} src - Formula
+   * @param {number} start - Position of the argument
+   * @returns {object} - { nodes, end }
+   */
+  parseArgument(src, start) {
+    let i = start;
+    while (i < src.length && /\s/.test(src[i])) {
+      i++;
+    }
+
+    if (src[i] === '{') {
+      return this.parseSequence(src, i + 1, '}');
+    }
+    if (/\d/.test(src[i] || '')) {
+      return { nodes: [{ type: 'number', value: src[i] }], end: i + 1 };
+    }
+
+    const item = this.parseItem(src, i);
+    return { nodes: item.node ? [item.node] : [], end: item.end };
+  }
+
+  /**
+   * Parse a single letter, symbol or command
+   * @param {string} src - Formula
+   * @param {number} start - Position of the item
+   * @returns {object} - { node, end } where node is null for print-only commands
+   */
+  parseItem(src, start) {
+    const char = src[start];
+
+    if (char === undefined) {
+      return { node: null, end: start };
+    }
+
+    if (char === '\\') {
+      const name = (src.slice(start + 1).match(/^([a-zA-Z]+|.)/) || ['', ''])[1];
+      let end = start + 1 + name.length;
+
+      if (name === 'frac' || name === 'dfrac' || name === 'tfrac') {
+        const numerator = this.parseArgument(src, end);
+        const denominator = this.parseArgument(src, numerator.end);
+        return { node: { type: 'frac', num: numerator.nodes, den: denominator.nodes }, end: denominator.end };
+      }
+
+      if (name === 'sqrt') {
+        let index = null;
+        if (src[end] === '[') {
+          const parsed = this.parseSequence(src, end + 1, ']');
+          index = parsed.nodes;
+          end = parsed.end;
+        }
+        const radicand = this.parseArgument(src, end);
+        return { node: { type: 'sqrt', index, radicand: radicand.nodes }, end: radicand.end };
+      }
+
+      if (VECTOR_COMMANDS.includes(name)) {
+        const argument = this.parseArgument(src, end);
+        return { node: { type: 'vector', content: argument.nodes }, end: argument.end };
+      }
+
+      if (TEXT_COMMANDS.includes(name)) {
+        const open = src.indexOf('{', end);
+        const close = open === -1 ? -1 : src.indexOf('}', open);
+        if (open !== -1 && close !== -1) {
+          return { node: { type: 'text', value: src.slice(open + 1, close) }, end: close + 1 };
+        }
+      }
+
+      const greek = GREEK_LETTERS[name.toLowerCase()];
+      if (greek) {
+        return { node: { type: 'greek', letter: greek, capital: name[0] !== name[0].toLowerCase() }, end };
+      }
+      if (SYMBOL_COMMANDS[name]) {
+        return { node: { type: 'symbol', value: SYMBOL_COMMANDS[name] }, end };
+      }
+      if (FUNCTION_COMMANDS.includes(name)) {
+        return { node: { type: 'function', value: name }, end };
+      }
+      if (IGNORED_COMMANDS.includes(name)) {
+        return { node: null, end };
+      }
+
+      // Unknown commands are spelled out by name in a transcriber's note
+      return { node: { type: 'unknown', value: name }, end };
+    }
+
+    if (/[a-zA-Z]/.test(char)) {
+      return { node: { type: 'letter', value: char }, end: start + 1 };
+    }
+
+    const greekIndex = GREEK_CHARACTERS.indexOf(char.toLowerCase());
+    if (greekIndex !== -1) {
+      const letter = GREEK_LETTERS[GREEK_CHARACTER_NAMES[greekIndex]];
+      return { node: { type: 'greek', letter, capital: char !== char.toLowerCase() }, end: start + 1 };
+    }
+
+    if (this.UEB.SYMBOLS[char]) {
+      return { node: { type: 'symbol', value: char }, end: start + 1 };
+    }
+
+    // Anything else has no meaning in the formula
+    return { node: null, end: start + 1 };
+  }
+
+  /**
+   * Write expression nodes in UEB technical notation
+   * @param {Array<object>} nodes - Parsed nodes
+   * @returns {string} - Braille
+   */
+  toUeb(nodes) {
+    const ueb = this.UEB;
+    let result = '';
+    let inNumber = false;
+
+    const writeLetter = (letter) => {
+      // After a number, a-j would read as digits, so numeric mode is ended with a grade 1 indicator
+      if (inNumber && /[a-j]/i.test(letter)) {
+        result += ueb.GRADE1;
+      }
+      result += (letter !== letter.toLowerCase() ? ueb.CAPITAL : '') + this.LETTERS[letter.toLowerCase()];
+      inNumber = false;
+    };
+
+    nodes.forEach((node, index) => {
+      switch (node.type) {
+        case 'number':
+          result += (inNumber ? '' : ueb.NUMERIC) + this.numberCells(node.value, this.DIGITS, ueb.DECIMAL);
+          inNumber = true;
+          break;
+
+        case 'letter':
+          writeLetter(node.value);
+          break;
+
+        case 'function':
+          Array.from(node.value).forEach(writeLetter);
+          if (['letter', 'number', 'greek'].includes((nodes[index + 1] || {}).type)) {
+            result += ' ';
+          }
+          break;
+
+        case 'text':
+          for (const char of node.value) {
+            if (/[a-zA-Z]/.test(char)) {
+              writeLetter(char);
+            } else if (/\s/.test(char)) {
+              result += ' ';
+              inNumber = false;
+            } else if (/\d/.test(char)) {
+              result += (inNumber ? '' : ueb.NUMERIC) + this.DIGITS[char];
+              inNumber = true;
+            }
+          }
+          break;
+
+        case 'greek':
+          result += (node.capital ? ueb.CAPITAL : '') + ueb.GREEK + this.greekCell(node.letter);
+          inNumber = false;
+          break;
+
+        case 'symbol':
+          if (this.RELATIONS.has(node.value)) {
+            result = result.replace(/ $/, '') + ' ' + ueb.SYMBOLS[node.value] + ' ';
+          } else {
+            result += ueb.SYMBOLS[node.value];
+          }
+          inNumber = false;
+          break;
+
+        case 'frac':
+          // Digits over digits is a simple numeric fraction (⠼⠁⠌⠃); anything else is a general fraction
+          if (this.isSimpleNumber(node.num) && this.isSimpleNumber(node.den)) {
+            result += (inNumber ? '' : ueb.NUMERIC) + this.numberCells(node.num[0].value, this.DIGITS) +
+              ueb.SIMPLE_FRACTION_LINE + this.numberCells(node.den[0].value, this.DIGITS);
+            inNumber = true;
+          } else {
+            result += ueb.FRACTION_OPEN + this.toUeb(node.num) + ueb.FRACTION_LINE + this.toUeb(node.den) + ueb.FRACTION_CLOSE;
+            inNumber = false;
+          }
+          break;
+
+        case 'limits':
+          result += this.toUeb([node.base]) +
+            (node.under ? ueb.SUBSCRIPT + this.uebItem(node.under) : '') +
+            (node.over ? ueb.SUPERSCRIPT + this.uebItem(node.over) : '');
+          if (node.base.type === 'function' && ['letter', 'number', 'greek'].includes((nodes[index + 1] || {}).type)) {
+            result += ' ';
+          }
+          inNumber = false;
+          break;
+
+        case 'vector':
+          // The arrow over the item is written as a superscript
+          result += this.uebItem(node.content) + ueb.SUPERSCRIPT + ueb.SYMBOLS['→'];
+          inNumber = false;
+          break;
+
+        case 'unknown':
+          result += this.TRANSCRIBERS_NOTE.OPEN;
+          inNumber = false;
+          Array.from(node.value).filter(char => /[a-zA-Z]/.test(char)).forEach(writeLetter);
+          result += this.TRANSCRIBERS_NOTE.CLOSE;
+          break;
+
+        case 'sqrt':
+          result += ueb.RADICAL_OPEN +
+            (node.index ? ueb.SUPERSCRIPT + this.uebItem(node.index) : '') +
+            this.toUeb(node.radicand) + ueb.RADICAL_CLOSE;
+          inNumber = false;
+          break;
+
+        case 'script':
+          // A raised degree sign is simply the degree sign
+          if (node.kind === 'sup' && node.content.length === 1 && node.content[0].value === '°') {
+            result += ueb.SYMBOLS['°'];
+            inNumber = false;
+            break;
+          }
+          result += (node.kind === 'sup' ? ueb.SUPERSCRIPT : ueb.SUBSCRIPT) + this.uebItem(node.content);
+          // An ungrouped number keeps numeric mode going
+          inNumber = node.content.length === 1 && node.content[0].type === 'number';
+          break;
+
+        default:
+          break;
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Write a UEB item, grouped unless it is a single number, letter or Greek letter
+   * @param {Array<object>} nodes - Nodes of the item
+   * @returns {string} - Braille
+   */
+  uebItem(nodes) {
+    const single = nodes.length === 1 && ['number', 'letter', 'greek'].includes(nodes[0].type);
+    return single ? this.toUeb(nodes) : this.UEB.GROUP_OPEN + this.toUeb(nodes) + this.UEB.GROUP_CLOSE;
+  }
+
+  /**
+   * Write expression nodes in Nemeth Code
+   * @param {Array<object>} nodes - Parsed nodes
+   * @param {string[]} level - Script level as a path of 'sup'/'sub' (default: baseline)
+   * @param {boolean} atEnd - Whether nothing follows these nodes on their level
+   * @returns {string} - Braille
+   */
+  toNemeth(nodes, level = [], atEnd = true) {
+    const nemeth = this.NEMETH;
+    let result = '';
+    // The numeric indicator is used after a space (and at the start of the formula)
+    let afterSpace = level.length === 0 && atEnd;
+
+    nodes.forEach((node, index) => {
+      switch (node.type) {
+        case 'number':
+          result += (afterSpace ? nemeth.NUMERIC : '') + this.numberCells(node.value, nemeth.DIGITS, nemeth.DECIMAL);
+          afterSpace = false;
+          break;
+
+        case 'letter':
+          result += (node.value !== node.value.toLowerCase() ? nemeth.CAPITAL : '') + this.LETTERS[node.value.toLowerCase()];
+          afterSpace = false;
+          break;
+
+        case 'function':
+        case 'text':
+          for (const char of node.value) {
+            if (/[a-zA-Z]/.test(char)) {
+              result += (char !== char.toLowerCase() ? nemeth.CAPITAL : '') + this.LETTERS[char.toLowerCase()];
+            } else if (/\d/.test(char)) {
+              result += nemeth.DIGITS[char];
+            } else if (/\s/.test(char)) {
+              result += ' ';
+            }
+          }
+          if (node.type === 'function' && ['letter', 'number', 'greek'].includes((nodes[index + 1] || {}).type)) {
+            result += ' ';
+          }
+          afterSpace = false;
+          break;
+
+        case 'greek':
+          result += nemeth.GREEK + (node.capital ? nemeth.CAPITAL : '') + this.greekCell(node.letter);
+          afterSpace = false;
+          break;
+
+        case 'symbol':
+          if (this.RELATIONS.has(node.value)) {
+            result = result.replace(/ $/, '') + ' ' + nemeth.SYMBOLS[node.value] + ' ';
+            afterSpace = true;
+          } else {
+            result += nemeth.SYMBOLS[node.value];
+            // A minus sign before a number keeps the numeric indicator
+            afterSpace = afterSpace && (node.value === '-' || node.value === '−');
+          }
+          break;
+
+        case 'frac': {
+          const prefix = this.hasFraction(node.num) || this.hasFraction(node.den) ? nemeth.COMPLEX_FRACTION : '';
+          result += prefix + nemeth.FRACTION_OPEN + this.toNemeth(node.num, level, false) +
+            prefix + nemeth.FRACTION_LINE + this.toNemeth(node.den, level, false) +
+            prefix + nemeth.FRACTION_CLOSE;
+          afterSpace = false;
+          break;
+        }
+
+        case 'limits':
+          result += nemeth.MODIFIED + this.toNemeth([node.base], level, false) +
+            (node.under ? nemeth.DIRECTLY_UNDER + this.toNemeth(node.under, level, false) : '') +
+            (node.over ? nemeth.DIRECTLY_OVER + this.toNemeth(node.over, level, false) : '') +
+            nemeth.TERMINATION;
+          if (node.base.type === 'function' && ['letter', 'number', 'greek'].includes((nodes[index + 1] || {}).type)) {
+            result += ' ';
+          }
+          afterSpace = false;
+          break;
+
+        case 'vector':
+          result += nemeth.MODIFIED + this.toNemeth(node.content, level, false) +
+            nemeth.DIRECTLY_OVER + nemeth.SYMBOLS['→'] + nemeth.TERMINATION;
+          afterSpace = false;
+          break;
+
+        case 'unknown':
+          result += this.TRANSCRIBERS_NOTE.OPEN;
+          for (const char of node.value) {
+            if (/[a-zA-Z]/.test(char)) {
+              result += (char !== char.toLowerCase() ? nemeth.CAPITAL : '') + this.LETTERS[char.toLowerCase()];
+            }
+          }
+          result += this.TRANSCRIBERS_NOTE.CLOSE;
+          afterSpace = false;
+          break;
+
+        case 'sqrt':
+          result += (node.index ? nemeth.RADICAL_INDEX + this.toNemeth(node.index, level, false) : '') +
+            nemeth.RADICAL + this.toNemeth(node.radicand, level, false) + nemeth.RADICAL_CLOSE;
+          afterSpace = false;
+          break;
+
+        case 'script': {
+          const previous = nodes[index - 1];
+          // A numeric subscript on a letter at the baseline needs no level indicators (x₁ is ⠭⠂)
+          if (node.kind === 'sub' && level.length === 0 && previous && previous.type === 'letter' &&
+              node.content.length === 1 && node.content[0].type === 'number' && !node.content[0].value.includes('.')) {
+            result += this.numberCells(node.content[0].value, nemeth.DIGITS);
+            afterSpace = false;
+            break;
+          }
+
+          const inner = [...level, node.kind];
+          result += this.levelIndicator(inner) + this.toNemeth(node.content, inner, true);
+
+          // Return to this level before whatever follows on it (not before a space or another script)
+          const next = nodes[index + 1];
+          const returns = next
+            ? next.type !== 'script' && !(next.type === 'symbol' && this.RELATIONS.has(next.value))
+            : !atEnd;
+          if (returns) {
+            result += this.levelIndicator(level);
+          }
+          afterSpace = false;
+          break;
+        }
+
+        default:
+          break;
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Nemeth level indicator for a script level (⠘ superscript, ⠰ subscript, ⠐ baseline)
+   * @param {string[]} level - Level as a path of 'sup'/'sub'
+   * @returns {string}
+   */
+  levelIndicator(level) {
+    if (level.length === 0) {
+      return this.NEMETH.BASELINE;
+    }
+    return level.map(kind => (kind === 'sup' ? this.NEMETH.SUPERSCRIPT : this.NEMETH.SUBSCRIPT)).join('');
+  }
+
+  /**
+   * Digits (and decimal point) of a number
+   * @param {string} value - Number as written
+   * @param {object} digits - Digit cells
+   * @param {string} decimal - Decimal point cell
+   * @returns {string}
+   */
+  numberCells(value, digits, decimal = '') {
+    return Array.from(value, char => (char === '.' ? decimal : digits[char])).join('');
+  }
+
+  /**
+   * Cell that follows the Greek prefix for a letter
+   * @param {string} letter - Latin letter or name from GREEK_LETTERS
+   * @returns {string}
+   */
+  greekCell(letter) {
+    return this.GREEK_CELLS[letter] || this.LETTERS[letter];
+  }
+
+  /**
+   * Check if nodes are a single whole number
+   * @param {Array<object>} nodes - Nodes to check
+   * @returns {boolean}
+   */
+  isSimpleNumber(nodes) {
+    return nodes.length === 1 && nodes[0].type === 'number' && !nodes[0].value.includes('.');
+  }
+
+  /**
+   * Check if nodes contain a fraction at their own level
+   * @param {Array<object>} nodes - Nodes to check
+   * @returns {boolean}
+   */
+  hasFraction(nodes) {
+    return nodes.some(node => node.type === 'frac');
+  }
+
+  /**
+   * Check if a formula contains Latin letters anywhere (they need grade 1 in UEB)
+   * @param {Array<object>} nodes - Nodes to check
+   * @returns {boolean}
+   */
+  hasLetters(nodes) {
+    return nodes.some(node => {
+      switch (node.type) {
+        case 'letter':
+        case 'function':
+        case 'unknown':
+          return true;
+        case 'text':
+          return /[a-zA-Z]/.test(node.value);
+        case 'frac':
+          return this.hasLetters(node.num) || this.hasLetters(node.den);
+        case 'sqrt':
+          return this.hasLetters(node.radicand) || Boolean(node.index && this.hasLetters(node.index));
+        case 'script':
+        case 'vector':
+          return this.hasLetters(node.content);
+        case 'limits':
+          return this.hasLetters([node.base]) || [node.under, node.over].some(nodes => Boolean(nodes && this.hasLetters(nodes)));
+        default:
+          return false;
+      }
+    });
+  }
+}
+
+module.exports = MathTranslator;
@@ -0,0 +1,389 @@
+// Notes Parser Utility - Reads markdown notes into a document tree for Braille transcription
+// Headings, nested lists, block quotes, code blocks and tables become nodes; inline text becomes runs
+// carrying the typeforms (bold, italic, underline), code spans and URLs that apply to it
+
+const markdownIt = require('markdown-it');
+
+// Inline HTML tags that set a typeform
+const HTML_TYPEFORMS = {
+  u: 'underline', ins: 'underline', b: 'bold', strong: 'bold', i: 'italic', em: 'italic'
+};
+
+// Placeholders standing in for formulas while the markdown is parsed (Private Use Area)
+const PLACEHOLDER_BASE = 0xF0000;
+
+// Inline code spans: a run of backticks up to the next run of the same length
+const CODE_SPAN = /(`+)[^`][\s\S]*?(?<!`)\1(?!`)/g;
+
+// URLs and e-mail addresses in text; trailing punctuation belongs to the sentence
+const URL_PATTERN = /\b(?:(?:https?|ftp):\/\/|www\.)[^\s<>"]*[^\s<>".,;:!?)\]}'"]|[\w.+-]+@[\w-]+(?:\.[\w-]+)+/gi;
+
+// Line prefixes (list markers, heading markers, block quote markers) that are never part of a formula
+const BLOCK_PREFIX = /^(\s*(?:[-*+]\s+|\d+[.)]\s+|#{1,6}\s+|>\s*)*)/;
+
+class NotesParser {
+  /**
+   * @param {MathTranslator} math - Finds formulas, which are kept out of markdown parsing (optional)
+   */
+  constructor(math = null) {
+    this.math = math;
+    this.markdown = markdownIt({ html: true });
+  }
+
+  /**
+   * Parse markdown notes into block nodes
+   * @param {string} notes - Markdown notes; a line holding only form feeds marks a print page break
+   * @returns {Array<object>} - Nodes { type, ... } where type is 'heading' (level, inline),
+   *   'paragraph' (inline), 'list' (ordered, items [{ marker, children }]), 'blockquote' (children),
+   *   'code' (language, text), 'table' (header, rows, align), 'rule' or 'printPageBreak'
+   */
+  parse(notes) {
+    if (!notes || typeof notes !== 'string') {
+      return [];
+    }
+
+    const nodes = [];
+    const pages = notes.split(/^[ \t]*\f[\f \t]*$/m);
+
+    pages.forEach((page, index) => {
+      if (index > 0) {
+        nodes.push({ type: 'printPageBreak' });
+      }
+      const { source, formulas } = this.protectFormulas(page);
+      const tokens = this.markdown.parse(source, {});
+      nodes.push(...this.readBlocks(tokens, 0, tokens.length, formulas));
+    });
+
+    return nodes;
+  }
+
+  /**
+   * Plain text of inline runs
+   * @param {Array<object>} inline - Runs { text, bold, italic, underline, code, url }
+   * @returns {string}
+   */
+  plainText(inline) {
+    return (inline || []).map(run => run.text).join('');
+  }
+
+  /**
+   * Replace formulas with placeholders so markdown escapes and emphasis do not touch them
+   * @param {string} text - Markdown source
+   * @returns {object} - { source, formulas } with the formulas in placeholder order
+   */
+  protectFormulas(text) {
+    const formulas = [];
+    if (!this.math) {
+      return { source: text, formulas };
+    }
+
+    let fence = null;
+    const lines = text.split('\n').map(line => {
+      const marker = line.match(/^\s*(`{3,}|~{3,})/);
+      if (marker && (!fence || marker[1].startsWith(fence))) {
+        fence = fence ? null : marker[1];
+        return line;
+      }
+      if (fence) {
+        return line;
+      }
+
+      // Formulas are looked for between code spans, which are left as they are
+      const prefix = line.match(BLOCK_PREFIX)[1];
+      const body = line.slice(prefix.length);
+      const protect = (part) => {
+        let result = '';
+        let position = 0;
+        for (const span of this.math.findSpans(part)) {
+          result += part.slice(position, span.start) + String.fromCodePoint(PLACEHOLDER_BASE + formulas.length);
+          formulas.push(part.slice(span.start, span.end));
+          position = span.end;
+        }
+        return result + part.slice(position);
+      };
+      let result = '';
+      let position = 0;
+      for (const match of body.matchAll(CODE_SPAN)) {
+        result += protect(body.slice(position, match.index)) + match[0];
+        position = match.index + match[0].length;
+      }
+      return prefix + result + protect(body.slice(position));
+    });
+
+    return { source: lines.join('\n'), formulas };
+  }
+
+  /**
+   * Put formulas back in place of their placeholders
+   * @param {string} text - Text with placeholders
+   * @param {string[]} formulas - Formulas in placeholder order
+   * @returns {string}
+   */
+  restoreFormulas(text, formulas) {
+    if (!formulas.length) {
+      return text;
+    }
+    return text.replace(/[\u{F0000}-\u{FFFFD}]/gu, char => formulas[char.codePointAt(0) - PLACEHOLDER_BASE] || '');
+  }
+
+  /**
+   * Read block tokens between start and end into nodes
+   * @param {Array<object>} tokens - markdown-it block tokens
+   * @param {number} start - First token
+   * @param {number} end - Token after the last
+   * @param {string[]} formulas - Protected formulas
+   * @returns {Array<object>} - Nodes
+   */
+  readBlocks(tokens, start, end, formulas) {
+    const nodes = [];
+    let i = start;
+
+    while (i < end) {
+      const token = tokens[i];
+
+      switch (token.type) {
+        case 'heading_open':
+          nodes.push({
+            type: 'heading',
+            level: Number(token.tag.slice(1)),
+            inline: this.readInline(tokens[i + 1], formulas)
+          });
+          i = this.findClose(tokens, i) + 1;
+          break;
+
+        case 'paragraph_open':
+          nodes.push({ type: 'paragraph', inline: this.readInline(tokens[i + 1], formulas) });
+          i = this.findClose(tokens, i) + 1;
+          break;
+
+        case 'bullet_list_open':
+        case 'ordered_list_open': {
+          const close = this.findClose(tokens, i);
+          nodes.push({
+            type: 'list',
+            ordered: token.type === 'ordered_list_open',
+            items: this.readListItems(tokens, i + 1, close, formulas)
+          });
+          i = close + 1;
+          break;
+        }
+
+        case 'blockquote_open': {
+          const close = this.findClose(tokens, i);
+          nodes.push({ type: 'blockquote', children: this.readBlocks(tokens, i + 1, close, formulas) });
+          i = close + 1;
+          break;
+        }
+
+        case 'fence':
+        case 'code_block':
+          nodes.push({
+            type: 'code',
+            language: (token.info || '').trim().split(/\s+/)[0],
+            text: token.content.replace(/\n$/, '')
+          });
+          i++;
+          break;
+
+        case 'table_open': {
+          const close = this.findClose(tokens, i);
+          nodes.push(this.readTable(tokens, i + 1, close, formulas));
+          i = close + 1;
+          break;
+        }
+
+        case 'hr':
+          nodes.push({ type: 'rule' });
+          i++;
+          break;
+
+        case 'html_block': {
+          const text = this.restoreFormulas(token.content.replace(/<[^>]*>/g, ' '), formulas).replace(/\s+/g, ' ').trim();
+          if (text) {
+            nodes.push({ type: 'paragraph', inline: [{ text }] });
+          }
+          i++;
+          break;
+        }
+
+        default:
+          i++;
+      }
+    }
+
+    return nodes;
+  }
+
+  /**
+   * Read the items of a list
+   * @param {Array<object>} tokens - markdown-it block tokens
+   * @param {number} start - First token inside the list
+   * @param {number} end - The list's closing token
+   * @param {string[]} formulas - Protected formulas
+   * @returns {Array<object>} - Items { marker, children }; marker is '1.' style for ordered lists, null for bullets
+   */
+  readListItems(tokens, start, end, formulas) {
+    const items = [];
+    let i = start;
+
+    while (i < end) {
+      if (tokens[i].type !== 'list_item_open') {
+        i++;
+        continue;
+      }
+      const close = this.findClose(tokens, i);
+      items.push({
+        marker: tokens[i].info ? tokens[i].info + tokens[i].markup : null,
+        children: this.readBlocks(tokens, i + 1, close, formulas)
+      });
+      i = close + 1;
+    }
+
+    return items;
+  }
+
+  /**
+   * Read a table's header row, body rows and column alignment
+   * @param {Array<object>} tokens - markdown-it block tokens
+   * @param {number} start - First token inside the table
+   * @param {number} end - The table's closing token
+   * @param {string[]} formulas - Protected formulas
+   * @returns {object} - Table node { type, header, rows, align } with inline runs for each cell;
+   *   align holds 'left', 'center' or 'right' for each column
+   */
+  readTable(tokens, start, end, formulas) {
+    const table = { type: 'table', header: [], rows: [], align: [] };
+    let row = null;
+
+    for (let i = start; i < end; i++) {
+      const token = tokens[i];
+      if (token.type === 'tr_open') {
+        row = [];
+      } else if (token.type === 'th_open' || token.type === 'td_open') {
+        row.push(this.readInline(tokens[i + 1], formulas));
+        if (token.type === 'th_open') {
+          const style = token.attrGet('style') || '';
+          const align = style.match(/text-align:\s*(left|center|right)/);
+          table.align.push(align ? align[1] : 'left');
+        }
+      } else if (token.type === 'tr_close') {
+        if (table.header.length) {
+          table.rows.push(row);
+        } else {
+          table.header = row;
+        }
+      }
+    }
+
+    return table;
+  }
+
+  /**
+   * Find the token closing the one at index (same nesting level)
+   * @param {Array<object>} tokens - markdown-it block tokens
+   * @param {number} index - Opening token
+   * @returns {number}
+   */
+  findClose(tokens, index) {
+    const { level } = tokens[index];
+    const closeType = tokens[index].type.replace(/_open$/, '_close');
+    let i = index + 1;
+    while (i < tokens.length && !(tokens[i].type === closeType && tokens[i].level === level)) {
+      i++;
+    }
+    return i;
+  }
+
+  /**
+   * Read an inline token into runs of text with the same typeforms
+   * @param {object} token - markdown-it inline token
+   * @param {string[]} formulas - Protected formulas
+   * @returns {Array<object>} - Runs { text, bold, italic, underline, code, url }
+   */
+  readInline(token, formulas) {
+    const runs = [];
+    const depth = { bold: 0, italic: 0, underline: 0 };
+
+    const add = (text, code, url) => {
+      const run = {
+        text,
+        bold: depth.bold > 0,
+        italic: depth.italic > 0,
+        underline: depth.underline > 0,
+        code,
+        url
+      };
+      const last = runs[runs.length - 1];
+      if (last && ['bold', 'italic', 'underline', 'code', 'url'].every(key => last[key] === run[key])) {
+        last.text += run.text;
+      } else {
+        runs.push(run);
+      }
+    };
+    // URLs in text get runs of their own
+    const push = (text, code = false) => {
+      if (!text) {
+        return;
+      }
+      const restored = this.restoreFormulas(text, formulas);
+      let position = 0;
+      for (const match of code ? [] : restored.matchAll(URL_PATTERN)) {
+        if (match.index > position) {
+          add(restored.slice(position, match.index), false, false);
+        }
+        add(match[0], false, true);
+        position = match.index + match[0].length;
+      }
+      if (position < restored.length) {
+        add(restored.slice(position), code, false);
+      }
+    };
+
+    for (const child of (token && token.children) || []) {
+      switch (child.type) {
+        case 'text':
+          push(child.content);
+          break;
+        case 'softbreak':
+        case 'hardbreak':
+          push(' ');
+          break;
+        case 'code_inline':
+          push(child.content, true);
+          break;
+        case 'strong_open':
+          depth.bold++;
+          break;
+        case 'strong_close':
+          depth.bold--;
+          break;
+        case 'em_open':
+          depth.italic++;
+          break;
+        case 'em_close':
+          depth.italic--;
+          break;
+        case 'html_inline': {
+          const tag = child.content.match(/^<(\/?)([a-z]+)/i);
+          const typeform = tag && HTML_TYPEFORMS[tag[2].toLowerCase()];
+          if (typeform) {
+            depth[typeform] = Math.max(0, depth[typeform] + (tag[1] ? -1 : 1));
+          } else if (tag && tag[2].toLowerCase() === 'br') {
+            push(' ');
+          }
+          break;
+        }
+        case 'image':
+          push(child.content);
+          break;
+        default:
+          // Link and strikethrough markers carry no typeform; their text arrives as text tokens
+          break;
+      }
+    }
+
+    return runs;
+  }
+}
+
+module.exports = NotesParser;
@@ -0,0 +1,99 @@
+// OpenAI Provider - Generates text with OpenAI or any server with an OpenAI-compatible chat API
+// Chat models do not take audio files, so audio is transcribed first and the transcript added to the prompt
+
+const { OpenAI, toFile } = require('openai');
+const LlmProvider = require('./llmProvider');
+
+class OpenAiProvider extends LlmProvider {
+  /**
+   * @param {object} options - Provider options
+   * @param {string} options.apiKey - API key (compatible servers on a baseURL may not need one)
+   * @param {string} options.baseURL - API address of a compatible server (default: OpenAI)
+   * @param {string} options.model - Chat model (default: 'gpt-4o-mini')
+   * @param {string} options.transcriptionModel - Model audio is transcribed with (default: 'whisper-1')
+   * @param {string} options.systemInstruction - System instruction sent with every prompt
+   */
+  constructor(options = {}) {
+    super('openai', { ...options, model: options.model || 'gpt-4o-mini' });
+    this.transcriptionModel = options.transcriptionModel || 'whisper-1';
+    this.client = new OpenAI({
+      apiKey: options.apiKey || 'not-needed',
+      baseURL: options.baseURL || undefined
+    });
+  }
+
+  /**
+   * Generate text for a prompt (see LlmProvider#generateText)
+   * @param {object} request - { prompt, audioFile, generationConfig }
+   * @returns {Promise<string>}
+   */
+  async generateText(request) {
+    const completion = await this.client.chat.completions.create(await this.buildCompletion(request));
+    return completion.choices[0]?.message?.content || '';
+  }
+
+  /**
+   * Generate text for a prompt as a stream (see LlmProvider#streamText)
+   * @param {object} request - { prompt, audioFile, generationConfig }
+   * @param {Function} onToken - Called with each token of text
+   * @returns {Promise<string>}
+   */
+  async streamText(request, onToken) {
+    const stream = await this.client.chat.completions.create({
+      ...(await this.buildCompletion(request)),
+      stream: true
+    });
+    let text = '';
+    for await (const chunk of stream) {
+      const piece = chunk.choices[0]?.delta?.content;
+      if (piece) {
+        text += piece;
+        await onToken(piece);
+      }
+    }
+    return text;
+  }
+
+  /**
+   * Build the chat completion request for a prompt, transcribing any audio file into it
+   * @param {object} request - { prompt, audioFile, generationConfig }
+   * @returns {Promise<object>} - Chat completion request
+   */
+  async buildCompletion(request) {
+    let prompt = request.prompt;
+    if (request.audioFile) {
+      const transcript = await this.transcribe(request.audioFile);
+      prompt += `\n\nTranscript of ${request.audioFile.originalname}:\n"${transcript}"`;
+    }
+
+    const config = request.generationConfig || {};
+    const messages = [{ role: 'user', content: prompt }];
+    if (this.systemInstruction) {
+      messages.unshift({ role: 'system', content: this.systemInstruction });
+    }
+    // Chat completions have no top-k sampling
+    return {
+      model: this.model,
+      messages,
+      temperature: config.temperature,
+      top_p: config.topP,
+      max_tokens: config.maxOutputTokens
+    };
+  }
+
+  /**
+   * Transcribe an uploaded audio file
+   * @param {object} audioFile - { buffer, mimetype, originalname }
+   * @returns {Promise<string>} - Transcript
+   */
+  async transcribe(audioFile) {
+    const file = await toFile(audioFile.buffer, audioFile.originalname || 'audio', { type: audioFile.mimetype });
+    const transcription = await this.client.audio.transcriptions.create({
+      file,
+      model: this.transcriptionModel
+    });
+    return transcription.text;
+  }
+}
+
+module.exports = OpenAiProvider;
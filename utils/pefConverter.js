@@ -0,0 +1,91 @@
+// PEF Converter Utility - Portable Embosser Format (PEF 2008-1)
+// Writes paginated Braille as XML volumes, sections, pages and rows with Dublin Core metadata
+
+class PefConverter {
+  constructor() {
+    this.PEF_VERSION = '2008-1';
+    this.PEF_NAMESPACE = 'http://www.daisy.org/ns/2008/pef';
+    this.DC_NAMESPACE = 'http://purl.org/dc/elements/1.1/';
+    this.MEDIA_TYPE = 'application/x-pef+xml';
+
+    // PEF rows hold Braille cells only, so spaces become the blank cell (⠀)
+    this.BLANK_CELL = '⠀';
+  }
+
+  /**
+   * Build a PEF document from formatted pages
+   * @param {Array<object>} pages - Pages from BrailleFormatter#format
+   * @param {object} metadata - { identifier, title, subject, language, date, description }
+   * @param {object} layout - { cellsPerLine, linesPerPage, duplex }
+   * @returns {string} - PEF XML
+   */
+  toPef(pages, metadata, layout) {
+    const meta = [
+      ['format', this.MEDIA_TYPE],
+      ['identifier', metadata.identifier],
+      ['title', metadata.title],
+      ['subject', metadata.subject],
+      ['language', metadata.language],
+      ['date', metadata.date],
+      ['description', metadata.description]
+    ]
+      .filter(([, value]) => value)
+      .map(([name, value]) => `      <dc:${name}>${this.escapeXml(value)}</dc:${name}>`);
+
+    const body = pages.map(page => {
+      const rows = page.lines.map(line => {
+        const cells = this.toCells(line);
+        return cells ? `          <row>${cells}</row>` : '          <row/>';
+      });
+      return ['        <page>', ...rows, '        </page>'].join('\n');
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<pef version="${this.PEF_VERSION}" xmlns="${this.PEF_NAMESPACE}">`,
+      '  <head>',
+      `    <meta xmlns:dc="${this.DC_NAMESPACE}">`,
+      ...meta,
+      '    </meta>',
+      '  </head>',
+      '  <body>',
+      `    <volume cols="${layout.cellsPerLine}" rows="${layout.linesPerPage}" rowgap="0" duplex="${Boolean(layout.duplex)}">`,
+      '      <section>',
+      ...body,
+      '      </section>',
+      '    </volume>',
+      '  </body>',
+      '</pef>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Keep only Braille cells in a row, trimming trailing blank cells
+   * @param {string} line - Formatted Braille line
+   * @returns {string}
+   */
+  toCells(line) {
+    return Array.from(line)
+      .map(char => (/\s/.test(char) ? this.BLANK_CELL : char))
+      .filter(char => char.codePointAt(0) >= 0x2800 && char.codePointAt(0) <= 0x28FF)
+      .join('')
+      .replace(/⠀+$/, '');
+  }
+
+  /**
+   * Escape text for use in XML content
+   * @param {string} text - Text to escape
+   * @returns {string}
+   */
+  escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+}
+
+module.exports = PefConverter;
@@ -0,0 +1,120 @@
+// Stub Provider - Deterministic local stand-in for a language model, for development and tests offline
+// Answers from the text a task is about rather than the prompt: the script names the language, subject
+// names found in the text name the subject, notes are the input's lines under a title, and merged notes
+// are the points of every section under the first section's title
+
+const LlmProvider = require('./llmProvider');
+const BrailleRegistry = require('./brailleRegistry');
+
+class StubProvider extends LlmProvider {
+  /**
+   * @param {object} options - Provider options (the system instruction is ignored)
+   */
+  constructor(options = {}) {
+    super('stub', { ...options, model: 'local-stub' });
+    this.brailleRegistry = new BrailleRegistry();
+
+    // Subject when no allowed subject is named in the text
+    this.DEFAULT_SUBJECT = 'General';
+    // Longest title taken from the first line of the input
+    this.TITLE_LENGTH = 80;
+  }
+
+  /**
+   * Answer a task (see LlmProvider#generateText); the same request always gives the same text
+   * @param {object} request - { task, input, subjects, sections, audioFile }
+   * @returns {Promise<string>}
+   */
+  async generateText(request) {
+    const input = request.input || '';
+
+    switch (request.task) {
+      case 'language':
+        return this.brailleRegistry.detectLanguage(input);
+
+      case 'subject': {
+        const text = input.toLowerCase();
+        return (request.subjects || []).find(subject => text.includes(subject.toLowerCase())) || this.DEFAULT_SUBJECT;
+      }
+
+      // Nothing is translated offline; the notes are returned as they are
+      case 'translate':
+        return input;
+
+      case 'merge':
+        return this.mergeNotes(request.sections || [input]);
+
+      default:
+        return this.writeNotes(input, request.audioFile);
+    }
+  }
+
+  /**
+   * Answer a task word by word, as a model streams tokens (see LlmProvider#streamText)
+   * @param {object} request - { task, input, subjects, audioFile }
+   * @param {Function} onToken - Called with each word and the space after it
+   * @returns {Promise<string>}
+   */
+  async streamText(request, onToken) {
+    const text = await this.generateText(request);
+    for (const token of text.match(/\S+\s*|\s+/g) || []) {
+      await onToken(token);
+    }
+    return text;
+  }
+
+  /**
+   * Merge notes written section by section: the first title over the points of every section
+   * @param {Array<string>} sections - Markdown notes on each section, in order
+   * @returns {string} - Markdown notes
+   */
+  mergeNotes(sections) {
+    let title = null;
+    const points = [];
+    for (const notes of sections) {
+      for (const line of (notes || '').split(/\r?\n/)) {
+        const heading = /^#\s+(.+)/.exec(line);
+        const point = /^\s*[-*+]\s+(.+)/.exec(line);
+        if (heading && !title) {
+          title = heading[1];
+        } else if (point) {
+          points.push(point[1]);
+        }
+      }
+    }
+    return this.writeNotes([title || 'Notes', ...points].join('\n'));
+  }
+
+  /**
+   * Write markdown notes from input text: the first line as the title, the other lines as points
+   * @param {string} input - Text the notes are made from
+   * @param {object} audioFile - Uploaded audio file, which cannot be transcribed offline
+   * @returns {string} - Markdown notes
+   */
+  writeNotes(input, audioFile = null) {
+    const lines = (input || '')
+      .split(/\r?\n/)
+      .map(line => line.replace(/^\s*(#+|[-*+]|\d+[.)])\s+/, '').trim())
+      .filter(Boolean);
+    if (!lines.length) {
+      lines.push(audioFile
+        ? `Audio file ${audioFile.originalname} cannot be transcribed offline`
+        : 'No content');
+    }
+
+    const title = lines[0].length > this.TITLE_LENGTH ? `${lines[0].slice(0, this.TITLE_LENGTH).trim()}…` : lines[0];
+    const points = lines.length > 1 ? lines.slice(1) : lines;
+    return [
+      `# ${title}`,
+      '',
+      'These notes were written by the local stub provider from the input text.',
+      '',
+      '## Notes',
+      '',
+      ...points.map(point => `- ${point}`),
+      ''
+    ].join('\n');
+  }
+}
+
+module.exports = StubProvider;
@@ -0,0 +1,108 @@
+// Text Chunker - Splits long text (a full lecture transcript) into sections a model can write notes for
+// Sections end at a paragraph break where possible, else a line break, a sentence end or a space,
+// and keep their character offsets in the original text
+
+class TextChunker {
+  /**
+   * @param {object} options - Chunker options
+   * @param {number} options.chunkSize - Most characters in a section (default: 8000, about 2000 tokens)
+   * @param {number} options.sampleLength - Characters in each excerpt taken by sample() (default: 500)
+   */
+  constructor(options = {}) {
+    this.CHUNK_SIZE = options.chunkSize || 8000;
+    this.SAMPLE_LENGTH = options.sampleLength || 500;
+    // A section is not cut shorter than this fraction of CHUNK_SIZE to end at a boundary
+    this.MIN_FILL = 0.5;
+    // Boundaries to end a section at, best first; each match ends just after the boundary
+    this.BOUNDARIES = [
+      /\n[ \t]*\n\s*/g,
+      /\n\s*/g,
+      /[.!?।॥](?:["'”’)\]]*)\s+/g,
+      /\s+/g
+    ];
+  }
+
+  /**
+   * Whether text is too long to write notes for in one prompt
+   * @param {string} text - Text
+   * @returns {boolean}
+   */
+  needsChunking(text) {
+    return typeof text === 'string' && text.length > this.CHUNK_SIZE;
+  }
+
+  /**
+   * Split text into sections of at most CHUNK_SIZE characters
+   * @param {string} text - Text to split
+   * @returns {Array<object>} - Sections { index, start, end, text }, where start and end are offsets in text
+   *   and text is the section without surrounding whitespace; short text gives one section
+   */
+  split(text) {
+    const source = text || '';
+    const chunks = [];
+    let start = 0;
+
+    while (start < source.length) {
+      let end = source.length;
+      if (end - start > this.CHUNK_SIZE) {
+        end = this.findBoundary(source, start, start + this.CHUNK_SIZE);
+      }
+
+      const sectionText = source.slice(start, end).trim();
+      if (sectionText) {
+        chunks.push({ index: chunks.length, start, end, text: sectionText });
+      }
+      start = end;
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Find where to end a section: the last, best boundary before limit
+   * @param {string} text - Text being split
+   * @param {number} start - Start of the section
+   * @param {number} limit - Furthest the section may end
+   * @returns {number} - End of the section (limit when there is no boundary)
+   */
+  findBoundary(text, start, limit) {
+    const earliest = start + Math.floor(this.CHUNK_SIZE * this.MIN_FILL);
+    const window = text.slice(earliest, limit);
+
+    for (const boundary of this.BOUNDARIES) {
+      let end = -1;
+      boundary.lastIndex = 0;
+      let match;
+      while ((match = boundary.exec(window))) {
+        end = match.index + match[0].length;
+      }
+      if (end > 0) {
+        return earliest + end;
+      }
+    }
+    return limit;
+  }
+
+  /**
+   * Take excerpts from the start, middle and end of text, for detecting its language from more than its opening
+   * @param {string} text - Text
+   * @param {number} count - Number of excerpts (default: 3)
+   * @returns {string} - The text itself when short, else the excerpts separated by '…' lines
+   */
+  sample(text, count = 3) {
+    const source = text || '';
+    if (source.length <= this.SAMPLE_LENGTH * count) {
+      return source.substring(0, this.SAMPLE_LENGTH * count);
+    }
+
+    const step = (source.length - this.SAMPLE_LENGTH) / (count - 1);
+    const excerpts = [];
+    for (let i = 0; i < count; i++) {
+      const start = Math.round(step * i);
+      excerpts.push(source.substring(start, start + this.SAMPLE_LENGTH).trim());
+    }
+    return excerpts.join('\n…\n');
+  }
+}
+
+module.exports = TextChunker;